@@ -13,16 +13,36 @@ const app = (() => {
     assignments: new Map(),// stationId → cardId[]  ('' = 未分類)
     cardOrder: [],         // 全カードIDの登録順
     swimlaneIds: new Set(),// スイムレーン追加済みの地点ID
+    settings: {            // 出力設定
+      metaFields: [...dataProcessor.DEFAULT_META_FIELDS],
+      derivedFields: [],
+      depthBin: { ...dataProcessor.DEFAULT_DEPTH_BIN },
+      binStats: { ...dataProcessor.DEFAULT_BIN_STATS, fields: [] },
+      standardLayers: { ...dataProcessor.DEFAULT_STANDARD_LAYERS, depths: [...dataProcessor.DEFAULT_STANDARD_LAYERS.depths] },
+      qc: qcEngine.defaultConfig(),
+      hypoxia: { thresholds: hypoxia.DEFAULT_THRESHOLDS.map(t => ({ ...t })) },
+      rawArchive: { ...rawArchive.DEFAULT_SETTINGS },
+    },
+    columnOverrides: columnSchema.loadOverrides(), // 列名 → 型（ユーザー指定, 保存済み）
+    columnAliases: columnAliases.load(),           // 列名の対応表（保存済み）
+    assignRules: assignRules.load(),               // 仕分けルール { version, updatedAt, rules }（保存済み）
+    keywordSuggestions: new Map(), // stationId → Map<キーワード, ファイル名[]>（手動で置いたファイルから挙げた候補）
+    dismissedKeywords: new Set(),  // 追加しなかった候補 "stationId\tキーワード"（再提案しない）
+    fieldLog: null,        // 野帳 { fileName, entries, fields, toleranceMinutes }（fieldLog.parseCSV）
   };
 
   let cardSeq = 0;
   let obsOverwriteAll = false;
+  let activePool = null;   // 実行中の読み込み・出力（workerPool.createPool の結果）
 
   // ─── 初期化 ───
 
   function init() {
     document.getElementById('btn-output-a').addEventListener('click', () => outputCSV('A'));
     document.getElementById('btn-output-b').addEventListener('click', () => outputCSV('B'));
+    document.getElementById('btn-output-layers').addEventListener('click', () => outputCSV('L'));
+    document.getElementById('btn-output-summary').addEventListener('click', () => outputCSV('S'));
+    document.getElementById('btn-output-hypoxia').addEventListener('click', () => outputCSV('H'));
     document.getElementById('btn-reset-master').addEventListener('click', onResetMasterClick);
 
     // ドロップゾーン: dragover ビジュアル
@@ -53,13 +73,38 @@ const app = (() => {
     e.preventDefault();
     const files = [...e.dataTransfer.files].filter(f => /\.csv$/i.test(f.name));
     if (files.length === 0) { uiController.showToast('CSVファイルをドロップしてください', 'warn'); return; }
-    await loadMasterFile(files[0]);
+    await _loadMasterSources(files);
   }
 
   async function onMasterFileSelect(e) {
-    const file = e.target.files[0];
-    if (file) await loadMasterFile(file);
+    const files = [...e.target.files];
     e.target.value = '';
+    if (files.length > 0) await _loadMasterSources(files);
+  }
+
+  /**
+   * 地点マスタ側に置かれた CSV を読み込む（仕分けルール・野帳の CSV は1行目で判別し、それ以外の先頭のファイルを地点マスタとする）
+   * @param {File[]} files
+   */
+  async function _loadMasterSources(files) {
+    let master = null;
+    for (const file of files) {
+      let text;
+      try {
+        text = await fileHandler.readFile(file, null);
+      } catch (err) {
+        uiController.showToast(`読み込みエラー: ${file.name} - ${err.message}`, 'error', 6000);
+        continue;
+      }
+      if (assignRules.isRulesCSV(text)) {
+        _loadAssignRulesText(text, file.name);
+      } else if (fieldLog.isFieldLogCSV(text)) {
+        _loadFieldLogText(text, file.name);
+      } else if (!master) {
+        master = file;
+      }
+    }
+    if (master) await loadMasterFile(master);
   }
 
   async function loadMasterFile(file) {
@@ -113,6 +158,7 @@ const app = (() => {
         state.stations = stations;
         state.swimlaneIds.clear();
         state.assignments = new Map();
+        state.keywordSuggestions.clear();
       } else {
         // 差分更新
         const existingIds = new Set(state.stations.map(s => s.id));
@@ -135,6 +181,7 @@ const app = (() => {
       }
 
       uiController.renderStationList(state.stations, getFileCounts());
+      uiController.setKeywordSuggestionCount(_keywordSuggestionCount());
       uiController.showResetButton(true);
       uiController.showToast(`地点マスタを読み込みました（${stations.filter(s => !s._invalid).length}件）`, 'success');
 
@@ -150,27 +197,91 @@ const app = (() => {
 
   async function onObsDrop(e) {
     e.preventDefault();
-    const files = [...e.dataTransfer.files];
-    await loadObservationFiles(files);
+    const sources = await fileHandler.collectDroppedFiles(e.dataTransfer);
+    await loadObservationFiles(sources);
   }
 
   async function onObsFileSelect(e) {
-    const files = [...e.target.files];
-    if (files.length) await loadObservationFiles(files);
+    const sources = fileHandler.collectSelectedFiles(e.target.files);
     e.target.value = '';
+    if (sources.length) await loadObservationFiles(sources);
   }
 
-  async function loadObservationFiles(files) {
-    const nonCsv = files.filter(f => !/\.csv$/i.test(f.name));
-    nonCsv.forEach(f => uiController.showToast(`CSV以外は無視: ${f.name}`, 'warn'));
+  /**
+   * 観測ファイルを読み込む（ZIP は展開して中の CSV を読み込む）
+   * @param {{ file: File, path: string }[]} sources  path = ドロップ・選択した階層からの相対パス
+   */
+  async function loadObservationFiles(sources) {
+    if (_isBusy()) return;
+
+    const expanded = [];
+    for (const src of sources) {
+      if (!/\.zip$/i.test(src.file.name)) {
+        expanded.push(src);
+        continue;
+      }
+      try {
+        uiController.showProgress(`ZIP を展開中: ${src.file.name}`, null, null);
+        expanded.push(...await fileHandler.extractZip(src.file, src.path));
+      } catch (err) {
+        uiController.showToast(`ZIP を展開できません: ${src.path} - ${err.message}`, 'error', 5000);
+      } finally {
+        uiController.hideProgress();
+      }
+    }
+
+    const nonCsv = expanded.filter(src => !/\.csv$/i.test(src.file.name));
+    if (nonCsv.length === 1) {
+      uiController.showToast(`CSV以外は無視: ${nonCsv[0].path}`, 'warn');
+    } else if (nonCsv.length > 1) {
+      uiController.showToast(`CSV以外の ${nonCsv.length} 件は無視しました（${nonCsv.slice(0, 3).map(src => src.file.name).join(', ')}${nonCsv.length > 3 ? ' など' : ''}）`, 'warn', 5000);
+    }
 
-    const csvFiles = files.filter(f => /\.csv$/i.test(f.name));
+    const csvFiles = expanded.filter(src => /\.csv$/i.test(src.file.name));
     if (csvFiles.length === 0) return;
 
     obsOverwriteAll = false; // バッチごとにリセット
 
-    for (const file of csvFiles) {
-      await _loadSingleObsFile(file, csvFiles.length > 1);
+    // 読み込み・パースは Worker で並列に行い、終わったファイルから順にカードを登録する
+    // （上書き確認のダイアログが重ならないよう、登録は1件ずつ）
+    const pool = workerPool.createPool();
+    activePool = pool;
+    const total = csvFiles.length;
+    let done = 0;
+    const step = () => uiController.showProgress('観測データを読み込み中', ++done, total);
+    uiController.showProgress('観測データを読み込み中', 0, total);
+
+    // 1件の登録に失敗しても残りのファイルは読み込む
+    let chain = Promise.resolve();
+    try {
+      await Promise.all(csvFiles.map(src =>
+        pool.run('parse', { file: src.file, encoding: 'SJIS', aliases: state.columnAliases }).then(
+          parsed => {
+            chain = chain.then(async () => {
+              if (pool.isCancelled()) return;
+              try {
+                await _loadSingleObsFile(src, parsed, total > 1);
+              } catch (err) {
+                uiController.showToast(`読み込みエラー: ${src.path} - ${err.message}`, 'error', 5000);
+              }
+              step();
+            });
+          },
+          err => {
+            if (workerPool.isCancelled(err)) return;
+            uiController.showToast(`読み込みエラー: ${src.path} - ${err.message}`, 'error', 5000);
+            step();
+          }
+        )
+      ));
+      await chain;
+    } finally {
+      pool.terminate();
+      activePool = null;
+      uiController.hideProgress();
+    }
+    if (pool.isCancelled()) {
+      uiController.showToast(`読み込みを中止しました（${done}/${total} 件を処理済み）`, 'info', 5000);
     }
 
     // 自動仕分け
@@ -178,17 +289,31 @@ const app = (() => {
     uiController.updateCounts();
   }
 
-  async function _loadSingleObsFile(file, isMultiple = false) {
-    // 先にパースして観測日時を取得（重複判定に使用）
-    let parsed;
-    try {
-      const text = await fileHandler.readFile(file, 'SJIS');
-      parsed = fileHandler.parseObservationCSV(text, file.name);
-    } catch (err) {
-      uiController.showToast(`読み込みエラー: ${file.name} - ${err.message}`, 'error', 5000);
-      return;
-    }
+  /**
+   * 実行中の読み込み・出力を中止
+   */
+  function cancelTask() {
+    if (activePool) activePool.cancel();
+  }
 
+  /**
+   * 読み込み・出力の実行中か（実行中なら通知する）
+   * @returns {boolean}
+   */
+  function _isBusy() {
+    if (!activePool) return false;
+    uiController.showToast('読み込み・出力の処理中です。終わるまで待つか、中止してください', 'warn');
+    return true;
+  }
+
+  /**
+   * パース済みの観測ファイルを重複・粒度を確認して登録
+   * @param {{ file: File, path: string }} source
+   * @param {object} parsed  fileHandler.parseObservationCSV の結果
+   * @param {boolean} isMultiple
+   */
+  async function _loadSingleObsFile(source, parsed, isMultiple = false) {
+    const { file } = source;
     // 同名カードを検索
     const sameNameCards = [...state.cards.values()].filter(c => c.fileName === file.name);
 
@@ -203,13 +328,13 @@ const app = (() => {
 
       if (!conflictCard) {
         // 同名だが観測日時が異なる → 別ファイルとして新規登録
-        await _registerParsedCard(file.name, parsed);
+        await _registerParsedCard(file.name, parsed, source);
         return;
       }
 
       // 同名かつ同観測日時 → 上書き確認
       if (obsOverwriteAll) {
-        await _overwriteCard(conflictCard, file.name, parsed);
+        await _overwriteCard(conflictCard, file.name, parsed, source);
         return;
       }
 
@@ -219,7 +344,7 @@ const app = (() => {
           {
             label: '上書き', type: 'danger',
             callback: async () => {
-              await _overwriteCard(conflictCard, file.name, parsed);
+              await _overwriteCard(conflictCard, file.name, parsed, source);
               resolve();
             },
           }
@@ -230,7 +355,7 @@ const app = (() => {
             label: 'すべて上書き', type: 'danger',
             callback: async () => {
               obsOverwriteAll = true;
-              await _overwriteCard(conflictCard, file.name, parsed);
+              await _overwriteCard(conflictCard, file.name, parsed, source);
               resolve();
             }
           });
@@ -248,10 +373,12 @@ const app = (() => {
     }
 
     // ─── 同観測開始時刻チェック（ファイル名が違っても同じ観測なら粒度比較）───
+    // 生データとプロファイル済みファイルは別の成果物として両方残す（同じ種別同士のみ比較）
     const newMs = _parseDateTimeMs(parsed.firstDateTime);
     if (newMs !== null) {
       const sameDtCard = [...state.cards.values()].find(c => {
         if (c.fileName === file.name) return false; // 同名は上で処理済み
+        if (!c.parsed || !!c.parsed.isProfile !== !!parsed.isProfile) return false;
         const existMs = _parseDateTimeMs((c.parsed && c.parsed.firstDateTime) || null);
         return existMs !== null && existMs === newMs;
       });
@@ -265,7 +392,7 @@ const app = (() => {
           const savedStationId = sameDtCard.stationId;
           _removeCardState(sameDtCard.id);
           uiController.removeCard(sameDtCard.id);
-          const newCard = await _registerParsedCard(file.name, parsed);
+          const newCard = await _registerParsedCard(file.name, parsed, source);
           if (newCard && savedStationId !== '') moveCard(newCard.id, savedStationId);
           uiController.showToast(
             `同観測・高粒度ファイルで置き換え: ${file.name}（${sameDtCard.fileName} を排除）`,
@@ -283,35 +410,58 @@ const app = (() => {
     }
 
     // 同名なし・同観測日時なし → 新規登録
-    await _registerParsedCard(file.name, parsed);
+    await _registerParsedCard(file.name, parsed, source);
   }
 
   /**
    * 既存のカードを新しいデータで上書き
    */
-  async function _overwriteCard(oldCard, fileName, parsed) {
+  async function _overwriteCard(oldCard, fileName, parsed, source) {
     const savedStationId = oldCard.stationId;
     _removeCardState(oldCard.id);
     uiController.removeCard(oldCard.id);
-    const newCard = await _registerParsedCard(fileName, parsed);
+    const newCard = await _registerParsedCard(fileName, parsed, source);
     if (newCard && savedStationId !== '') {
       moveCard(newCard.id, savedStationId);
     }
   }
 
-  async function _registerParsedCard(fileName, parsed) {
+  /**
+   * パース済みの観測ファイルをカードとして登録
+   * @param {string} fileName
+   * @param {object} parsed
+   * @param {{ file: File, path: string }} [source]  読み込んだファイル（仕分け済み ZIP 出力で元のバイト列を使う）
+   * @returns {Promise<object|null>}
+   */
+  async function _registerParsedCard(fileName, parsed, source = null) {
     if (parsed.error === 'データ行が0件です') {
       uiController.showToast(`データ行が0件のため除外: ${fileName}`, 'error', 5000);
       return null;
     }
+    // 未知の形式・ヘッダー行が見つからない（途中で切れたファイルなど）など、データを読み取れなかったファイルは登録しない
+    if (parsed.error) {
+      uiController.showToast(`${parsed.error}のため除外: ${fileName}`, 'error', 6000);
+      return null;
+    }
 
     const cardId = `card_${++cardSeq}`;
     const card = {
       id: cardId,
       fileName,
+      relativePath: source ? source.path : fileName,  // ドロップ・選択した階層からの相対パス（ZIP 内はZIP名/…）
+      sourceFile: source ? source.file : null,       // 読み込んだファイル（元のバイト列）
       parsed,
       stationId: '',
+      cast: dataProcessor.segmentCast(parsed),       // キャスト区分（浸漬・下降・着底・海底接触・上昇）
+      castMode: dataProcessor.DEFAULT_CAST_MODE,     // 形式B の対象区分
+      bottomContact: null,                           // 海底接触の手動指定 { index: 行 | null = 接触なし }（null = 自動判定）
+      deadChannels: qcEngine.detectDeadChannels(parsed, state.settings.qc), // センサー異常の列
+      assignReason: null,                            // 自動仕分けの根拠 { stationId, confidence, reason }
+      assignConflict: null,                          // 自動仕分けの競合（dataProcessor.autoAssignFiles の conflicts）
+      assignSuggestion: null,                        // 確認待ちの候補（dataProcessor.autoAssignFiles の pending）
     };
+    card.structure = castAnalysis.analyzeStructure(card);  // 水柱構造（混合層・躍層）
+    card.hypoxia = hypoxia.analyzeCard(card, state.settings.hypoxia.thresholds); // 貧酸素解析
 
     state.cards.set(cardId, card);
     state.cardOrder.push(cardId);
@@ -325,10 +475,106 @@ const app = (() => {
     if (parsed.warningFallback) {
       uiController.showToast(`⚠️ ヘッダーを69行目で検出: ${fileName}`, 'warn', 6000);
     }
+    for (const w of parsed.formatWarnings || []) {
+      uiController.showToast(`⚠️ ${w}: ${fileName}`, 'warn', 6000);
+    }
+    if (card.deadChannels.length > 0) {
+      uiController.showToast(
+        `⚠️ センサー異常の可能性: ${card.deadChannels.map(d => d.column).join(', ')}（${fileName}）`, 'warn', 6000
+      );
+    }
+    if (parsed.unmatchedColumns && parsed.unmatchedColumns.length > 0) {
+      uiController.showToast(
+        `⚠️ 列名の対応表にない列: ${parsed.unmatchedColumns.join(', ')}（${fileName}）。カードの「未対応の列」から対応付けできます`, 'warn', 6000
+      );
+    }
 
     return card;
   }
 
+  /**
+   * 形式B の対象キャスト区分をカードごとに変更
+   * @param {string} cardId
+   * @param {string} mode  dataProcessor.CAST_MODES のキー
+   */
+  function setCastMode(cardId, mode) {
+    const card = state.cards.get(cardId);
+    if (!card || !dataProcessor.CAST_MODES[mode]) return;
+    card.castMode = mode;
+    card.structure = castAnalysis.analyzeStructure(card);
+    card.hypoxia = hypoxia.analyzeCard(card, state.settings.hypoxia.thresholds);
+    uiController.refreshFileCard(card);
+    uiController.showToast(
+      `形式B の対象を「${dataProcessor.CAST_MODES[mode].label}」に変更: ${card.fileName}`, 'info'
+    );
+  }
+
+  /**
+   * カードのキャスト区分を求める（海底接触の手動指定があれば反映）
+   * @param {object} card
+   * @returns {object|null}  dataProcessor.segmentCast の結果
+   */
+  function _segmentCard(card) {
+    return card.bottomContact
+      ? dataProcessor.segmentCast(card.parsed, { contactRow: card.bottomContact.index })
+      : dataProcessor.segmentCast(card.parsed);
+  }
+
+  /**
+   * 海底接触をカードごとに指定し、キャスト区分・水柱構造・貧酸素解析を求め直す
+   * @param {string} cardId
+   * @param {number|null} rowNumber  接触した行（データ行の 1 始まり）。null = 接触なし
+   */
+  function setBottomContact(cardId, rowNumber) {
+    const card = state.cards.get(cardId);
+    if (!card || !card.cast || card.parsed.isProfile) return;
+    if (rowNumber !== null) {
+      // 海底接触として指定できるのは下降・着底の行（自動判定の前の区分で確認）
+      const base = dataProcessor.segmentCast(card.parsed, { contactRow: null });
+      const index = Math.round(rowNumber) - 1;
+      if (isNaN(index) || index < base.soakEnd || index > base.bottomEnd) {
+        uiController.showToast(
+          `海底接触は下降・着底の行（${base.soakEnd + 1}〜${base.bottomEnd + 1} 行目）から指定してください`, 'error'
+        );
+        return;
+      }
+      card.bottomContact = { index };
+    } else {
+      card.bottomContact = { index: null };
+    }
+    _refreshBottomContact(card);
+    const contact = card.cast.contact;
+    uiController.showToast(contact
+      ? `海底接触を ${contact.index + 1} 行目（${contact.depth} m）に指定: ${card.fileName}`
+      : `海底接触なしに変更: ${card.fileName}`, 'info');
+  }
+
+  /**
+   * 海底接触の手動指定を解除し、自動判定に戻す
+   * @param {string} cardId
+   */
+  function resetBottomContact(cardId) {
+    const card = state.cards.get(cardId);
+    if (!card || !card.bottomContact) return;
+    card.bottomContact = null;
+    _refreshBottomContact(card);
+    const contact = card.cast && card.cast.contact;
+    uiController.showToast(contact
+      ? `海底接触を自動判定に戻しました（${contact.index + 1} 行目, ${contact.depth} m）: ${card.fileName}`
+      : `海底接触を自動判定に戻しました（検出なし）: ${card.fileName}`, 'info');
+  }
+
+  /**
+   * 海底接触の変更後にキャスト区分と派生情報を求め直してカードを更新
+   * @param {object} card
+   */
+  function _refreshBottomContact(card) {
+    card.cast = _segmentCard(card);
+    card.structure = castAnalysis.analyzeStructure(card);
+    card.hypoxia = hypoxia.analyzeCard(card, state.settings.hypoxia.thresholds);
+    uiController.refreshFileCard(card);
+  }
+
   /**
    * 観測ファイルを削除
    * @param {string} cardId
@@ -389,10 +635,12 @@ const app = (() => {
   /**
    * 水深粒度を計算（maxDepth / データ行数）
    * 値が小さいほど細かい粒度
+   * プロファイル済みファイルは水深間隔（Pitch）をそのまま粒度とする
    * @param {object} parsed
    * @returns {number} Infinity = 計算不可
    */
   function _calcDepthResolution(parsed) {
+    if (parsed && parsed.isProfile && parsed.profilePitch) return parsed.profilePitch;
     if (!parsed || !parsed.maxDepth || !parsed.dataRows || parsed.dataRows.length === 0) return Infinity;
     return parsed.maxDepth / parsed.dataRows.length;
   }
@@ -400,6 +648,7 @@ const app = (() => {
   // ─── 自動仕分け ───
 
   function _autoAssignUnclassified() {
+    _applyFieldLog();
     if (state.swimlaneIds.size === 0) return;
 
     const unclassIds = state.assignments.get('') || [];
@@ -407,7 +656,7 @@ const app = (() => {
 
     // スイムレーン追加済みの地点のみを対象にマッチング
     const activeStations = state.stations.filter(s => !s._invalid && state.swimlaneIds.has(s.id));
-    const { assigned, unclassified } = dataProcessor.autoAssignFiles(unclassCards, activeStations);
+    const { assigned, conflicts, decisions, pending } = dataProcessor.autoAssignFiles(unclassCards, activeStations, state.assignRules.rules);
 
     assigned.forEach((cardIds, stationId) => {
       for (const cardId of cardIds) {
@@ -415,9 +664,356 @@ const app = (() => {
       }
     });
 
+    // 仕分けの根拠、未分類に残したカードの競合（複数の候補・名前と GPS の食い違い）・確認待ちの候補をカードに表示
+    const conflictById = new Map(conflicts.map(c => [c.cardId, c]));
+    const pendingById = new Map(pending.map(p => [p.cardId, p]));
+    for (const card of unclassCards) {
+      const next = card.stationId
+        ? { assignReason: decisions.get(card.id) || null, assignConflict: null, assignSuggestion: null }
+        : { assignReason: null, assignConflict: conflictById.get(card.id) || null, assignSuggestion: pendingById.get(card.id) || null };
+      _setAssignInfo(card, next);
+    }
+    if (conflicts.length > 0) {
+      uiController.showToast(`${conflicts.length}件は複数の地点が候補になったため未分類に残しました（「⚖ 競合を解決」で選択）`, 'warn', 6000);
+    }
+    if (pending.length > 0) {
+      uiController.showToast(`${pending.length}件は一致度が低いため候補の確認待ちです（カードの ✓ で確定）`, 'info', 6000);
+    }
+
     uiController.updateCounts();
   }
 
+  /**
+   * カードの自動仕分けの表示（根拠・競合・確認待ちの候補）を更新（変化があればカードを描き直す）
+   * @param {object} card
+   * @param {{ assignReason: object|null, assignConflict: object|null, assignSuggestion: object|null }} info
+   */
+  function _setAssignInfo(card, info) {
+    const changed = Object.keys(info).some(k => card[k] !== info[k]);
+    if (!changed) return;
+    Object.assign(card, info);
+    uiController.refreshFileCard(card);
+  }
+
+  /**
+   * 確認待ちの候補の地点へ仕分ける
+   * @param {string} cardId
+   * @param {Event} [e]
+   */
+  function acceptAssignSuggestion(cardId, e) {
+    if (e) e.stopPropagation();
+    const card = state.cards.get(cardId);
+    if (!card || !card.assignSuggestion) return;
+    const suggestion = card.assignSuggestion;
+    if (!state.swimlaneIds.has(suggestion.stationId)) {
+      uiController.showToast('候補の地点のスイムレーンがありません', 'warn');
+      return;
+    }
+    moveCard(cardId, suggestion.stationId, { manual: true });
+    _setAssignInfo(card, {
+      assignReason: { stationId: suggestion.stationId, confidence: suggestion.confidence, reason: `${suggestion.reason}（確認済み）` },
+      assignConflict: null,
+      assignSuggestion: null,
+    });
+  }
+
+  /**
+   * 確認待ちの候補を取り消す（カードは未分類のまま）
+   * @param {string} cardId
+   * @param {Event} [e]
+   */
+  function dismissAssignSuggestion(cardId, e) {
+    if (e) e.stopPropagation();
+    const card = state.cards.get(cardId);
+    if (!card) return;
+    _setAssignInfo(card, { assignReason: card.assignReason, assignConflict: card.assignConflict, assignSuggestion: null });
+  }
+
+  /**
+   * 競合のカードを選んだ候補の地点へ仕分ける
+   * @param {string} cardId
+   * @param {string} stationId
+   * @param {Event} [e]
+   */
+  function resolveConflict(cardId, stationId, e) {
+    if (e) e.stopPropagation();
+    const card = state.cards.get(cardId);
+    if (!card || !card.assignConflict) return;
+    const candidate = card.assignConflict.candidates.find(c => c.stationId === stationId);
+    if (!candidate) return;
+    if (!state.swimlaneIds.has(stationId)) {
+      uiController.showToast('選んだ地点のスイムレーンがありません', 'warn');
+      return;
+    }
+    moveCard(cardId, stationId);
+    _setAssignInfo(card, {
+      assignReason: { stationId, confidence: candidate.confidence, reason: `${candidate.reason}（競合から選択）` },
+      assignConflict: null,
+      assignSuggestion: null,
+    });
+  }
+
+  /**
+   * 競合の一括解決モーダルを開く
+   */
+  function openConflictResolver() {
+    const cards = (state.assignments.get('') || [])
+      .map(id => state.cards.get(id))
+      .filter(card => card && card.assignConflict);
+    if (cards.length === 0) {
+      uiController.showToast('地点の競合はありません', 'info');
+      return;
+    }
+    uiController.openConflictModal(cards);
+  }
+
+  /**
+   * 競合の一括解決モーダルで選んだ地点へ仕分ける
+   */
+  function applyConflictResolutions() {
+    const choices = uiController.readConflictForm();
+    uiController.closeConflictModal();
+    for (const { cardId, stationId } of choices) {
+      resolveConflict(cardId, stationId);
+    }
+    if (choices.length > 0) uiController.showToast(`${choices.length}件を選んだ地点へ仕分けました`, 'success');
+  }
+
+  // ─── 仕分けルール ───
+
+  /**
+   * 仕分けルールの割り当て先の候補（地点ID・テンプレート）
+   * @returns {string[]}
+   */
+  function _ruleTargets() {
+    const valid = state.stations.filter(s => !s._invalid);
+    const templates = new Set(valid.flatMap(s => s.templates || []));
+    return [...valid.map(s => s.id), ...[...templates].map(t => assignRules.TEMPLATE_PREFIX + t)];
+  }
+
+  /**
+   * 仕分けルールモーダルを開く
+   */
+  function openAssignRules() {
+    uiController.openRulesModal(state.assignRules, _ruleTargets());
+  }
+
+  /**
+   * 仕分けルールモーダルの内容を保存（版を上げる）し、未分類のカードを再判定
+   */
+  function saveAssignRules() {
+    const rules = uiController.readRulesForm();
+    const error = assignRules.validate(rules);
+    if (error) {
+      uiController.showToast(error, 'error', 6000);
+      return;
+    }
+    const { ruleSet, saved } = assignRules.commit(state.assignRules, rules);
+    state.assignRules = ruleSet;
+    uiController.closeRulesModal();
+    if (saved) {
+      uiController.showToast(`仕分けルールを保存しました（版 ${ruleSet.version}・${rules.length}件）`, 'success');
+    } else {
+      uiController.showToast('仕分けルールを適用しました（ブラウザに保存できないため、再読み込みで元に戻ります）', 'warn');
+    }
+    _autoAssignUnclassified();
+  }
+
+  /**
+   * 仕分けルールを CSV でダウンロード
+   */
+  function exportAssignRules() {
+    const ruleSet = state.assignRules;
+    const { headers, rows } = assignRules.toCSVRows(ruleSet);
+    const fileName = assignRules.generateFileName(ruleSet);
+    _downloadBlob(dataProcessor.generateCSVBlob(headers, rows), fileName);
+    uiController.showToast(`${fileName} をダウンロードしました（${ruleSet.rules.length}件）`, 'success');
+  }
+
+  /**
+   * CSV の仕分けルールをモーダルに読み込む（保存するまで適用しない）
+   * @param {Event} e
+   */
+  async function importAssignRules(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let result;
+    try {
+      result = assignRules.fromCSV(await fileHandler.readFile(file, null));
+    } catch (err) {
+      uiController.showToast(`読み込みエラー: ${file.name} - ${err.message}`, 'error', 5000);
+      return;
+    }
+    if (result.error) {
+      uiController.showToast(`${result.error}: ${file.name}`, 'error', 6000);
+      return;
+    }
+    uiController.openRulesModal({ ...state.assignRules, rules: result.ruleSet.rules }, _ruleTargets());
+    uiController.showToast(
+      `${file.name}（版 ${result.ruleSet.version}）を読み込みました（${result.ruleSet.rules.length}件）。保存すると版 ${state.assignRules.version + 1} として適用されます`,
+      'info', 6000);
+  }
+
+  /**
+   * 地点マスタ側に置かれた仕分けルールの CSV を適用（現在より古い版は確認してから置き換える）
+   * @param {string} text
+   * @param {string} fileName
+   */
+  function _loadAssignRulesText(text, fileName) {
+    const { ruleSet, error } = assignRules.fromCSV(text);
+    if (error) {
+      uiController.showToast(`${error}: ${fileName}`, 'error', 6000);
+      return;
+    }
+    const apply = () => {
+      state.assignRules = ruleSet;
+      const saved = assignRules.save(ruleSet);
+      uiController.showToast(
+        `仕分けルールを読み込みました（版 ${ruleSet.version}・${ruleSet.rules.length}件）${saved ? '' : '。ブラウザに保存できないため、再読み込みで元に戻ります'}`,
+        saved ? 'success' : 'warn');
+      _autoAssignUnclassified();
+    };
+    if (ruleSet.version < state.assignRules.version) {
+      uiController.showConfirm(
+        '古い版の仕分けルール',
+        `${fileName} は版 ${ruleSet.version} です。現在の仕分けルール（版 ${state.assignRules.version}）を置き換えますか？`,
+        [
+          { label: '置き換える', type: 'danger', callback: apply },
+          { label: 'キャンセル', type: 'secondary', callback: () => { } },
+        ]
+      );
+      return;
+    }
+    apply();
+  }
+
+  // ─── 野帳 ───
+
+  /**
+   * 野帳の CSV を読み込み、カードに対応づけて未分類のカードを記録の地点へ仕分ける
+   * @param {string} text
+   * @param {string} fileName
+   */
+  function _loadFieldLogText(text, fileName) {
+    const { entries, fields, errors } = fieldLog.parseCSV(text);
+    errors.slice(0, 5).forEach(e => uiController.showToast(`${fileName}: ${e}`, 'warn', 6000));
+    if (errors.length > 5) uiController.showToast(`${fileName}: ほか${errors.length - 5}行を読み飛ばしました`, 'warn', 6000);
+    if (entries.length === 0) {
+      uiController.showToast(`野帳に記録がありません: ${fileName}`, 'error');
+      return;
+    }
+    const toleranceMinutes = state.fieldLog ? state.fieldLog.toleranceMinutes : fieldLog.DEFAULT_TOLERANCE_MINUTES;
+    state.fieldLog = { fileName, entries, fields, toleranceMinutes };
+    _autoAssignUnclassified();
+    const report = _fieldLogReport();
+    uiController.showToast(
+      `野帳を読み込みました: ${fileName}（${entries.length}件, ファイルと対応 ${entries.length - report.unmatchedEntries.length}件）`,
+      'success');
+    uiController.openFieldLogModal(state.fieldLog, report);
+  }
+
+  /**
+   * 野帳の記録をカードに対応づける（card.fieldLog。変化したカードは描き直す）
+   */
+  function _applyFieldLog() {
+    const cards = [...state.cards.values()];
+    const { matches } = state.fieldLog
+      ? fieldLog.matchCards(cards, state.fieldLog.entries, state.fieldLog.toleranceMinutes)
+      : { matches: new Map() };
+    for (const card of cards) {
+      const m = matches.get(card.id);
+      const next = m
+        ? {
+          row: m.entry.row,
+          time: fieldLog.formatDateTime(m.entry.time),
+          station: m.entry.station,
+          stationId: fieldLog.resolveStation(m.entry.station, state.stations),
+          diffMinutes: m.diffMinutes,
+          fields: m.entry.fields,
+        }
+        : null;
+      if (JSON.stringify(card.fieldLog || null) === JSON.stringify(next)) continue;
+      card.fieldLog = next;
+      uiController.refreshFileCard(card);
+    }
+  }
+
+  /**
+   * 野帳とファイルの対応のレポート
+   * @returns {{ matched: number, unmatchedEntries: object[], unmatchedCards: object[], mismatched: object[], unknownStations: string[], noLane: object[] }}
+   *   unmatchedEntries: ファイルのない記録, unmatchedCards: 記録のないファイル
+   *   mismatched: 記録と異なる地点に置いたカード [{ card, stationId }], unknownStations: 地点マスタにない記録の地点
+   *   noLane: 記録の地点のスイムレーンがなく未分類のカード
+   */
+  function _fieldLogReport() {
+    const cards = [...state.cards.values()];
+    const { matches, unmatchedEntries, unmatchedCards } =
+      fieldLog.matchCards(cards, state.fieldLog.entries, state.fieldLog.toleranceMinutes);
+    const mismatched = cards
+      .filter(c => c.fieldLog && c.fieldLog.stationId && c.stationId && c.stationId !== c.fieldLog.stationId)
+      .map(card => ({ card, stationId: card.fieldLog.stationId }));
+    const unknownStations = [...new Set(state.fieldLog.entries
+      .filter(e => !fieldLog.resolveStation(e.station, state.stations))
+      .map(e => e.station))];
+    const noLane = cards.filter(c => c.fieldLog && c.fieldLog.stationId && !c.stationId && !state.swimlaneIds.has(c.fieldLog.stationId));
+    return { matched: matches.size, unmatchedEntries, unmatchedCards, mismatched, unknownStations, noLane };
+  }
+
+  /**
+   * 野帳のモーダルを開く（読み込み済みなら対応のレポートを表示）
+   */
+  function openFieldLog() {
+    uiController.openFieldLogModal(state.fieldLog, state.fieldLog ? _fieldLogReport() : null);
+  }
+
+  /**
+   * 野帳のモーダルから CSV を読み込む
+   * @param {Event} e
+   */
+  async function importFieldLog(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let text;
+    try {
+      text = await fileHandler.readFile(file, null);
+    } catch (err) {
+      uiController.showToast(`読み込みエラー: ${file.name} - ${err.message}`, 'error', 5000);
+      return;
+    }
+    if (!fieldLog.isFieldLogCSV(text)) {
+      uiController.showToast(`${file.name}: 1行目に「日時」（または「日付」と「時刻」）と「地点」の列が必要です`, 'error', 6000);
+      return;
+    }
+    _loadFieldLogText(text, file.name);
+  }
+
+  /**
+   * 許容差を変えて対応づけ直す
+   */
+  function rematchFieldLog() {
+    if (!state.fieldLog) return;
+    const minutes = parseFloat(uiController.readFieldLogTolerance());
+    if (!(minutes > 0)) {
+      uiController.showToast('許容差は 0 より大きい分数で入力してください', 'error');
+      return;
+    }
+    state.fieldLog.toleranceMinutes = minutes;
+    _autoAssignUnclassified();
+    uiController.openFieldLogModal(state.fieldLog, _fieldLogReport());
+  }
+
+  /**
+   * 野帳を外す（カードの記録を消す。仕分けたカードはそのまま）
+   */
+  function clearFieldLog() {
+    state.fieldLog = null;
+    _applyFieldLog();
+    uiController.closeFieldLogModal();
+    uiController.showToast('野帳を外しました', 'info');
+  }
+
   /**
    * 未分類カードを手動で再分類（公開用）
    */
@@ -443,8 +1039,9 @@ const app = (() => {
    * カードを指定スイムレーンに移動
    * @param {string} cardId
    * @param {string} newStationId  '' = 未分類
+   * @param {{ manual?: boolean }} [options]  manual = 手動の移動（未分類から地点へ置いたらファイル名からキーワードの候補を挙げる）
    */
-  function moveCard(cardId, newStationId) {
+  function moveCard(cardId, newStationId, { manual = false } = {}) {
     const card = state.cards.get(cardId);
     if (!card) return;
 
@@ -456,6 +1053,7 @@ const app = (() => {
     card.stationId = newStationId;
 
     // UI 更新
+    _setAssignInfo(card, { assignReason: null, assignConflict: null, assignSuggestion: null });
     uiController.moveCardToArea(cardId, newStationId);
     uiController.updateCounts();
 
@@ -468,19 +1066,23 @@ const app = (() => {
       const st = state.stations.find(s => s.id === newStationId);
       if (st) mapController.refreshMarkerPopup(newStationId, st, getFileCounts().get(newStationId) || 0);
     }
+
+    if (manual && oldStationId === '' && newStationId) _learnKeywords([card], newStationId);
   }
 
   /**
    * 複数カードを一括移動
    * @param {string[]} cardIds
    * @param {string} newStationId
+   * @param {{ manual?: boolean }} [options]  moveCard と同じ
    */
-  function moveCards(cardIds, newStationId) {
+  function moveCards(cardIds, newStationId, { manual = false } = {}) {
     if (!cardIds || cardIds.length === 0) return;
 
     // 高速化のため、UI更新を一度にまとめる仕組みはないが、
     // 各カードの内部状態を更新しつつ、最後に対象スイムレーンのカウントだけ更新するなどは可能
     const oldStationIds = new Set();
+    const fromUnclassified = [];
 
     for (const cardId of cardIds) {
       const card = state.cards.get(cardId);
@@ -488,9 +1090,11 @@ const app = (() => {
       if (card.stationId === newStationId) continue;
 
       oldStationIds.add(card.stationId);
+      if (card.stationId === '') fromUnclassified.push(card);
       _moveAssignment(cardId, card.stationId, newStationId);
       card.stationId = newStationId;
 
+      _setAssignInfo(card, { assignReason: null, assignConflict: null, assignSuggestion: null });
       uiController.moveCardToArea(cardId, newStationId);
     }
 
@@ -507,6 +1111,125 @@ const app = (() => {
       const st = state.stations.find(s => s.id === newStationId);
       if (st) mapController.refreshMarkerPopup(newStationId, st, getFileCounts().get(newStationId) || 0);
     }
+
+    if (manual && newStationId && fromUnclassified.length > 0) _learnKeywords(fromUnclassified, newStationId);
+  }
+
+  // ─── キーワードの学習 ───
+
+  /**
+   * 手動で地点に置いたファイルの名前から、その地点のファイル名キーワードの候補を挙げる
+   * 他の地点に置いたファイルの名前にも現れる語（調査名など）は地点を表さないため候補にせず、挙げ済みの候補からも外す
+   * @param {object[]} cards  未分類から置いたカード
+   * @param {string} stationId
+   */
+  function _learnKeywords(cards, stationId) {
+    const station = state.stations.find(s => s.id === stationId);
+    if (!station || station._invalid) return;
+
+    const otherTokens = new Set();
+    for (const card of state.cards.values()) {
+      if (!card.stationId || card.stationId === stationId) continue;
+      for (const token of stationMatcher.nameTokens(dataProcessor.normalizeFileName(card.fileName))) otherTokens.add(token);
+    }
+
+    const prepared = stationMatcher.prepareStations(state.stations);
+    const suggestions = state.keywordSuggestions.get(stationId) || new Map();
+    const added = [];
+    for (const card of cards) {
+      for (const keyword of stationMatcher.suggestKeywords(dataProcessor.normalizeFileName(card.fileName), prepared)) {
+        if (otherTokens.has(keyword)) {
+          state.keywordSuggestions.forEach((m, sid) => { if (sid !== stationId) m.delete(keyword); });
+          continue;
+        }
+        if (state.dismissedKeywords.has(`${stationId}\t${keyword}`)) continue;
+        if (!suggestions.has(keyword)) {
+          suggestions.set(keyword, []);
+          added.push(keyword);
+        }
+        const files = suggestions.get(keyword);
+        if (!files.includes(card.fileName)) files.push(card.fileName);
+      }
+    }
+    if (suggestions.size > 0) state.keywordSuggestions.set(stationId, suggestions);
+
+    uiController.setKeywordSuggestionCount(_keywordSuggestionCount());
+    if (added.length > 0) {
+      uiController.showToast(
+        `${station.id} ${station.name} のキーワード候補: ${added.join(', ')}（「💡 キーワード候補」で地点に追加）`,
+        'info', 6000);
+    }
+  }
+
+  /**
+   * 地点マスタにある地点のキーワード候補の件数
+   * @returns {number}
+   */
+  function _keywordSuggestionCount() {
+    let count = 0;
+    state.keywordSuggestions.forEach((m, sid) => {
+      if (state.stations.some(s => s.id === sid && !s._invalid)) count += m.size;
+    });
+    return count;
+  }
+
+  /**
+   * キーワード候補のモーダルを開く
+   */
+  function openKeywordSuggestions() {
+    const entries = [];
+    state.keywordSuggestions.forEach((m, sid) => {
+      const station = state.stations.find(s => s.id === sid && !s._invalid);
+      if (station && m.size > 0) {
+        entries.push({ station, keywords: [...m].map(([keyword, files]) => ({ keyword, files })) });
+      }
+    });
+    if (entries.length === 0) {
+      uiController.showToast('キーワード候補はありません（未分類のファイルを地点へドラッグすると、ファイル名から候補を挙げます）', 'info');
+      return;
+    }
+    uiController.openKeywordModal(entries);
+  }
+
+  /**
+   * キーワード候補のモーダルでチェックした語を地点のキーワードに追加し、チェックしなかった語は以後提案しない
+   * 追加した後に未分類のカードを再判定する
+   */
+  function applyKeywordSuggestions() {
+    const { accepted, rejected } = uiController.readKeywordForm();
+    uiController.closeKeywordModal();
+
+    for (const { stationId, keyword } of [...accepted, ...rejected]) {
+      const m = state.keywordSuggestions.get(stationId);
+      if (m) m.delete(keyword);
+    }
+    for (const { stationId, keyword } of rejected) state.dismissedKeywords.add(`${stationId}\t${keyword}`);
+
+    // 先に追加した語と競合する語（別の地点の候補として同じ語を選んだ場合）は追加しない
+    const added = [];
+    const skipped = [];
+    for (const { stationId, keyword } of accepted) {
+      const station = state.stations.find(s => s.id === stationId);
+      if (!station) continue;
+      const prepared = stationMatcher.prepareStations(state.stations);
+      if (stationMatcher.suggestKeywords(keyword, prepared).length === 0) {
+        skipped.push(keyword);
+        continue;
+      }
+      station.keywords = [...(station.keywords || []), keyword];
+      mapController.updateMarker(station, getFileCounts().get(stationId) || 0);
+      added.push(`${stationId} ${keyword}`);
+    }
+
+    uiController.setKeywordSuggestionCount(_keywordSuggestionCount());
+    if (added.length > 0) {
+      uiController.renderStationList(state.stations, getFileCounts());
+      uiController.showToast(`キーワードを追加しました: ${added.join(', ')}（「↓ マスタDL」で地点マスタに保存できます）`, 'success', 6000);
+      _autoAssignUnclassified();
+    }
+    if (skipped.length > 0) {
+      uiController.showToast(`他の地点に一致するため追加しませんでした: ${skipped.join(', ')}`, 'warn', 6000);
+    }
   }
 
   function _moveAssignment(cardId, fromId, toId) {
@@ -614,10 +1337,12 @@ const app = (() => {
   function saveStationForm() {
     const editingId = document.getElementById('sf-editing-id').value.trim();
     const name = document.getElementById('sf-name').value.trim();
+    const nameRead = document.getElementById('sf-name-read').value.trim();
     const id = document.getElementById('sf-id').value.trim();
     const category = document.getElementById('sf-category').value;
     const lat = parseFloat(document.getElementById('sf-lat').value) || null;
     const lon = parseFloat(document.getElementById('sf-lon').value) || null;
+    const radius = parseFloat(document.getElementById('sf-radius').value);
     const keywords = document.getElementById('sf-keywords').value.trim().split('|').map(k => k.trim()).filter(Boolean);
     const templates = document.getElementById('sf-templates').value.trim().split('/').map(t => t.trim()).filter(Boolean);
     const note = document.getElementById('sf-note').value.trim();
@@ -634,7 +1359,7 @@ const app = (() => {
       return;
     }
 
-    const stationData = { id, name, category, lat, lon, keywords, templates, note, _invalid: false };
+    const stationData = { id, name, name_read: nameRead, category, lat, lon, radius: radius > 0 ? radius : null, keywords, templates, note, _invalid: false };
 
     if (editingId) {
       // 編集
@@ -642,6 +1367,10 @@ const app = (() => {
       if (idx >= 0) {
         state.stations[idx] = stationData;
         mapController.updateMarker(stationData, getFileCounts().get(id) || 0);
+        // 座標・判定半径の変更を距離警告に反映
+        for (const cardId of state.assignments.get(editingId) || []) {
+          uiController.updateCardDistanceWarning(cardId, editingId);
+        }
       }
     } else {
       // 追加
@@ -682,6 +1411,8 @@ const app = (() => {
             state.swimlaneIds.delete(stationId);
             state.stations = state.stations.filter(s => s.id !== stationId);
             state.assignments.delete(stationId);
+            state.keywordSuggestions.delete(stationId);
+            uiController.setKeywordSuggestionCount(_keywordSuggestionCount());
             uiController.renderStationList(state.stations, getFileCounts());
             uiController.showToast(`地点「${st.name}」を削除しました`, 'success');
           },
@@ -849,6 +1580,7 @@ const app = (() => {
       uiController.showToast('出力するファイルがありません', 'warn');
       return;
     }
+    if (_isBusy()) return;
 
     // 未分類ファイルの確認
     const unclassIds = state.assignments.get('') || [];
@@ -904,17 +1636,81 @@ const app = (() => {
       return;
     }
 
-    let result;
-    if (format === 'A') {
-      result = dataProcessor.mergeAllData(assignments, state.cards);
-    } else {
-      result = dataProcessor.calculateDepthBinAverages(assignments, state.cards);
+    // センサー異常の列の確認（キャスト要約・貧酸素要約は異常列を自動で除外して算出するため確認しない）
+    let blankDeadChannels = false;
+    const deadCards = assignments.filter(a => a.card.deadChannels && a.card.deadChannels.length > 0);
+    if (deadCards.length > 0 && format !== 'S' && format !== 'H') {
+      const cols = [...new Set(deadCards.flatMap(a => a.card.deadChannels.map(d => d.column)))];
+      await new Promise(resolve => {
+        uiController.showConfirm(
+          '⚠️ センサー異常の列',
+          `${deadCards.length}件のファイルで固着・未接続と思われる列があります（${cols.join(', ')}）。該当ファイルのこれらの列を空欄にして出力しますか？`,
+          [
+            { label: '空欄にする', type: 'primary', callback: () => { blankDeadChannels = true; resolve(); } },
+            { label: 'そのまま出力', type: 'secondary', callback: () => { blankDeadChannels = false; resolve(); } },
+          ]
+        );
+      });
+    }
+
+    // 列の型の確認（値の種類が混在している列があれば確認を促す。要約は列の型を使わない）
+    const schema = getColumnSchema();
+    const ambiguous = columnSchema.ambiguousColumns(schema);
+    if (ambiguous.length > 0 && format !== 'S' && format !== 'H') {
+      let review = false;
+      await new Promise(resolve => {
+        uiController.showConfirm(
+          '列の型の確認',
+          `値の種類が混在している列があります（${ambiguous.map(a => `${a.column}: ${columnSchema.TYPES[a.type].label}`).join(', ')}）。推定した型のまま出力しますか？`,
+          [
+            { label: '推定のまま出力', type: 'primary', callback: () => { review = false; resolve(); } },
+            { label: '列の型を確認', type: 'secondary', callback: () => { review = true; resolve(); } },
+          ]
+        );
+      });
+      if (review) {
+        openColumnSchema();
+        return;
+      }
     }
 
-    const blob = dataProcessor.generateCSVBlob(result.headers, result.rows);
-    const fileName = dataProcessor.generateOutputFileName(format);
-    _downloadBlob(blob, fileName);
-    uiController.showToast(`${fileName} をダウンロードしました（${result.rows.length}行）`, 'success');
+    const options = { ...state.settings, blankDeadChannels, columnTypes: columnSchema.typeMap(schema) };
+    const fileName = dataProcessor.generateOutputFileName(format, state.settings);
+    if (_isBusy()) return; // 確認ダイアログの間に読み込みが始まった場合
+
+    // 集計・CSV の作成は Worker で行う（中止できる）
+    const output = await _runInWorker('output', { format, assignments, options }, `${fileName} を作成中`);
+    if (!output) return;
+
+    _downloadBlob(output.blob, fileName);
+    uiController.showToast(`${fileName} をダウンロードしました（${output.rowCount}行）`, 'success');
+  }
+
+  /**
+   * 出力の作成を Worker で1件実行（進行状況を表示し、中止・失敗は通知する）
+   * @param {'output'|'archive'} type  workerTasks の処理
+   * @param {object} payload
+   * @param {string} label  進行状況の表示
+   * @returns {Promise<*|null>}  中止・失敗した場合は null
+   */
+  async function _runInWorker(type, payload, label) {
+    const pool = workerPool.createPool(1);
+    activePool = pool;
+    uiController.showProgress(label, null, null);
+    try {
+      return await pool.run(type, payload);
+    } catch (err) {
+      if (workerPool.isCancelled(err)) {
+        uiController.showToast('出力を中止しました', 'info');
+      } else {
+        uiController.showToast(`出力エラー: ${err.message}`, 'error', 5000);
+      }
+      return null;
+    } finally {
+      pool.terminate();
+      activePool = null;
+      uiController.hideProgress();
+    }
   }
 
   function _buildOutputAssignments(excludeUnclassified, excludeWarning) {
@@ -943,6 +1739,288 @@ const app = (() => {
     return assignments;
   }
 
+  // ─── 仕分け済みファイルの ZIP 出力 ───
+
+  /**
+   * 仕分け済み ZIP 出力のモーダルを開く
+   */
+  function openArchiveExport() {
+    if (state.cards.size === 0) {
+      uiController.showToast('観測データを読み込んでください', 'warn');
+      return;
+    }
+    uiController.openArchiveModal(state.settings.rawArchive);
+  }
+
+  /**
+   * ZIP 内のパスのプレビュー
+   * @param {{ pattern: string, includeUnclassified: boolean }} form
+   * @param {number} [limit]
+   * @returns {{ entries: { from: string, to: string }[], total: number, error: string|null }}
+   */
+  function previewArchive(form, limit = 5) {
+    const error = rawArchive.validatePattern(form.pattern);
+    if (error) return { entries: [], total: 0, error };
+    const plan = rawArchive.planArchive(_buildOutputAssignments(!form.includeUnclassified, false), form);
+    return {
+      entries: plan.entries.slice(0, limit).map(e => ({ from: e.card.relativePath || e.card.fileName, to: e.path })),
+      total: plan.entries.length,
+      error: null,
+    };
+  }
+
+  /**
+   * 読み込んだファイルを地点ごとのフォルダに仕分けた ZIP をダウンロード（ファイルの中身は変更しない）
+   */
+  async function exportArchive() {
+    const form = uiController.readArchiveForm();
+    const error = rawArchive.validatePattern(form.pattern);
+    if (error) {
+      uiController.showToast(error, 'error');
+      return;
+    }
+    if (_isBusy()) return;
+    state.settings.rawArchive = form;
+
+    const plan = rawArchive.planArchive(_buildOutputAssignments(!form.includeUnclassified, false), form);
+    if (plan.missing.length > 0) {
+      uiController.showToast(`元のファイルがないため除外: ${plan.missing.map(c => c.fileName).join(', ')}`, 'warn', 6000);
+    }
+    if (plan.entries.length === 0) {
+      uiController.showToast('出力対象のファイルがありません', 'warn');
+      return;
+    }
+    uiController.closeArchiveModal();
+
+    const fileName = rawArchive.generateArchiveFileName();
+    const output = await _runInWorker('archive', {
+      entries: plan.entries.map(e => ({ path: e.path, file: e.file })),
+      manifest: plan.manifest,
+    }, `${fileName} を作成中`);
+    if (!output) return;
+
+    _downloadBlob(output.blob, fileName);
+    uiController.showToast(`${fileName} をダウンロードしました（${output.fileCount}ファイル）`, 'success');
+  }
+
+  // ─── 出力設定 ───
+
+  function openSettings() {
+    uiController.openSettingsModal(state.settings);
+  }
+
+  /**
+   * 出力設定モーダルの値を保存
+   */
+  function saveSettings() {
+    const form = uiController.readSettingsForm();
+    const bin = form.depthBin;
+    if (!(bin.width > 0)) {
+      uiController.showToast('区分幅は 0 より大きい値を入力してください', 'error');
+      return;
+    }
+    if (bin.maxDepth !== null && !(bin.maxDepth > 0)) {
+      uiController.showToast('最大水深は 0 より大きい値を入力するか、空欄にしてください', 'error');
+      return;
+    }
+    if (!(form.binStats.trimPercent >= 0 && form.binStats.trimPercent < 50)) {
+      uiController.showToast('トリム平均の割合は 0 以上 50 未満の値を入力してください', 'error');
+      return;
+    }
+    const std = form.standardLayers;
+    if (!std.depths) {
+      uiController.showToast('標準層の固定水深は 0 以上の数値をカンマ区切りで入力してください', 'error');
+      return;
+    }
+    if (std.depths.length === 0 && !std.mid && !std.b1m && !std.bottom) {
+      uiController.showToast('標準層を1つ以上指定してください', 'error');
+      return;
+    }
+    const qc = form.qc;
+    if (!(qc.inversionThreshold >= 0)) {
+      uiController.showToast('密度逆転しきい値は 0 以上の値を入力してください', 'error');
+      return;
+    }
+    const badParam = qc.parameters.find(p =>
+      [p.min, p.max, p.spike, p.gradient, p.flatCount].some(v => v !== null && isNaN(v)) ||
+      (p.min !== null && p.max !== null && p.min > p.max)
+    );
+    if (badParam) {
+      uiController.showToast(`QC 条件が不正です: ${badParam.label}`, 'error');
+      return;
+    }
+    if (!form.hypoxia.thresholds) {
+      uiController.showToast('貧酸素しきい値は 0 より大きい数値をカンマ区切りで入力してください', 'error');
+      return;
+    }
+    Object.assign(state.settings, form);
+    // QC の範囲設定が変わるとセンサー異常の判定も変わる
+    for (const card of state.cards.values()) {
+      card.deadChannels = qcEngine.detectDeadChannels(card.parsed, state.settings.qc);
+      card.structure = castAnalysis.analyzeStructure(card);
+      card.hypoxia = hypoxia.analyzeCard(card, state.settings.hypoxia.thresholds);
+      uiController.refreshFileCard(card);
+    }
+    uiController.closeSettingsModal();
+    uiController.showToast('出力設定を保存しました', 'success');
+  }
+
+  // ─── 列の型（スキーマ） ───
+
+  /**
+   * 読み込んだ全ファイルの列の型（保存済みの指定で上書き）
+   * @returns {object[]}  columnSchema.buildSchema の結果
+   */
+  function getColumnSchema() {
+    return columnSchema.buildSchema([...state.cards.values()], state.columnOverrides);
+  }
+
+  /**
+   * 列の型モーダルを開く
+   */
+  function openColumnSchema() {
+    if (state.cards.size === 0) {
+      uiController.showToast('観測データを読み込んでください', 'warn');
+      return;
+    }
+    uiController.openSchemaModal(getColumnSchema());
+  }
+
+  /**
+   * 列の型モーダルの指定を保存（推定と同じ型の列は指定を解除）
+   * 読み込んでいない列の保存済みの指定は残す
+   */
+  function saveColumnSchema() {
+    const selected = uiController.readSchemaForm(); // 列名 → 型
+    const schema = getColumnSchema();
+    for (const s of schema) {
+      if (!(s.column in selected)) continue;
+      if (selected[s.column] === s.inferred) delete state.columnOverrides[s.column];
+      else state.columnOverrides[s.column] = selected[s.column];
+    }
+    const saved = columnSchema.saveOverrides(state.columnOverrides);
+    uiController.closeSchemaModal();
+    if (saved) {
+      uiController.showToast('列の型を保存しました', 'success');
+    } else {
+      uiController.showToast('列の型を適用しました（ブラウザに保存できないため、再読み込みで元に戻ります）', 'warn');
+    }
+  }
+
+  /**
+   * 全列の型の指定を解除して推定に戻す
+   */
+  function resetColumnSchema() {
+    for (const key of Object.keys(state.columnOverrides)) delete state.columnOverrides[key];
+    columnSchema.saveOverrides(state.columnOverrides);
+    uiController.openSchemaModal(getColumnSchema());
+    uiController.showToast('列の型を推定に戻しました', 'success');
+  }
+
+  // ─── 列名の対応表 ───
+
+  /**
+   * 列名の対応表モーダルを開く
+   * @param {string} [cardId]  指定するとそのファイルの未対応の列を対応付け待ちとして追加
+   * @param {Event} [e]
+   */
+  function openColumnAliases(cardId, e) {
+    if (e) e.stopPropagation(); // カード選択イベントを抑止
+    const card = cardId ? state.cards.get(cardId) : null;
+    const pending = card && card.parsed.unmatchedColumns ? card.parsed.unmatchedColumns : [];
+    uiController.openAliasModal(state.columnAliases, pending, _aliasTargets());
+  }
+
+  /**
+   * 統一後の列名の候補（標準の列名 + 読み込み済みの列名）
+   * @returns {string[]}
+   */
+  function _aliasTargets() {
+    const set = new Set(columnAliases.KNOWN_COLUMNS);
+    for (const card of state.cards.values()) {
+      for (const h of card.parsed.headerRow || []) if (h.trim()) set.add(h);
+    }
+    return [...set];
+  }
+
+  /**
+   * 列名の対応表モーダルの内容を保存し、読み込み済みのファイルに適用し直す
+   */
+  function saveColumnAliases() {
+    const dictionary = uiController.readAliasForm();
+    const error = columnAliases.validate(dictionary);
+    if (error) {
+      uiController.showToast(error, 'error');
+      return;
+    }
+    _setColumnAliases(dictionary);
+    uiController.closeAliasModal();
+  }
+
+  /**
+   * 列名の対応表を既定に戻す
+   */
+  function resetColumnAliases() {
+    _setColumnAliases(columnAliases.DEFAULT_ALIASES.map(e => ({ ...e })));
+    uiController.openAliasModal(state.columnAliases, [], _aliasTargets());
+  }
+
+  /**
+   * 対応表を更新・保存し、読み込み済みのファイルの列名・値と派生情報を求め直す
+   * @param {{ from: string, to: string }[]} dictionary
+   */
+  function _setColumnAliases(dictionary) {
+    state.columnAliases = dictionary;
+    const saved = columnAliases.save(dictionary);
+    const warnings = [];
+    for (const card of state.cards.values()) {
+      for (const w of fileHandler.applyColumnAliases(card.parsed, dictionary)) warnings.push(`${w}（${card.fileName}）`);
+      card.cast = _segmentCard(card);
+      card.deadChannels = qcEngine.detectDeadChannels(card.parsed, state.settings.qc);
+      card.structure = castAnalysis.analyzeStructure(card);
+      card.hypoxia = hypoxia.analyzeCard(card, state.settings.hypoxia.thresholds);
+      uiController.refreshFileCard(card);
+    }
+    for (const w of new Set(warnings)) uiController.showToast(`⚠️ ${w}`, 'warn', 6000);
+    if (saved) {
+      uiController.showToast('列名の対応表を保存しました', 'success');
+    } else {
+      uiController.showToast('列名の対応表を適用しました（ブラウザに保存できないため、再読み込みで元に戻ります）', 'warn');
+    }
+  }
+
+  /**
+   * 列名の対応表を CSV でダウンロード
+   */
+  function exportColumnAliases() {
+    const { headers, rows } = columnAliases.toCSVRows(state.columnAliases);
+    _downloadBlob(dataProcessor.generateCSVBlob(headers, rows), '列名対応表.csv');
+    uiController.showToast(`列名対応表.csv をダウンロードしました（${rows.length}件）`, 'success');
+  }
+
+  /**
+   * CSV の対応表をモーダルに読み込む（保存するまで適用しない）
+   * @param {Event} e
+   */
+  async function importColumnAliases(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let result;
+    try {
+      result = columnAliases.fromCSV(await fileHandler.readFile(file, null));
+    } catch (err) {
+      uiController.showToast(`読み込みエラー: ${file.name} - ${err.message}`, 'error', 5000);
+      return;
+    }
+    if (result.error) {
+      uiController.showToast(`${result.error}: ${file.name}`, 'error', 5000);
+      return;
+    }
+    uiController.openAliasModal(result.dictionary, [], _aliasTargets());
+    uiController.showToast(`${file.name} を読み込みました（${result.dictionary.length}件）。保存すると適用されます`, 'info', 5000);
+  }
+
   // ─── 地点マスタ CSV ダウンロード ───
 
   /**
@@ -955,7 +2033,7 @@ const app = (() => {
       return;
     }
 
-    const headers = ['地点ID', '地点名', '地点名_読み', '調査区分', 'テンプレート', '緯度', '経度', 'ファイル名キーワード', '備考'];
+    const headers = ['地点ID', '地点名', '地点名_読み', '調査区分', 'テンプレート', '緯度', '経度', '判定半径_m', 'ファイル名キーワード', '備考'];
     const rows = validStations.map(s => [
       s.id,
       s.name,
@@ -964,6 +2042,7 @@ const app = (() => {
       (s.templates || []).join('/'),
       s.lat !== null ? s.lat : '',
       s.lon !== null ? s.lon : '',
+      s.radius ? s.radius : '',
       (s.keywords || []).join('|'),
       s.note || '',
     ]);
@@ -973,16 +2052,19 @@ const app = (() => {
     const ts = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
     _downloadBlob(blob, `地点マスタ_${ts}.csv`);
     uiController.showToast(`地点マスタ_${ts}.csv をダウンロードしました（${validStations.length}件）`, 'success');
+
+    // 仕分けルールは地点マスタと並べて保管する
+    if (state.assignRules.rules.length > 0) exportAssignRules();
   }
 
   /**
    * 地点マスタの空テンプレートをダウンロード
    */
   function downloadMasterTemplate() {
-    const headers = ['地点ID', '地点名', '地点名_読み', '調査区分', 'テンプレート', '緯度', '経度', 'ファイル名キーワード', '備考'];
+    const headers = ['地点ID', '地点名', '地点名_読み', '調査区分', 'テンプレート', '緯度', '経度', '判定半径_m', 'ファイル名キーワード', '備考'];
     const rows = [
-      ['ST001', '津久根', 'つくね', '定点', '広島湾調査', '35.6812', '139.7671', 'つくね|tsukune|tukune', '備考を入力'],
-      ['ST002', '似島', 'にのしま', '臨時', '広島湾調査/溶存酸素', '35.6812', '139.7671', 'にのしま|ninoshima|ninosima', '備考を入力']
+      ['ST001', '津久根', 'つくね', '定点', '広島湾調査', '35.6812', '139.7671', '300', 'つくね|tsukune|tukune', '備考を入力'],
+      ['ST002', '似島', 'にのしま', '臨時', '広島湾調査/溶存酸素', '35.6812', '139.7671', '', 'にのしま|ninoshima|ninosima', '備考を入力']
     ];
     const blob = dataProcessor.generateCSVBlob(headers, rows);
     _downloadBlob(blob, '地点マスタ_テンプレート.csv');
@@ -1002,6 +2084,20 @@ const app = (() => {
 
   // ─── ユーティリティ ───
 
+  /**
+   * 地点の貧酸素集計（地図のポップアップ・マーカー用）
+   * @param {string} stationId
+   * @returns {object|null}  DO のあるキャストがなければ null
+   */
+  function getStationHypoxia(stationId) {
+    const cardIds = state.assignments.get(stationId) || [];
+    const casts = cardIds
+      .map(id => state.cards.get(id))
+      .filter(c => c && c.hypoxia)
+      .map(c => ({ fileName: c.fileName, result: c.hypoxia }));
+    return hypoxia.summarizeStation(casts);
+  }
+
   /**
    * 各地点のファイル数マップを返す
    * @returns {Map<string, number>}
@@ -1033,6 +2129,16 @@ const app = (() => {
     deleteSwimlane,
     addStationFromMap,
     getFileCounts,
+    getStationHypoxia,
+    getColumnSchema,
+    openColumnSchema,
+    saveColumnSchema,
+    resetColumnSchema,
+    openColumnAliases,
+    saveColumnAliases,
+    resetColumnAliases,
+    exportColumnAliases,
+    importColumnAliases,
     downloadMasterCSV,
     downloadMasterTemplate,
     addSwimlane,
@@ -1040,6 +2146,30 @@ const app = (() => {
     addSwimlanesByTemplate,
     addAllSwimlanes,
     autoAssignUnclassified,
+    acceptAssignSuggestion,
+    resolveConflict,
+    openKeywordSuggestions,
+    openFieldLog,
+    importFieldLog,
+    rematchFieldLog,
+    clearFieldLog,
+    applyKeywordSuggestions,
+    openAssignRules,
+    saveAssignRules,
+    exportAssignRules,
+    importAssignRules,
+    openConflictResolver,
+    applyConflictResolutions,
+    dismissAssignSuggestion,
     openMapForCoordPick,
+    openSettings,
+    saveSettings,
+    setCastMode,
+    setBottomContact,
+    resetBottomContact,
+    cancelTask,
+    openArchiveExport,
+    previewArchive,
+    exportArchive,
   };
 })();
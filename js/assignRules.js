@@ -0,0 +1,384 @@
+/**
+ * assignRules.js
+ * 仕分けルール: ファイル名・フォルダの正規表現、観測日・月、センサー番号、GPS の範囲を条件に、地点またはテンプレートへ割り当てる順序付きのルール
+ * 自動仕分けはファイル名キーワードより先に上から順にルールを評価し、最初に一致したルールを使う
+ * ルールは版（保存のたびに +1）付きでブラウザ（localStorage）に保存し、地点マスタと並べて CSV で入出力する
+ */
+'use strict';
+
+const assignRules = (() => {
+
+  /** 割り当て先がテンプレートであることを示す接頭辞（例: "テンプレート:広島湾調査"） */
+  const TEMPLATE_PREFIX = 'テンプレート:';
+
+  /** ルールの保存キー（localStorage） */
+  const STORAGE_KEY = 'aaq-rinko-csv.assignRules';
+
+  /** CSV の列名（1行目は「版,<版>,更新日時,<日時>」、2行目がこの列名） */
+  const CSV_HEADERS = [
+    '有効', 'ルール名', 'ファイル名（正規表現）', 'フォルダ（正規表現）', '観測日（から）', '観測日（まで）', '月',
+    'センサー番号', '緯度（南端）', '緯度（北端）', '経度（西端）', '経度（東端）', '割り当て先',
+  ];
+
+  /** CSV の1行目の先頭 */
+  const VERSION_LABEL = '版';
+
+  /**
+   * 空のルール
+   * - months: 観測月（1〜12）。年をまたぐ範囲は [12, 1, 2] のように列挙
+   * - bbox:   GPS の範囲（空欄の辺は制限なし。いずれかを指定すると GPS のないファイルは一致しない）
+   * - target: 地点ID または TEMPLATE_PREFIX + テンプレート名
+   * @returns {object}
+   */
+  function emptyRule() {
+    return {
+      enabled: true,
+      name: '',
+      fileName: '',
+      path: '',
+      dateFrom: '',
+      dateTo: '',
+      months: [],
+      sondeNo: '',
+      bbox: { south: null, north: null, west: null, east: null },
+      target: '',
+    };
+  }
+
+  /**
+   * 空のルール集（版 0）
+   * @returns {{ version: number, updatedAt: string, rules: object[] }}
+   */
+  function emptyRuleSet() {
+    return { version: 0, updatedAt: '', rules: [] };
+  }
+
+  /**
+   * 割り当て先を解釈
+   * @param {string} target
+   * @returns {{ stationId: string }|{ template: string }|null}
+   */
+  function parseTarget(target) {
+    const t = (target || '').trim();
+    if (!t) return null;
+    if (t.startsWith(TEMPLATE_PREFIX)) return { template: t.slice(TEMPLATE_PREFIX.length).trim() };
+    return { stationId: t };
+  }
+
+  /**
+   * 日付を "YYYY-MM-DD" に揃える
+   * @param {string} text  例: "2024/2/1", "2024-02-01", "2018/06/14 08:42:18"
+   * @returns {string|null}
+   */
+  function _normalizeDate(text) {
+    const m = /(\d{4})[/-](\d{1,2})[/-](\d{1,2})/.exec(text || '');
+    if (!m) return null;
+    return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  }
+
+  /**
+   * センサー番号を比較用に揃える（前後の空白と先頭の 0 を除く。"0387" と "387" は同じ）
+   * @param {string} no
+   * @returns {string}
+   */
+  function _normalizeSondeNo(no) {
+    return String(no || '').trim().replace(/^0+(?=.)/, '');
+  }
+
+  function _hasBbox(bbox) {
+    return !!bbox && ['south', 'north', 'west', 'east'].some(k => bbox[k] !== null && bbox[k] !== undefined);
+  }
+
+  /**
+   * ルールに条件が1つ以上あるか
+   * @param {object} rule
+   * @returns {boolean}
+   */
+  function _hasCondition(rule) {
+    return !!(rule.fileName || rule.path || rule.dateFrom || rule.dateTo || rule.months.length > 0 ||
+      rule.sondeNo || _hasBbox(rule.bbox));
+  }
+
+  /**
+   * ルールの表示名（ルール名が空欄なら「ルール<番号>」）
+   * @param {object} rule
+   * @param {number} index  0 始まりの順番
+   * @returns {string}
+   */
+  function ruleLabel(rule, index) {
+    return rule.name ? `ルール${index + 1}「${rule.name}」` : `ルール${index + 1}`;
+  }
+
+  /**
+   * ルールの検証（正規表現・日付・GPS の範囲・条件と割り当て先の有無）
+   * @param {object[]} rules
+   * @returns {string|null}  エラーメッセージ（問題なければ null）
+   */
+  function validate(rules) {
+    for (let i = 0; i < rules.length; i++) {
+      const r = rules[i];
+      const label = ruleLabel(r, i);
+      for (const [key, title] of [['fileName', 'ファイル名'], ['path', 'フォルダ']]) {
+        if (!r[key]) continue;
+        try {
+          new RegExp(r[key], 'i');
+        } catch (e) {
+          return `${label}: ${title}の正規表現が正しくありません（${e.message}）`;
+        }
+      }
+      for (const [key, title] of [['dateFrom', '観測日（から）'], ['dateTo', '観測日（まで）']]) {
+        if (r[key] && !_normalizeDate(r[key])) return `${label}: ${title}は YYYY-MM-DD で入力してください`;
+      }
+      if (r.months.some(m => !Number.isInteger(m) || m < 1 || m > 12)) return `${label}: 月は 1〜12 で入力してください`;
+      const b = r.bbox;
+      if (b.south !== null && b.north !== null && b.south > b.north) return `${label}: 緯度の南端が北端より北です`;
+      if (b.west !== null && b.east !== null && b.west > b.east) return `${label}: 経度の西端が東端より東です`;
+      if (!_hasCondition(r)) return `${label}: 条件を1つ以上指定してください`;
+      if (!parseTarget(r.target)) return `${label}: 割り当て先を指定してください`;
+    }
+    return null;
+  }
+
+  /**
+   * カードがルールの条件をすべて満たすか（空欄の条件は問わない）
+   * @param {object} card
+   * @param {object} rule
+   * @returns {boolean}
+   */
+  function matches(card, rule) {
+    const parsed = card.parsed || {};
+    if (rule.fileName && !new RegExp(rule.fileName, 'i').test(card.fileName)) return false;
+    if (rule.path) {
+      const path = card.relativePath || card.fileName;
+      const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+      if (!new RegExp(rule.path, 'i').test(folder)) return false;
+    }
+    if (rule.dateFrom || rule.dateTo || rule.months.length > 0) {
+      const date = _normalizeDate(parsed.firstDateTime);
+      if (!date) return false;
+      if (rule.dateFrom && date < _normalizeDate(rule.dateFrom)) return false;
+      if (rule.dateTo && date > _normalizeDate(rule.dateTo)) return false;
+      if (rule.months.length > 0 && !rule.months.includes(Number(date.slice(5, 7)))) return false;
+    }
+    if (rule.sondeNo) {
+      const no = parsed.metadata && parsed.metadata.sondeNo;
+      if (!no || _normalizeSondeNo(no) !== _normalizeSondeNo(rule.sondeNo)) return false;
+    }
+    if (_hasBbox(rule.bbox)) {
+      const gps = parsed.gpsCoord;
+      if (!gps) return false;
+      const b = rule.bbox;
+      if ((b.south !== null && gps.lat < b.south) || (b.north !== null && gps.lat > b.north)) return false;
+      if ((b.west !== null && gps.lon < b.west) || (b.east !== null && gps.lon > b.east)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 最初に一致する有効なルール
+   * @param {object} card
+   * @param {object[]} rules
+   * @returns {{ rule: object, index: number }|null}
+   */
+  function findRule(card, rules) {
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (rule.enabled && _hasCondition(rule) && matches(card, rule)) return { rule, index: i };
+    }
+    return null;
+  }
+
+  /**
+   * ルールの条件の要約（例: "ファイル名 ^\d{8}_0[1-3] ・ 2月 → テンプレート:広島湾調査"）
+   * @param {object} rule
+   * @returns {string}
+   */
+  function describe(rule) {
+    const parts = [];
+    if (rule.fileName) parts.push(`ファイル名 ${rule.fileName}`);
+    if (rule.path) parts.push(`フォルダ ${rule.path}`);
+    if (rule.dateFrom || rule.dateTo) parts.push(`観測日 ${rule.dateFrom || ''}〜${rule.dateTo || ''}`);
+    if (rule.months.length > 0) parts.push(`${rule.months.join('・')}月`);
+    if (rule.sondeNo) parts.push(`センサー番号 ${rule.sondeNo}`);
+    if (_hasBbox(rule.bbox)) {
+      const b = rule.bbox;
+      const v = x => (x === null ? '…' : x);
+      parts.push(`緯度 ${v(b.south)}〜${v(b.north)}・経度 ${v(b.west)}〜${v(b.east)}`);
+    }
+    return `${parts.join(' ・ ')} → ${rule.target}`;
+  }
+
+  /**
+   * ルールを保存して版を上げる
+   * @param {{ version: number }} current  現在のルール集
+   * @param {object[]} rules
+   * @returns {{ ruleSet: object, saved: boolean }}  saved = ブラウザに保存できたか
+   */
+  function commit(current, rules) {
+    const now = new Date();
+    const pad2 = n => String(n).padStart(2, '0');
+    const ruleSet = {
+      version: (current.version || 0) + 1,
+      updatedAt: `${now.getFullYear()}/${pad2(now.getMonth() + 1)}/${pad2(now.getDate())} ${pad2(now.getHours())}:${pad2(now.getMinutes())}`,
+      rules,
+    };
+    return { ruleSet, saved: save(ruleSet) };
+  }
+
+  /**
+   * 保存されているルール集を読み込む（未保存・保存できない環境では空）
+   * @returns {{ version: number, updatedAt: string, rules: object[] }}
+   */
+  function load() {
+    try {
+      const text = localStorage.getItem(STORAGE_KEY);
+      if (text) {
+        const data = JSON.parse(text);
+        if (data && Array.isArray(data.rules)) {
+          return {
+            version: Number(data.version) || 0,
+            updatedAt: String(data.updatedAt || ''),
+            rules: data.rules.map(r => ({ ...emptyRule(), ...r, bbox: { ...emptyRule().bbox, ...r.bbox } })),
+          };
+        }
+      }
+    } catch (e) {
+      // 読み込めなければ空
+    }
+    return emptyRuleSet();
+  }
+
+  /**
+   * ルール集を保存
+   * @param {object} ruleSet
+   * @returns {boolean}  保存できたか
+   */
+  function save(ruleSet) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(ruleSet));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * ルール集を CSV の行へ（dataProcessor.generateCSVBlob に渡す。1行目が版、2行目が列名）
+   * @param {{ version: number, updatedAt: string, rules: object[] }} ruleSet
+   * @returns {{ headers: string[], rows: string[][] }}
+   */
+  function toCSVRows(ruleSet) {
+    const num = v => (v === null || v === undefined ? '' : String(v));
+    return {
+      headers: [VERSION_LABEL, String(ruleSet.version), '更新日時', ruleSet.updatedAt],
+      rows: [CSV_HEADERS, ...ruleSet.rules.map(r => [
+        r.enabled ? '1' : '0', r.name, r.fileName, r.path, r.dateFrom, r.dateTo, r.months.join('|'),
+        r.sondeNo, num(r.bbox.south), num(r.bbox.north), num(r.bbox.west), num(r.bbox.east), r.target,
+      ])],
+    };
+  }
+
+  /**
+   * ルールの CSV か（1行目が「版,…」）
+   * @param {string} text
+   * @returns {boolean}
+   */
+  function isRulesCSV(text) {
+    const first = fileHandler.splitLines(text).find(l => l.trim() !== '');
+    return !!first && fileHandler.parseCsvLine(first)[0].trim() === VERSION_LABEL;
+  }
+
+  /**
+   * 数値の欄を読む（空欄は null, 数値でなければ NaN）
+   * @param {string} cell
+   * @returns {number|null}
+   */
+  function _numberCell(cell) {
+    const t = (cell || '').trim();
+    return t === '' ? null : Number(t);
+  }
+
+  /**
+   * CSV からルール集を読み込む
+   * @param {string} text
+   * @returns {{ ruleSet: object|null, error: string|null }}
+   */
+  function fromCSV(text) {
+    const lines = fileHandler.splitLines(text).filter(l => l.trim() !== '');
+    if (lines.length < 2 || !isRulesCSV(text)) {
+      return { ruleSet: null, error: `1行目は「${VERSION_LABEL},<版>,更新日時,<日時>」、2行目は列名にしてください` };
+    }
+    const meta = fileHandler.parseCsvLine(lines[0]).map(c => c.trim());
+    const header = fileHandler.parseCsvLine(lines[1]).map(h => h.trim());
+    const col = {};
+    header.forEach((h, i) => { col[h] = i; });
+    const missing = CSV_HEADERS.filter(h => col[h] === undefined);
+    if (missing.length > 0) return { ruleSet: null, error: `列が不足しています: ${missing.join(', ')}` };
+
+    const rules = [];
+    for (const line of lines.slice(2)) {
+      const cells = fileHandler.parseCsvLine(line);
+      const get = h => (cells[col[h]] || '').trim();
+      const bbox = {
+        south: _numberCell(get('緯度（南端）')),
+        north: _numberCell(get('緯度（北端）')),
+        west: _numberCell(get('経度（西端）')),
+        east: _numberCell(get('経度（東端）')),
+      };
+      if (Object.values(bbox).some(v => Number.isNaN(v))) {
+        return { ruleSet: null, error: `GPS の範囲が数値ではありません（${rules.length + 1}件目）` };
+      }
+      rules.push({
+        enabled: !/^(0|false|no|いいえ|×)$/i.test(get('有効')),
+        name: get('ルール名'),
+        fileName: get('ファイル名（正規表現）'),
+        path: get('フォルダ（正規表現）'),
+        dateFrom: _normalizeDate(get('観測日（から）')) || get('観測日（から）'),
+        dateTo: _normalizeDate(get('観測日（まで）')) || get('観測日（まで）'),
+        months: get('月').split('|').map(m => m.trim()).filter(Boolean).map(Number),
+        sondeNo: get('センサー番号'),
+        bbox,
+        target: get('割り当て先'),
+      });
+    }
+    const error = validate(rules);
+    if (error) return { ruleSet: null, error };
+    return {
+      ruleSet: { version: Number(meta[1]) || 0, updatedAt: meta[3] || '', rules },
+      error: null,
+    };
+  }
+
+  /**
+   * CSV のファイル名（例: "仕分けルール_v3_20240614.csv"）
+   * @param {{ version: number }} ruleSet
+   * @returns {string}
+   */
+  function generateFileName(ruleSet) {
+    const now = new Date();
+    const ts = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+    return `仕分けルール_v${ruleSet.version}_${ts}.csv`;
+  }
+
+  // ─── 公開 API ───
+  return {
+    TEMPLATE_PREFIX,
+    STORAGE_KEY,
+    CSV_HEADERS,
+    emptyRule,
+    emptyRuleSet,
+    parseTarget,
+    ruleLabel,
+    validate,
+    matches,
+    findRule,
+    describe,
+    commit,
+    load,
+    save,
+    toCSVRows,
+    isRulesCSV,
+    fromCSV,
+    generateFileName,
+  };
+})();
@@ -0,0 +1,200 @@
+/**
+ * castAnalysis.js
+ * キャスト単位の解析: 鉛直プロファイルの作成と水柱構造（混合層・躍層・表底差）の算出
+ */
+'use strict';
+
+const castAnalysis = (() => {
+
+  /**
+   * 水柱構造の算出条件
+   * - profileBin:        鉛直プロファイルを作る水深幅 [m]（この幅ごとに平均）
+   * - refDepth:          混合層の基準水深 [m]（これ以浅の最深点を基準とする）
+   * - densityThreshold:  閾値法: 基準からの σθ 増加量 [kg/m3]
+   * - gradientThreshold: 勾配法: σθ の鉛直勾配 [kg/m3/m]
+   * - clineThresholds:   躍層とみなす勾配の大きさの下限（躍層の key ごと, 単位は CLINES の unit）
+   */
+  const STRUCTURE_DEFAULTS = {
+    profileBin: 0.5,
+    refDepth: 0.5,
+    densityThreshold: 0.03,
+    gradientThreshold: 0.05,
+    clineThresholds: { thermocline: 0.2, halocline: 0.2, pycnocline: 0.1 },
+  };
+
+  /**
+   * 躍層の種類（算出に使う変数・出力列名・単位）
+   * sign: 安定成層での勾配の向き（深いほど 水温は下がり、塩分・σθ は上がる）。逆向きの勾配は躍層としない
+   */
+  const CLINES = [
+    { key: 'thermocline', variable: 'temp',  label: '水温躍層', unit: '℃/m',     sign: -1 },
+    { key: 'halocline',   variable: 'sal',   label: '塩分躍層', unit: '/m',      sign: 1 },
+    { key: 'pycnocline',  variable: 'sigma', label: '密度躍層', unit: 'kg/m3/m', sign: 1 },
+  ];
+
+  /**
+   * カードの鉛直プロファイル（水深順）を作る
+   * 形式B と同じキャスト区分の行（既定は下降のみ）を profileBin ごとに平均する
+   * プロファイル済みファイルは各行をそのまま使う。センサー異常の列は欠測として扱う
+   * @param {object} card
+   * @param {object} [params]  STRUCTURE_DEFAULTS と同じ形
+   * @returns {{ z: number, temp: number, sal: number, sigma: number, doMg: number, doPct: number }[]}
+   *   欠測は NaN
+   */
+  function buildProfile(card, params = {}) {
+    const parsed = card.parsed;
+    if (!parsed || parsed.error || !parsed.dataRows) return [];
+    const { profileBin } = { ...STRUCTURE_DEFAULTS, ...params };
+    const headers = parsed.headerRow;
+    const dead = (card.deadChannels || []).map(d => d.column);
+    const colIdx = re => headers.findIndex(h => re.test(h) && !dead.includes(h));
+    const depthIdx = headers.findIndex(h => h.includes('深度') || h.toLowerCase().includes('depth'));
+    if (depthIdx < 0) return [];
+    const idx = {
+      temp: colIdx(/^水温/),
+      sal: colIdx(/^塩分/),
+      cond: colIdx(/^電導度/),
+      doMg: colIdx(/^DO \[mg/i),
+      doPct: colIdx(/^DO \[%\]/),
+    };
+    const num = (row, i) => (i >= 0 ? parseFloat(row[i]) : NaN);
+    const mode = dataProcessor.CAST_MODES[card.castMode] || dataProcessor.CAST_MODES[dataProcessor.DEFAULT_CAST_MODE];
+    const phases = [...mode.phases, 'profile'];
+    const lat = parsed.gpsCoord ? parsed.gpsCoord.lat : 35;
+
+    const points = [];
+    parsed.dataRows.forEach((row, r) => {
+      if (card.cast && !phases.includes(card.cast.phases[r])) return;
+      const z = parseFloat(row[depthIdx]);
+      if (isNaN(z)) return;
+      const temp = num(row, idx.temp);
+      let sal = num(row, idx.sal);
+      if (isNaN(sal) && !isNaN(temp)) {
+        const cond = num(row, idx.cond);
+        if (!isNaN(cond)) sal = seawater.salinityFromConductivity(cond, temp, seawater.pressureFromDepth(Math.max(z, 0), lat));
+      }
+      let sigma = NaN;
+      if (!isNaN(temp) && !isNaN(sal)) {
+        const p = seawater.pressureFromDepth(Math.max(z, 0), lat);
+        const sa = seawater.absoluteSalinity(sal);
+        sigma = seawater.sigma0(sa, seawater.conservativeTemperature(sa, seawater.potentialTemperature(sal, temp, p)));
+      }
+      points.push({ z, temp, sal, sigma, doMg: num(row, idx.doMg), doPct: num(row, idx.doPct) });
+    });
+
+    if (parsed.isProfile) return points.sort((a, b) => a.z - b.z);
+
+    // profileBin ごとに平均（欠測は変数ごとに除外）
+    const bins = new Map();
+    for (const pt of points) {
+      const key = Math.round(pt.z / profileBin);
+      if (!bins.has(key)) bins.set(key, []);
+      bins.get(key).push(pt);
+    }
+    const mean = (arr, k) => {
+      const vals = arr.map(p => p[k]).filter(v => !isNaN(v));
+      return vals.length > 0 ? vals.reduce((a, b) => a + b, 0) / vals.length : NaN;
+    };
+    return [...bins.keys()].sort((a, b) => a - b).map(key => {
+      const arr = bins.get(key);
+      return {
+        z: mean(arr, 'z'),
+        temp: mean(arr, 'temp'),
+        sal: mean(arr, 'sal'),
+        sigma: mean(arr, 'sigma'),
+        doMg: mean(arr, 'doMg'),
+        doPct: mean(arr, 'doPct'),
+      };
+    });
+  }
+
+  /**
+   * 水柱構造の算出
+   * - 混合層深度（閾値法）: 基準水深の σθ から densityThreshold 増加する水深（線形内挿）
+   * - 混合層深度（勾配法）: σθ の勾配が初めて gradientThreshold を超える区間の上端
+   *   いずれも到達しなければ null（全層混合）
+   * - 躍層: 安定成層の向き（CLINES の sign）で大きさが clineThresholds 以上の勾配のうち、
+   *   最大の区間の中点を深度、その勾配を強度とする。該当する区間がなければ null
+   * - 表底差: 最深点 − 最浅点
+   * @param {object[]} profile  buildProfile の結果
+   * @param {object} [params]   STRUCTURE_DEFAULTS と同じ形
+   * @returns {object|null}  プロファイルが2点未満なら null
+   */
+  function computeStructure(profile, params = {}) {
+    const { refDepth, densityThreshold, gradientThreshold } = { ...STRUCTURE_DEFAULTS, ...params };
+    const clineThresholds = { ...STRUCTURE_DEFAULTS.clineThresholds, ...params.clineThresholds };
+    if (profile.length < 2) return null;
+
+    const result = {
+      maxDepth: profile[profile.length - 1].z,
+      mldThreshold: null,
+      mldGradient: null,
+      surfaceBottom: {},
+    };
+
+    // 混合層（σθ）
+    const dens = profile.filter(p => !isNaN(p.sigma));
+    if (dens.length >= 2) {
+      const shallower = dens.filter(p => p.z <= refDepth);
+      const ref = shallower.length > 0 ? shallower[shallower.length - 1] : dens[0];
+      const target = ref.sigma + densityThreshold;
+      for (let i = dens.indexOf(ref) + 1; i < dens.length; i++) {
+        if (dens[i].sigma >= target) {
+          const a = dens[i - 1], b = dens[i];
+          result.mldThreshold = b.sigma === a.sigma ? b.z : a.z + (target - a.sigma) * (b.z - a.z) / (b.sigma - a.sigma);
+          break;
+        }
+      }
+      for (let i = 1; i < dens.length; i++) {
+        const dz = dens[i].z - dens[i - 1].z;
+        if (dz > 0 && (dens[i].sigma - dens[i - 1].sigma) / dz > gradientThreshold) {
+          result.mldGradient = dens[i - 1].z;
+          break;
+        }
+      }
+    }
+
+    // 躍層
+    for (const cline of CLINES) {
+      const pts = profile.filter(p => !isNaN(p[cline.variable]));
+      const threshold = clineThresholds[cline.key];
+      let best = null;
+      for (let i = 1; i < pts.length; i++) {
+        const dz = pts[i].z - pts[i - 1].z;
+        if (dz <= 0) continue;
+        const grad = (pts[i][cline.variable] - pts[i - 1][cline.variable]) / dz;
+        if (grad * cline.sign < threshold) continue;
+        if (best === null || Math.abs(grad) > Math.abs(best.strength)) {
+          best = { depth: (pts[i].z + pts[i - 1].z) / 2, strength: grad };
+        }
+      }
+      result[cline.key] = best;
+    }
+
+    // 表底差
+    for (const k of ['temp', 'sal', 'sigma', 'doMg']) {
+      const pts = profile.filter(p => !isNaN(p[k]));
+      result.surfaceBottom[k] = pts.length >= 2 ? pts[pts.length - 1][k] - pts[0][k] : null;
+    }
+    return result;
+  }
+
+  /**
+   * カードの水柱構造（buildProfile → computeStructure）
+   * @param {object} card
+   * @param {object} [params]
+   * @returns {object|null}
+   */
+  function analyzeStructure(card, params = {}) {
+    return computeStructure(buildProfile(card, params), params);
+  }
+
+  // ─── 公開 API ───
+  return {
+    STRUCTURE_DEFAULTS,
+    CLINES,
+    buildProfile,
+    computeStructure,
+    analyzeStructure,
+  };
+})();
@@ -0,0 +1,208 @@
+/**
+ * columnAliases.js
+ * 列名の対応表（エイリアス辞書）: 機種・ソフトウェアごとに表記の異なる列名を統一し、単位が違えば値を換算する
+ * 対応表はユーザーが編集でき、ブラウザ（localStorage）に保存・CSV で入出力できる
+ */
+'use strict';
+
+const columnAliases = (() => {
+
+  /**
+   * 既定の対応表（元の列名 → 統一後の列名）
+   * 元の列名と統一後の列名が同じ項目は「そのまま使う列」（未対応の列として扱わない）
+   */
+  const DEFAULT_ALIASES = [
+    { from: '塩分 [ ]',          to: '塩分' },
+    { from: 'Density [kg/m^3]', to: '密度 [kg/m3]' },
+    { from: '濁度相当値 [FTU]',   to: '濁度 [FTU]' },
+    { from: 'Salinity',         to: '塩分' },
+    { from: 'EC25 [mS/cm]',     to: 'EC25 [μS/cm]' },
+  ];
+
+  /** AAQ-RINKO シリーズの標準の列名（対応表になくても未対応としない） */
+  const KNOWN_COLUMNS = [
+    '観測日時', '観測日付', '観測時刻', '深度 [m]', '水温 [℃]', '塩分', '電導度 [mS/cm]', 'EC25 [μS/cm]',
+    '密度 [kg/m3]', 'シグマＴ', 'Chl-Flu. [ppb]', 'Chl-a [μg/l]', '濁度 [FTU]', 'pH', 'DO [%]', 'DO [mg/l]',
+    'マーク', '電池電圧 [V]',
+  ];
+
+  /**
+   * 単位の換算（統一後の値 = 元の値 × factor）
+   * 単位は _normalizeUnit で表記ゆれ（u/µ/μ, l/L, m^3/m3, 大文字小文字）を吸収して比較する
+   * NTU ↔ FTU はホルマジン標準で同じ値（係数 1）
+   * mg/L ↔ μmol/L は溶存酸素（O2 = 31.9988 g/mol）
+   */
+  const UNIT_CONVERSIONS = [
+    { from: 'μS/cm',  to: 'mS/cm',  factor: 0.001 },
+    { from: 'mS/cm',  to: 'μS/cm',  factor: 1000 },
+    { from: 'mS/m',   to: 'mS/cm',  factor: 0.01 },
+    { from: 'mS/cm',  to: 'mS/m',   factor: 100 },
+    { from: 'mg/L',   to: 'μmol/L', factor: 1000 / 31.9988 },
+    { from: 'μmol/L', to: 'mg/L',   factor: 31.9988 / 1000 },
+    { from: 'NTU',    to: 'FTU',    factor: 1 },
+    { from: 'FTU',    to: 'NTU',    factor: 1 },
+  ];
+
+  /** 対応表の保存キー（localStorage） */
+  const STORAGE_KEY = 'aaq-rinko-csv.columnAliases';
+
+  /** CSV 入出力の列名 */
+  const CSV_HEADERS = ['元の列名', '統一後の列名'];
+
+  /**
+   * 単位表記の正規化
+   * @param {string} unit
+   * @returns {string}
+   */
+  function _normalizeUnit(unit) {
+    return unit.trim().replace(/[uµ]/g, 'μ').replace(/\^/g, '').toLowerCase();
+  }
+
+  /**
+   * 列名末尾の [単位] を取り出す
+   * @param {string} column
+   * @returns {string|null}  単位がなければ null（"[ ]" も null）
+   */
+  function unitOf(column) {
+    const m = /\[([^\]]*)\]\s*$/.exec(column);
+    return m && m[1].trim() !== '' ? m[1].trim() : null;
+  }
+
+  /**
+   * 列名の対応による換算係数
+   * @param {string} fromColumn
+   * @param {string} toColumn
+   * @returns {number|null}  換算不要は 1、換算方法が不明な単位の組み合わせは null
+   */
+  function conversionFactor(fromColumn, toColumn) {
+    const a = unitOf(fromColumn), b = unitOf(toColumn);
+    if (a === null || b === null || _normalizeUnit(a) === _normalizeUnit(b)) return 1;
+    const conv = UNIT_CONVERSIONS.find(c =>
+      _normalizeUnit(c.from) === _normalizeUnit(a) && _normalizeUnit(c.to) === _normalizeUnit(b));
+    return conv ? conv.factor : null;
+  }
+
+  /**
+   * 元の列名を対応表で統一後の列名へ
+   * @param {string} column
+   * @param {{ from: string, to: string }[]} dictionary
+   * @returns {{ name: string, factor: number, matched: boolean, unitMismatch: boolean }}
+   *   換算方法が不明な単位の組み合わせは factor = 1（値はそのまま）・unitMismatch = true
+   */
+  function resolve(column, dictionary) {
+    const key = column.trim();
+    const entry = dictionary.find(e => e.from.trim() === key);
+    if (!entry) return { name: column, factor: 1, matched: false, unitMismatch: false };
+    const factor = conversionFactor(entry.from, entry.to);
+    return { name: entry.to, factor: factor === null ? 1 : factor, matched: true, unitMismatch: factor === null };
+  }
+
+  /**
+   * 対応表にも標準の列名にもない列か
+   * @param {string} column  元の列名
+   * @param {{ from: string, to: string }[]} dictionary
+   * @returns {boolean}
+   */
+  function isUnmatched(column, dictionary) {
+    const key = column.trim();
+    if (key === '' || KNOWN_COLUMNS.includes(key)) return false;
+    return !dictionary.some(e => e.from.trim() === key || e.to.trim() === key);
+  }
+
+  /**
+   * 対応表の検証（空欄・重複する元の列名）
+   * @param {{ from: string, to: string }[]} dictionary
+   * @returns {string|null}  エラーメッセージ（問題なければ null）
+   */
+  function validate(dictionary) {
+    const seen = new Set();
+    for (const e of dictionary) {
+      const from = e.from.trim();
+      if (from === '' || e.to.trim() === '') return '元の列名・統一後の列名は空欄にできません';
+      if (seen.has(from)) return `元の列名が重複しています: ${from}`;
+      seen.add(from);
+    }
+    return null;
+  }
+
+  /**
+   * 保存されている対応表を読み込む（未保存・保存できない環境では既定の対応表）
+   * @returns {{ from: string, to: string }[]}
+   */
+  function load() {
+    try {
+      const text = localStorage.getItem(STORAGE_KEY);
+      if (text) {
+        const list = JSON.parse(text);
+        if (Array.isArray(list)) {
+          return list
+            .filter(e => e && typeof e.from === 'string' && typeof e.to === 'string')
+            .map(e => ({ from: e.from, to: e.to }));
+        }
+      }
+    } catch (e) {
+      // 読み込めなければ既定の対応表
+    }
+    return DEFAULT_ALIASES.map(e => ({ ...e }));
+  }
+
+  /**
+   * 対応表を保存
+   * @param {{ from: string, to: string }[]} dictionary
+   * @returns {boolean}  保存できたか
+   */
+  function save(dictionary) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(dictionary));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 対応表を CSV の行へ（dataProcessor.generateCSVBlob に渡す）
+   * @param {{ from: string, to: string }[]} dictionary
+   * @returns {{ headers: string[], rows: string[][] }}
+   */
+  function toCSVRows(dictionary) {
+    return { headers: CSV_HEADERS, rows: dictionary.map(e => [e.from, e.to]) };
+  }
+
+  /**
+   * CSV から対応表を読み込む（1行目は見出し。元の列名・統一後の列名の2列）
+   * @param {string} text
+   * @returns {{ dictionary: { from: string, to: string }[]|null, error: string|null }}
+   */
+  function fromCSV(text) {
+    const lines = fileHandler.splitLines(text).filter(l => l.trim() !== '');
+    if (lines.length === 0) return { dictionary: null, error: '対応表の行がありません' };
+    const header = fileHandler.parseCsvLine(lines[0]).map(h => h.trim());
+    if (header[0] !== CSV_HEADERS[0] || header[1] !== CSV_HEADERS[1]) {
+      return { dictionary: null, error: `1行目は「${CSV_HEADERS.join(',')}」にしてください` };
+    }
+    const dictionary = lines.slice(1).map(l => {
+      const cells = fileHandler.parseCsvLine(l);
+      return { from: (cells[0] || '').trim(), to: (cells[1] || '').trim() };
+    });
+    const error = validate(dictionary);
+    return error ? { dictionary: null, error } : { dictionary, error: null };
+  }
+
+  // ─── 公開 API ───
+  return {
+    DEFAULT_ALIASES,
+    KNOWN_COLUMNS,
+    UNIT_CONVERSIONS,
+    STORAGE_KEY,
+    unitOf,
+    conversionFactor,
+    resolve,
+    isUnmatched,
+    validate,
+    load,
+    save,
+    toCSVRows,
+    fromCSV,
+  };
+})();
@@ -0,0 +1,174 @@
+/**
+ * columnSchema.js
+ * 列の型（スキーマ）: 読み込んだ全ファイルの全行から列ごとの型を推定し、ユーザーの指定で上書きする
+ * 上書きした型はブラウザ（localStorage）に保存し、次回以降の調査でも同じ型を使う
+ */
+'use strict';
+
+const columnSchema = (() => {
+
+  /** 列の型（形式A/B・標準層での扱い） */
+  const TYPES = {
+    number:   { label: '数値',          description: '形式Bで平均・内挿する' },
+    datetime: { label: '日時',          description: '形式Bは区分の先頭行の値' },
+    text:     { label: 'テキスト',      description: '形式Bは区分の先頭行の値' },
+    flag:     { label: 'フラグ・マーク', description: '形式Bは区分内の最大値（1行でも立っていれば立つ）' },
+  };
+
+  /** 上書きした型の保存キー（localStorage） */
+  const STORAGE_KEY = 'aaq-rinko-csv.columnTypes';
+
+  /** 多数派の型をそのまま採用する割合（これ未満は混在とみなしテキスト） */
+  const MAJORITY_RATIO = 0.8;
+
+  /** フラグ・マークとみなす列名 */
+  const FLAG_NAME_PATTERN = /マーク|フラグ|mark|flag|_QC$/i;
+
+  const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+  const DATETIME_PATTERN = /^\d{4}[/-]\d{1,2}[/-]\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)?$|^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+  /**
+   * 値1つの種類
+   * @param {string} value
+   * @returns {'number'|'datetime'|'text'|null}  空欄は null
+   */
+  function classifyValue(value) {
+    const v = String(value === undefined || value === null ? '' : value).trim();
+    if (v === '') return null;
+    if (NUMBER_PATTERN.test(v)) return 'number';
+    if (DATETIME_PATTERN.test(v)) return 'datetime';
+    return 'text';
+  }
+
+  /**
+   * 列の型を推定
+   * - 空欄以外の値の MAJORITY_RATIO 以上が数値 → number（列名がフラグ・マークで整数のみなら flag）
+   * - 同じく日時 → datetime、それ以外（混在を含む）→ text
+   * - 全行空欄 → 列名が日時らしければ datetime、それ以外 text
+   * @param {string} column
+   * @param {{ number: number, datetime: number, text: number, blank: number, integerOnly: boolean }} counts
+   * @returns {{ type: string, confidence: number }}  confidence = 推定した型の値の割合（空欄を除く）
+   */
+  function inferType(column, counts) {
+    const filled = counts.number + counts.datetime + counts.text;
+    if (filled === 0) {
+      return { type: /日時|日付|時刻|date|time/i.test(column) ? 'datetime' : 'text', confidence: 0 };
+    }
+    if (counts.number / filled >= MAJORITY_RATIO) {
+      const flag = FLAG_NAME_PATTERN.test(column) && counts.integerOnly;
+      return { type: flag ? 'flag' : 'number', confidence: counts.number / filled };
+    }
+    if (counts.datetime / filled >= MAJORITY_RATIO) return { type: 'datetime', confidence: counts.datetime / filled };
+    return { type: 'text', confidence: counts.text / filled };
+  }
+
+  /**
+   * 読み込んだ全ファイルからスキーマを作る（列は最初に現れたファイルの順）
+   * @param {object[]} cards  観測データカード（parsed を参照）
+   * @param {object} [overrides]  列名 → 型（ユーザー指定）
+   * @returns {{ column: string, type: string, inferred: string, overridden: boolean,
+   *             confidence: number, counts: object, fileCount: number }[]}
+   */
+  function buildSchema(cards, overrides = {}) {
+    const stats = new Map(); // 列名 → counts
+    for (const card of cards) {
+      const parsed = card.parsed;
+      if (!parsed || parsed.error || !parsed.dataRows) continue;
+      parsed.headerRow.forEach((col, i) => {
+        if (!stats.has(col)) stats.set(col, { number: 0, datetime: 0, text: 0, blank: 0, integerOnly: true, fileCount: 0 });
+        const c = stats.get(col);
+        c.fileCount++;
+        for (const row of parsed.dataRows) {
+          const kind = classifyValue(row[i]);
+          if (kind === null) {
+            c.blank++;
+            continue;
+          }
+          c[kind]++;
+          if (kind === 'number' && !Number.isInteger(Number(row[i]))) c.integerOnly = false;
+        }
+      });
+    }
+    return [...stats.entries()].map(([column, counts]) => {
+      const { type, confidence } = inferType(column, counts);
+      const override = overrides[column];
+      const overridden = !!(override && TYPES[override]);
+      const { fileCount, ...valueCounts } = counts;
+      return {
+        column,
+        type: overridden ? override : type,
+        inferred: type,
+        overridden,
+        confidence,
+        counts: valueCounts,
+        fileCount,
+      };
+    });
+  }
+
+  /**
+   * スキーマから 列名 → 型 を作る（dataProcessor の options.columnTypes）
+   * @param {object[]} schema  buildSchema の結果
+   * @returns {object}
+   */
+  function typeMap(schema) {
+    const map = {};
+    for (const s of schema) map[s.column] = s.type;
+    return map;
+  }
+
+  /**
+   * 型の確認が必要な列（上書きされておらず、値の種類が混在している列）
+   * @param {object[]} schema
+   * @returns {object[]}
+   */
+  function ambiguousColumns(schema) {
+    return schema.filter(s => !s.overridden && s.confidence > 0 && s.confidence < 1);
+  }
+
+  /**
+   * 保存されている型の上書きを読み込む（保存できない環境では空）
+   * @returns {object}  列名 → 型
+   */
+  function loadOverrides() {
+    try {
+      const text = localStorage.getItem(STORAGE_KEY);
+      const obj = text ? JSON.parse(text) : {};
+      const result = {};
+      for (const [col, type] of Object.entries(obj)) {
+        if (TYPES[type]) result[col] = type;
+      }
+      return result;
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * 型の上書きを保存
+   * @param {object} overrides  列名 → 型
+   * @returns {boolean}  保存できたか
+   */
+  function saveOverrides(overrides) {
+    try {
+      if (Object.keys(overrides).length === 0) localStorage.removeItem(STORAGE_KEY);
+      else localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // ─── 公開 API ───
+  return {
+    TYPES,
+    STORAGE_KEY,
+    classifyValue,
+    inferType,
+    buildSchema,
+    typeMap,
+    ambiguousColumns,
+    loadOverrides,
+    saveOverrides,
+  };
+})();
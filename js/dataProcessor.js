@@ -6,6 +6,157 @@
 
 const dataProcessor = (() => {
 
+  /**
+   * 出力に追加できるメタデータ列（[Format]/[Head] のキー → 出力列名）
+   * 形式A/B の固定列の直後に、設定で選択された順に並ぶ
+   */
+  const METADATA_COLUMNS = [
+    { key: 'SondeName',  label: '機種名' },
+    { key: 'SondeNo',    label: 'センサー番号' },
+    { key: 'SensorType', label: 'センサー構成' },
+    { key: 'Model',      label: 'モデル' },
+    { key: 'MeasMode',   label: '測定モード' },
+    { key: 'Interval',   label: '測定間隔 [ms]' },
+    { key: 'StartTime',  label: '観測開始日時' },
+    { key: 'EndTime',    label: '観測終了日時' },
+    { key: 'DepAdjRho',  label: '深度補正密度' },
+    { key: 'DepM',       label: 'DepM' },
+    { key: 'CoefDate',   label: '校正日' },
+    { key: 'FilmNo',     label: 'DO膜番号' },
+  ];
+
+  /** 既定で出力するメタデータ列（機器・校正の追跡に最低限必要なもの） */
+  const DEFAULT_META_FIELDS = ['SondeName', 'SondeNo', 'CoefDate', 'FilmNo'];
+
+  /**
+   * 水深区分の既定設定
+   * - width:    区分幅 [m]
+   * - anchor:   'floor'  = 切り捨て（0.5–1.0m → 0.5m）
+   *             'center' = 公称水深中心（1.0m = 0.75–1.25m）
+   *             'round'  = 切り捨て区間の中点で表記（0.5–1.0m → 0.75m）
+   * - maxDepth: この水深より深い行は区分しない（null = 制限なし）
+   * - method:   形式B の算出方法（DEPTH_BIN_METHODS のキー）
+   */
+  const DEFAULT_DEPTH_BIN = { width: 0.5, anchor: 'floor', maxDepth: null, method: 'mean' };
+
+  /** 区分方式の表示名（ファイル名にも使用） */
+  const BIN_ANCHOR_LABELS = { floor: '切捨', center: '中心', round: '中点' };
+
+  /**
+   * 形式B の算出方法
+   * - mean:     区分内の行の平均（行のない区分は出力されない）
+   * - linear:   各キャストを区分の水深（格子）へ線形内挿
+   * - monotone: 各キャストを区分の水深（格子）へ単調スプライン（PCHIP）で内挿
+   */
+  const DEPTH_BIN_METHODS = {
+    mean:     { label: '区分平均' },
+    linear:   { label: '線形内挿' },
+    monotone: { label: '単調スプライン' },
+  };
+
+  /**
+   * 形式B に追加できる区分統計（数値列ごとに平均値の列の直後へ "列名_sd" のように追加）
+   * - trim: 上下 trimPercent [%] ずつを除いた平均
+   */
+  const BIN_STATISTICS = [
+    { key: 'median', label: '中央値',     suffix: '_median' },
+    { key: 'sd',     label: '標準偏差',   suffix: '_sd' },
+    { key: 'min',    label: '最小値',     suffix: '_min' },
+    { key: 'max',    label: '最大値',     suffix: '_max' },
+    { key: 'trim',   label: 'トリム平均', suffix: '_trim' },
+  ];
+
+  /** 区分統計の既定設定（fields: BIN_STATISTICS のキー, trimPercent: トリム平均で上下それぞれ除く割合 [%]） */
+  const DEFAULT_BIN_STATS = { fields: [], trimPercent: 10 };
+
+  /** 格子内挿で「実測」とみなす格子と実測水深の差 [m]（水深の記録分解能 0.01m の半分） */
+  const GRID_MEASURED_TOLERANCE = 0.005;
+
+  /**
+   * キャスト区分の判定パラメータ
+   * - soakMaxDepth:    表層浸漬とみなす最大水深 [m]
+   * - minDescentRate:  これ未満の降下速度 [m/s] は停止中とみなす
+   * - bottomTolerance: 最大水深からこの範囲内で停止している行を着底とみなす [m]
+   */
+  const CAST_SEGMENT_DEFAULTS = { soakMaxDepth: 2.0, minDescentRate: 0.05, bottomTolerance: 0.3 };
+
+  /**
+   * 海底接触の判定パラメータ
+   * - maxAboveBottom: 接触とみなす行の範囲（最大水深からこの水深幅 [m] 以内。中層の濁り・貧酸素層を除く）
+   * - turbidityRatio / turbidityMinRise: 濁度が直上の基準（中央値）の turbidityRatio 倍以上、かつ turbidityMinRise [FTU] 以上増えたら急増
+   * - baselineWindow / baselineRows: 基準とする直上の水深幅 [m] と、基準を探す直前の行数
+   * - stallSeconds / stallDepth: その行から stallSeconds 秒の降下が stallDepth [m] 未満なら停止
+   * - doDropRatio: stallSeconds 秒以内に DO が基準から この割合以上下がったら低下（判定の根拠として記録のみ）
+   */
+  const BOTTOM_CONTACT_DEFAULTS = {
+    maxAboveBottom: 1.0, turbidityRatio: 2, turbidityMinRise: 5, baselineWindow: 2.0, baselineRows: 50,
+    stallSeconds: 3, stallDepth: 0.05, doDropRatio: 0.1,
+  };
+
+  /** キャスト区分の表示名 */
+  const CAST_PHASE_LABELS = { soak: '浸漬', down: '下降', bottom: '着底', seabed: '海底接触', up: '上昇', profile: 'プロファイル' };
+
+  /**
+   * 形式B の対象行の選択肢（カードごとに上書き可）
+   * profile（プロファイル済みファイル）の行はどの選択肢でも対象。seabed（海底接触以降の行。上昇を含む）はどの選択肢でも対象外
+   */
+  const CAST_MODES = {
+    down: { label: '下降のみ', phases: ['down'] },
+    up:   { label: '上昇のみ', phases: ['up'] },
+    all:  { label: '全行',     phases: ['soak', 'down', 'bottom', 'up'] },
+  };
+  const DEFAULT_CAST_MODE = 'down';
+
+  /**
+   * 派生変数（出力設定で選択した列を形式A/B の末尾に追加）
+   * - digits: 出力桁数（小数点以下, null = 有効数字4桁の指数表記）
+   */
+  const DERIVED_VARIABLES = [
+    { key: 'SA',         label: '絶対塩分 SA [g/kg]',      digits: 4 },
+    { key: 'CT',         label: '保存温度 CT [℃]',         digits: 4 },
+    { key: 'sigma0',     label: 'ポテンシャル密度 σθ [kg/m3]', digits: 4 },
+    { key: 'N2',         label: '浮力振動数 N² [1/s²]',    digits: null },
+    { key: 'soundSpeed', label: '音速 [m/s]',              digits: 2 },
+    { key: 'o2sat',      label: 'DO飽和度(計算) [%]',      digits: 2 },
+  ];
+
+  /** GPS 座標のないファイルで水深→圧力の換算に使う緯度 [°] */
+  const DEFAULT_LATITUDE = 35;
+
+  /** 形式A の N² を求める際の前後の水深幅 [m]（この範囲の行の σθ を最小二乗で回帰） */
+  const N2_HALF_WINDOW = 0.5;
+
+  /** 形式A の QC フラグ列の接尾辞（例: "水温 [℃]_QC"） */
+  const QC_COLUMN_SUFFIX = '_QC';
+
+  /**
+   * 標準層出力の既定設定
+   * - depths: 固定水深の層 [m]
+   * - mid:    中層（最大水深の 1/2）
+   * - b1m:    B-1m層（最大水深 − 1.0m。B-1mフラグと同じ水深）
+   * - bottom: 底層（最深の区分・水深）
+   * - method: 'interp' = 区分平均の水深間で線形内挿, 'bin' = 目標水深を含む区分の値
+   */
+  const DEFAULT_STANDARD_LAYERS = { depths: [0.5, 2, 5, 10], mid: true, b1m: true, bottom: true, method: 'interp' };
+
+  /** 標準層の抽出方法の表示名（ファイル名にも使用） */
+  const STANDARD_LAYER_METHODS = { interp: '線形内挿', bin: '区分値' };
+
+  /** 標準層出力で値を出さない数値の列（水深・GPS 座標） */
+  const STANDARD_LAYER_SKIP = /深度|depth|緯度|経度|lat|lon/i;
+
+  /** CSV を Blob にまとめる単位の行数（数十万行でも1本の巨大な文字列を作らない） */
+  const CSV_CHUNK_ROWS = 5000;
+
+  /** 地点の判定半径の既定値 [m]（地点マスタの「判定半径_m」が空欄の地点。GPS 仕分け・距離警告に使用） */
+  const DEFAULT_STATION_RADIUS = 300;
+
+  /** 野帳（fieldLog）の項目を出力する列名の接頭辞（観測データの列名と区別する） */
+  const FIELD_LOG_PREFIX = '野帳_';
+
+  /** 自動仕分けで名前の候補を同順位とみなす一致度の差 */
+  const AMBIGUITY_MARGIN = 0.05;
+
   /**
    * ファイル名を正規化（自動仕分けキーワード照合用）
    * - 先頭の数字・記号を除去
@@ -27,76 +178,268 @@ const dataProcessor = (() => {
   }
 
   /**
-   * 自動仕分けエンジン
-   * @param {object[]} cardList  観測データカード配列
-   * @param {object[]} stations  地点マスタ配列
-   * @returns {{ assigned: Map<string,string[]>, unclassified: string[] }}
-   *   assigned: { stationId => [cardId, ...] }
-   *   unclassified: [cardId, ...]
+   * 相対パスのフォルダ名（深い階層から順, ZIP ファイル名の拡張子は除く）
+   * @param {string} [relativePath]  例: "調査.zip/20240614/津久根/01.csv"
+   * @returns {string[]}  例: ["津久根", "20240614", "調査"]
+   */
+  function _folderNames(relativePath) {
+    if (!relativePath) return [];
+    return relativePath.split('/').slice(0, -1).reverse()
+      .map(seg => seg.replace(/\.zip$/i, ''))
+      .filter(seg => seg !== '');
+  }
+
+  /**
+   * 地点の判定半径 [m]（地点マスタで未指定なら DEFAULT_STATION_RADIUS）
+   * @param {object} station
+   * @returns {number}
    */
+  function stationRadius(station) {
+    return station && station.radius > 0 ? station.radius : DEFAULT_STATION_RADIUS;
+  }
+
   /**
-   * キーワードと正規化済みファイル名のマッチング
-   * - 半角英数のみのキーワード: スペース区切りワードの完全一致
-   *   例) "eta" は "etanaka" にマッチしないが "eta" にはマッチする
-   * - 日本語等を含むキーワード: 部分一致（従来通り）
-   *   例) "放水路" は "放水路観測" にマッチする
-   * @param {string} normalizedName 正規化済みファイル名（小文字）
-   * @param {string} kw キーワード
-   * @returns {boolean}
+   * 観測位置から判定半径内で最も近い地点
+   * @param {{ lat: number, lon: number }|null} gps
+   * @param {object[]} stations
+   * @returns {{ stationId: string, distance: number }|null}  半径内に地点がなければ null
    */
-  function _matchKeyword(normalizedName, kw) {
-    const kwLower = kw.toLowerCase();
-    if (/^[a-zA-Z0-9]+$/.test(kwLower)) {
-      // 半角英数キーワード: スペース区切りのワード単位で完全一致
-      return normalizedName.split(/\s+/).some(w => w === kwLower);
+  function nearestStation(gps, stations) {
+    if (!gps) return null;
+    let best = null;
+    for (const st of stations) {
+      if (st._invalid || st.lat === null || st.lon === null) continue;
+      const distance = calculateDistance(gps.lat, gps.lon, st.lat, st.lon);
+      if (distance === null || distance > stationRadius(st)) continue;
+      if (!best || distance < best.distance) best = { stationId: st.id, distance };
     }
-    // 日本語等: 部分一致
-    return normalizedName.includes(kwLower);
+    return best;
+  }
+
+  /**
+   * ファイル名（一致しなければフォルダ名）と地点の一致度
+   * フォルダ名は深い階層から順に照合し、最初に一致した階層の結果を使う（根拠に「フォルダ名」と付ける）
+   * @param {object} card
+   * @param {object[]} prepared  stationMatcher.prepareStations の結果
+   * @returns {{ stationId: string, confidence: number, reason: string }[]}  一致度の高い順
+   */
+  function _nameCandidates(card, prepared) {
+    const candidates = stationMatcher.scoreStations(normalizeFileName(card.fileName), prepared);
+    if (candidates.length > 0) return candidates;
+
+    for (const folder of _folderNames(card.relativePath)) {
+      const inFolder = stationMatcher.scoreStations(normalizeFileName(folder), prepared);
+      if (inFolder.length > 0) return inFolder.map(c => ({ ...c, reason: `フォルダ名 ${c.reason}` }));
+    }
+    return [];
+  }
+
+  /**
+   * GPS による一致度（地点の位置で 1、判定半径の縁で 0.5）
+   * @param {{ stationId: string, distance: number }} near  nearestStation の結果
+   * @param {object[]} stations
+   * @returns {number}
+   */
+  function _gpsConfidence(near, stations) {
+    const st = stations.find(s => s.id === near.stationId);
+    return Math.round((1 - 0.5 * near.distance / stationRadius(st)) * 100) / 100;
   }
 
-  function autoAssignFiles(cardList, stations) {
+  /**
+   * 競合の候補（名前の候補に GPS の地点を加える。名前の候補にあれば根拠に GPS を追記）
+   * @param {object[]} top  同順位の名前の候補
+   * @param {{ stationId: string, distance: number }|null} near
+   * @param {object[]} stations
+   * @returns {{ stationId: string, confidence: number, reason: string }[]}
+   */
+  function _conflictCandidates(top, near, stations) {
+    const candidates = top.map(c => ({ ...c }));
+    if (!near) return candidates;
+    const gpsReason = `GPS（約${Math.round(near.distance)}m）`;
+    const hit = candidates.find(c => c.stationId === near.stationId);
+    if (hit) hit.reason += ` + ${gpsReason}`;
+    else candidates.push({ stationId: near.stationId, confidence: _gpsConfidence(near, stations), reason: gpsReason });
+    return candidates;
+  }
+
+  /**
+   * 名前（ファイル名・フォルダ名）と GPS による判定
+   * 名前の候補は、自動で仕分けられる一致度（CONFIRM_CONFIDENCE 以上）のものと、最も高い一致度との差が AMBIGUITY_MARGIN 未満のものを同順位とみなす
+   * （例: ファイル名に2地点のキーワードが含まれれば競合）
+   * - 名前の候補1件・GPS が同じ地点または半径内に地点なし → 名前の地点（GPS も一致すれば一致度を上げる）
+   * - 名前の候補0件 → GPS の地点
+   * - 名前の候補複数 → GPS の地点がその中にあればその地点
+   * - 名前と GPS が別の地点を指す・候補複数で GPS で決まらない → 競合
+   * @param {object} card
+   * @param {object[]} stations
+   * @param {object[]} prepared  stations の stationMatcher.prepareStations の結果
+   * @returns {{ decision: object|null, conflict: object|null }}
+   *   decision = { stationId, confidence, reason }, conflict = { candidates, gpsId, distance }
+   */
+  function _judgeByName(card, stations, prepared) {
+    const candidates = _nameCandidates(card, prepared);
+    const top = candidates.filter(c =>
+      c.confidence >= stationMatcher.CONFIRM_CONFIDENCE || c.confidence > candidates[0].confidence - AMBIGUITY_MARGIN);
+    const near = nearestStation(card.parsed && card.parsed.gpsCoord, stations);
+    const gpsReason = near ? `GPS（約${Math.round(near.distance)}m）` : '';
+
+    let decision = null;
+    if (top.length === 1) {
+      if (!near) {
+        decision = { ...top[0] };
+      } else if (near.stationId === top[0].stationId) {
+        // 名前と GPS が一致: 独立な2つの根拠として一致度を合成
+        const gps = _gpsConfidence(near, stations);
+        decision = {
+          stationId: near.stationId,
+          confidence: Math.round((1 - (1 - top[0].confidence) * (1 - gps)) * 100) / 100,
+          reason: `${top[0].reason} + ${gpsReason}`,
+        };
+      }
+    } else if (top.length === 0) {
+      if (near) decision = { stationId: near.stationId, confidence: _gpsConfidence(near, stations), reason: gpsReason };
+    } else {
+      const hit = near && top.find(c => c.stationId === near.stationId);
+      if (hit) decision = { stationId: hit.stationId, confidence: hit.confidence, reason: `${hit.reason} + ${gpsReason}` };
+    }
+
+    const conflict = !decision && (top.length > 1 || (top.length === 1 && near))
+      ? {
+        candidates: _conflictCandidates(top, near, stations),
+        gpsId: near ? near.stationId : null,
+        distance: near ? Math.round(near.distance) : null,
+      }
+      : null;
+    return { decision, conflict };
+  }
+
+  /**
+   * 野帳による判定（カードに対応づけた記録の地点。判定の対象（stations）にない地点は null）
+   * @param {object} card  card.fieldLog = app が対応づけた記録
+   * @param {object[]} stations
+   * @returns {{ decision: object, conflict: null }|null}
+   */
+  function _judgeByLog(card, stations) {
+    const log = card.fieldLog;
+    if (!log || !log.stationId || !stations.some(s => s.id === log.stationId)) return null;
+    return {
+      decision: { stationId: log.stationId, confidence: 1, reason: `野帳 ${log.time}（${log.diffMinutes}分差）` },
+      conflict: null,
+    };
+  }
+
+  /**
+   * 仕分けルールによる判定
+   * - 割り当て先が地点 → その地点（一致度 1）
+   * - 割り当て先がテンプレート → テンプレートの地点に絞って名前・GPS で判定（1地点ならその地点。決まらなければテンプレートの全地点を候補とする競合）
+   * 割り当て先の地点・テンプレートが判定の対象（stations）にない場合は null（名前・GPS による判定へ）
+   * @param {object} card
+   * @param {object[]} stations
+   * @param {object[]} prepared
+   * @param {object[]} rules  assignRules のルール
+   * @returns {{ decision: object|null, conflict: object|null }|null}
+   */
+  function _judgeByRule(card, stations, prepared, rules) {
+    const hit = assignRules.findRule(card, rules);
+    if (!hit) return null;
+    const label = assignRules.ruleLabel(hit.rule, hit.index);
+    const target = assignRules.parseTarget(hit.rule.target);
+
+    if (target.stationId) {
+      if (!stations.some(s => s.id === target.stationId)) return null;
+      return { decision: { stationId: target.stationId, confidence: 1, reason: label }, conflict: null };
+    }
+
+    const subset = stations.filter(s => (s.templates || []).includes(target.template));
+    if (subset.length === 0) return null;
+    const ruleReason = `${label}（テンプレート「${target.template}」）`;
+    if (subset.length === 1) {
+      return { decision: { stationId: subset[0].id, confidence: 1, reason: ruleReason }, conflict: null };
+    }
+
+    const ids = new Set(subset.map(s => s.id));
+    const judged = _judgeByName(card, subset, prepared.filter(p => ids.has(p.id)));
+    if (judged.decision) {
+      judged.decision.reason = `${ruleReason} + ${judged.decision.reason}`;
+    } else if (judged.conflict) {
+      for (const c of judged.conflict.candidates) c.reason = `${ruleReason} + ${c.reason}`;
+    } else {
+      judged.conflict = {
+        candidates: subset.map(s => ({ stationId: s.id, confidence: Math.round(100 / subset.length) / 100, reason: ruleReason })),
+        gpsId: null,
+        distance: null,
+      };
+    }
+    return judged;
+  }
+
+  /**
+   * 自動仕分けエンジン
+   * 野帳の記録を対応づけたカードは記録の地点へ仕分ける。それ以外は
+   * 仕分けルール（assignRules）を上から順に評価し、一致したルールがなければ
+   * ファイル名（一致しなければ相対パスのフォルダ名。例: "20240614/津久根/01.csv" は "津久根"）と地点の一致度
+   * （stationMatcher: キーワード・地点名・読み・近い綴り）と、観測位置（StartPosition）から判定半径内で最も近い地点を組み合わせて判定する
+   * 一致度が stationMatcher.CONFIRM_CONFIDENCE 未満の地点は仕分けずに確認待ちの候補（pending）とする
+   * @param {object[]} cardList  観測データカード配列（relativePath があればフォルダ名も照合）
+   * @param {object[]} stations  地点マスタ配列
+   * @param {object[]} [rules]   仕分けルール（assignRules）
+   * @returns {{ assigned: Map<string,string[]>, unclassified: string[], conflicts: object[], decisions: Map<string,object>, pending: object[] }}
+   *   assigned: { stationId => [cardId, ...] }
+   *   unclassified: [cardId, ...]（競合・確認待ちを含む）
+   *   conflicts: [{ cardId, candidates: { stationId, confidence, reason }[], gpsId: string|null, distance: number|null }, ...]
+   *     candidates = 同順位の名前の候補（一致した語を reason に含む）と GPS の地点
+   *   decisions: { cardId => { stationId, confidence, reason } }（assigned のカードの根拠）
+   *   pending: [{ cardId, stationId, confidence, reason }, ...]
+   */
+  function autoAssignFiles(cardList, stations, rules = []) {
     const assigned = new Map();   // stationId → cardId[]
     const unclassified = [];
+    const conflicts = [];
+    const decisions = new Map();
+    const pending = [];
+    const active = stations.filter(s => !s._invalid);
+    const prepared = stationMatcher.prepareStations(active);
 
     for (const card of cardList) {
-      const normalizedName = normalizeFileName(card.fileName);
-      const matches = [];
-
-      for (const st of stations) {
-        if (st._invalid) continue;
-        const kws = st.keywords && st.keywords.length > 0
-          ? st.keywords
-          : [st.name.toLowerCase()];
-
-        for (const kw of kws) {
-          if (kw && _matchKeyword(normalizedName, kw)) {
-            matches.push(st.id);
-            break;
-          }
-        }
-      }
+      const { decision, conflict } = _judgeByLog(card, active) ||
+        _judgeByRule(card, active, prepared, rules) || _judgeByName(card, active, prepared);
 
-      if (matches.length === 1) {
-        // 一意マッチ
-        const sid = matches[0];
-        if (!assigned.has(sid)) assigned.set(sid, []);
-        assigned.get(sid).push(card.id);
-      } else {
-        // 0件または競合 → 未分類
-        unclassified.push(card.id);
+      if (decision && decision.confidence >= stationMatcher.CONFIRM_CONFIDENCE) {
+        if (!assigned.has(decision.stationId)) assigned.set(decision.stationId, []);
+        assigned.get(decision.stationId).push(card.id);
+        decisions.set(card.id, decision);
+        continue;
       }
+
+      // 0件・競合・確認待ち → 未分類
+      unclassified.push(card.id);
+      if (decision) pending.push({ cardId: card.id, ...decision });
+      else if (conflict) conflicts.push({ cardId: card.id, ...conflict });
     }
 
-    return { assigned, unclassified };
+    return { assigned, unclassified, conflicts, decisions, pending };
   }
 
   /**
-   * 水深区分計算（切り捨て方式）
+   * 水深区分計算
+   * 浮動小数の誤差（0.3 / 0.1 = 2.999…）で1区分ずれないよう微小値を加えてから切り捨てる
    * @param {number} depth
-   * @returns {number}
+   * @param {object} [binSettings]  DEFAULT_DEPTH_BIN と同じ形
+   * @returns {number|null}  maxDepth を超える場合は null
    */
-  function calculateDepthBin(depth) {
-    return Math.floor(depth / 0.5) * 0.5;
+  function calculateDepthBin(depth, binSettings = DEFAULT_DEPTH_BIN) {
+    const { width, anchor, maxDepth } = { ...DEFAULT_DEPTH_BIN, ...binSettings };
+    if (maxDepth !== null && maxDepth !== undefined && depth > maxDepth) return null;
+    const eps = 1e-9;
+    let bin;
+    if (anchor === 'center') {
+      bin = Math.floor(depth / width + 0.5 + eps) * width;
+    } else if (anchor === 'round') {
+      bin = (Math.floor(depth / width + eps) + 0.5) * width;
+    } else {
+      bin = Math.floor(depth / width + eps) * width;
+    }
+    return Math.round(bin * 1e6) / 1e6;
   }
 
   /**
@@ -121,79 +464,334 @@ const dataProcessor = (() => {
 
   /**
    * B-1mフラグ付与
-   * ファイルごとに最大水深区分を算出し、「最大水深区分 - 1.0m」の行のみ 1
+   * ファイルごとに最大水深を求め、「最大水深 - 1.0m」を含む水深区分の行のみ 1
+   * （0.5m 切り捨て区分では「最大水深区分 - 1.0m」の区分と一致する）
    * 最大水深が 1.0m 未満のファイルは全行 0
-   * @param {object[]} rows  { _depthBin: number, ... }
-   * @param {string} fileId  ファイル識別子
+   * プロファイル済みファイルは水深間隔が 1.0m の約数とは限らないため、
+   * profileTolerance（間隔の半分）以内で「最大水深 - 1.0m」に最も近い水深を対象とする
+   * 海底接触を検出したキャストは bottomDepth（補正した海底の水深）を最大水深とする
+   * @param {object[]} rows  { _rawDepth: number, _depthBin: number, ... }
+   * @param {object} [options]
+   * @param {object} [options.binSettings]       水深区分設定
+   * @param {number} [options.profileTolerance]  プロファイル済みファイルの許容差 [m]
+   * @param {number} [options.bottomDepth]       海底の水深 [m]（省略時は rows の最大水深）
    * @returns {object[]}  _b1mFlag が付与された rows
    */
-  function applyB1mFlag(rows) {
-    // ファイル内最大水深区分
-    let maxBin = -Infinity;
-    for (const row of rows) {
-      if (row._depthBin !== null && row._depthBin > maxBin) {
-        maxBin = row._depthBin;
-      }
-    }
-    // 最大水深（元の深度値）を取得して 1m 未満チェック
+  function applyB1mFlag(rows, options = {}) {
+    const binSettings = options.binSettings || DEFAULT_DEPTH_BIN;
+    const profileTolerance = options.profileTolerance !== undefined ? options.profileTolerance : null;
+
+    // 区分対象行の最大水深（元の深度値）を取得して 1m 未満チェック
     let maxDepthVal = -Infinity;
     for (const row of rows) {
+      if (row._depthBin === null) continue;
       const d = parseFloat(row._rawDepth);
       if (!isNaN(d) && d > maxDepthVal) maxDepthVal = d;
     }
+    if (options.bottomDepth !== undefined && options.bottomDepth !== null) maxDepthVal = options.bottomDepth;
 
-    const flagBin = (maxDepthVal >= 1.0) ? (maxBin - 1.0) : null;
+    let flagBin = null;
+    if (maxDepthVal >= 1.0) {
+      if (profileTolerance !== null) {
+        // 目標水深に最も近い既存水深を採用（許容差外なら該当なし）
+        const target = maxDepthVal - 1.0;
+        let nearest = null;
+        for (const row of rows) {
+          if (row._depthBin === null) continue;
+          if (nearest === null || Math.abs(row._depthBin - target) < Math.abs(nearest - target)) {
+            nearest = row._depthBin;
+          }
+        }
+        flagBin = (nearest !== null && Math.abs(nearest - target) < profileTolerance) ? nearest : null;
+      } else {
+        flagBin = calculateDepthBin(maxDepthVal - 1.0, { ...binSettings, maxDepth: null });
+      }
+    }
 
     for (const row of rows) {
       if (flagBin === null) {
         row._b1mFlag = 0;
       } else {
-        row._b1mFlag = (Math.abs(row._depthBin - flagBin) < 1e-9) ? 1 : 0;
+        row._b1mFlag = (row._depthBin !== null && Math.abs(row._depthBin - flagBin) < 1e-9) ? 1 : 0;
       }
     }
     return rows;
   }
 
+  /**
+   * 各行の経過秒を求める
+   * 測定間隔（Interval= [ms]）があれば行番号 × 間隔、なければ観測日時列、どちらもなければ行番号（1秒間隔とみなす）
+   * @param {object} parsed
+   * @returns {number[]}
+   */
+  function _rowElapsedSeconds(parsed) {
+    const n = parsed.dataRows.length;
+    const interval = parsed.metadata && parsed.metadata.interval;
+    if (interval > 0) {
+      return parsed.dataRows.map((_, i) => i * interval / 1000);
+    }
+    // 観測日時（1列）または 観測日付＋観測時刻（2列）
+    const dtIdx = parsed.headerRow.indexOf('観測日時');
+    const dIdx = parsed.headerRow.indexOf('観測日付');
+    const tIdx = parsed.headerRow.indexOf('観測時刻');
+    const dtText = dtIdx >= 0 ? (r => r[dtIdx])
+      : (dIdx >= 0 && tIdx >= 0) ? (r => `${r[dIdx]} ${r[tIdx]}`) : null;
+    if (dtText) {
+      const ms = parsed.dataRows.map(r => {
+        const m = String(dtText(r)).match(/(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})\s+(\d{1,2}):(\d{2}):(\d{2}(?:\.\d+)?)/);
+        return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]) + parseFloat(m[6]) * 1000 : NaN;
+      });
+      const distinct = new Set(ms.filter(v => !isNaN(v))).size;
+      if (distinct > 1 && !isNaN(ms[0])) {
+        return ms.map((v, i) => (isNaN(v) ? i : (v - ms[0]) / 1000));
+      }
+    }
+    return Array.from({ length: n }, (_, i) => i);
+  }
+
+  /**
+   * キャスト区分（浸漬・下降・着底・上昇）の判定
+   * 1. 最大水深に達するまでの最浅点（最後に現れたもの）を降下開始候補とし、それ以前を浸漬とする
+   * 2. 降下開始後も soakMaxDepth 以浅で降下速度が minDescentRate 未満の間は浸漬とする
+   * 3. 最大水深付近（bottomTolerance 以内）で停止している区間を着底とする
+   * 4. 着底以降を上昇とする
+   * 5. 海底接触（detectBottomContact, または params.contactRow で指定した行）以降を海底接触とする
+   *    （巻き上げた泥が残るため、上昇の行も含めてどの対象区分にも使わない）
+   * プロファイル済みファイルは全行 'profile'、水深列がなければ null を返す
+   * @param {object} parsed
+   * @param {object} [params]  CAST_SEGMENT_DEFAULTS・BOTTOM_CONTACT_DEFAULTS と同じ形
+   * @param {number|null} [params.contactRow]  海底接触の行（省略 = 自動判定, null = 接触なし）。下降・着底の行以外は接触なし
+   * @returns {{ phases: string[], soakEnd: number, bottomStart: number, bottomEnd: number, maxIndex: number, contact: object|null }|null}
+   *   soakEnd = 下降開始行, bottomStart/bottomEnd = 着底区間（両端含む）, maxIndex = 最大水深行
+   *   contact = 海底接触 { index, depth, signals, auto }（depth = 補正した海底の水深）
+   */
+  function segmentCast(parsed, params = {}) {
+    if (!parsed || !parsed.dataRows || parsed.dataRows.length === 0) return null;
+    const n = parsed.dataRows.length;
+    if (parsed.isProfile) {
+      return { phases: new Array(n).fill('profile'), soakEnd: 0, bottomStart: n, bottomEnd: n - 1, maxIndex: n - 1, contact: null };
+    }
+
+    const { soakMaxDepth, minDescentRate, bottomTolerance } = { ...CAST_SEGMENT_DEFAULTS, ...params };
+    const depthIdx = parsed.headerRow.findIndex(h => h.includes('深度') || h.toLowerCase().includes('depth'));
+    if (depthIdx < 0) return null;
+
+    // 欠測は直前の値で補完
+    const depth = [];
+    let last = NaN;
+    for (const row of parsed.dataRows) {
+      const v = parseFloat(row[depthIdx]);
+      if (!isNaN(v)) last = v;
+      depth.push(last);
+    }
+    const firstValid = depth.findIndex(v => !isNaN(v));
+    if (firstValid < 0) return null;
+    for (let i = 0; i < firstValid; i++) depth[i] = depth[firstValid];
+
+    const t = _rowElapsedSeconds(parsed);
+
+    // i 行目から1秒以上先の行までの降下速度 [m/s]
+    const rateAt = (i, dir) => {
+      let k = i + dir;
+      while (k > 0 && k < n - 1 && Math.abs(t[k] - t[i]) < 1) k += dir;
+      if (k < 0 || k >= n) return 0;
+      const dt = Math.abs(t[k] - t[i]) || Math.abs(k - i);
+      return (depth[k] - depth[i]) * dir / dt;
+    };
+
+    let maxIndex = 0;
+    for (let i = 1; i < n; i++) if (depth[i] > depth[maxIndex]) maxIndex = i;
+    const maxDepth = depth[maxIndex];
+
+    // 1. 降下開始候補
+    let minBefore = Infinity;
+    for (let i = 0; i <= maxIndex; i++) minBefore = Math.min(minBefore, depth[i]);
+    let soakEnd = 0;
+    for (let i = 0; i <= maxIndex; i++) if (depth[i] <= minBefore + 0.05) soakEnd = i;
+
+    // 2. 表層で停止している間は浸漬
+    while (soakEnd < maxIndex && depth[soakEnd] <= soakMaxDepth && rateAt(soakEnd, 1) < minDescentRate) {
+      soakEnd++;
+    }
+
+    // 3. 着底区間: 最大水深の前後で停止している区間
+    const nearBottom = i => depth[i] >= maxDepth - bottomTolerance;
+    let bottomStart = maxIndex;
+    while (bottomStart - 1 > soakEnd && nearBottom(bottomStart - 1) && rateAt(bottomStart - 1, 1) < minDescentRate) {
+      bottomStart--;
+    }
+    let bottomEnd = maxIndex;
+    while (bottomEnd + 1 < n && nearBottom(bottomEnd + 1)) bottomEnd++;
+    // 最大水深に達してすぐ引き上げた場合は着底区間なし（最大水深行は下降に含める）
+    if (bottomStart === maxIndex && bottomEnd === maxIndex) bottomStart = maxIndex + 1;
+
+    const phases = new Array(n);
+    for (let i = 0; i < n; i++) {
+      if (i < soakEnd) phases[i] = 'soak';
+      else if (i < bottomStart && i <= maxIndex) phases[i] = 'down';
+      else if (i <= bottomEnd) phases[i] = 'bottom';
+      else phases[i] = 'up';
+    }
+
+    // 5. 海底接触
+    const segment = { phases, soakEnd, bottomStart, bottomEnd, maxIndex, contact: null };
+    let contact = null;
+    if (params.contactRow === undefined) {
+      contact = detectBottomContact(parsed, segment, depth, t, params);
+    } else if (params.contactRow !== null && params.contactRow >= soakEnd && params.contactRow <= bottomEnd) {
+      contact = { index: params.contactRow, depth: depth[params.contactRow], signals: [], auto: false };
+    }
+    if (contact) {
+      for (let i = contact.index; i < n; i++) phases[i] = 'seabed';
+      segment.contact = contact;
+    }
+    return segment;
+  }
+
+  /**
+   * 海底接触の判定
+   * 最大水深から maxAboveBottom 以内の下降・着底の行を順に見て、濁度が急増し、かつ深度が停止した最初の行を接触とする
+   * （濁度だけ・DO の低下だけでは中層の濁りや貧酸素層と区別できないため、停止を必須とする）
+   * 基準は直前 baselineRows 行のうち直上 baselineWindow [m] の行（3行未満なら直前 baselineRows 行すべて）の中央値。
+   * 中央値は安価な条件（範囲・停止・濁度の下限・基準の最小値との比較）を満たした行でだけ求めるので、長い記録でもほぼ行数に比例した時間で終わる
+   * 濁度の列がなければ判定しない
+   * @param {object} parsed
+   * @param {{ soakEnd: number, bottomEnd: number, maxIndex: number }} segment  segmentCast の区分
+   * @param {number[]} depth  行ごとの水深（欠測は補完済み）
+   * @param {number[]} t  行ごとの経過秒
+   * @param {object} [params]  BOTTOM_CONTACT_DEFAULTS と同じ形
+   * @returns {{ index: number, depth: number, signals: string[], auto: true }|null}
+   */
+  function detectBottomContact(parsed, segment, depth, t, params = {}) {
+    const { maxAboveBottom, turbidityRatio, turbidityMinRise, baselineWindow, baselineRows, stallSeconds, stallDepth, doDropRatio } =
+      { ...BOTTOM_CONTACT_DEFAULTS, ...params };
+    const headers = parsed.headerRow;
+    const turbIdx = headers.findIndex(h => /^濁度/.test(h));
+    if (turbIdx < 0) return null;
+    let doIdx = headers.findIndex(h => /^DO \[mg/i.test(h));
+    if (doIdx < 0) doIdx = headers.findIndex(h => /^DO \[%\]/.test(h));
+    const turb = parsed.dataRows.map(r => parseFloat(r[turbIdx]));
+    const dox = doIdx >= 0 ? parsed.dataRows.map(r => parseFloat(r[doIdx])) : null;
+    const median = vals => {
+      const s = vals.filter(v => !isNaN(v)).sort((a, b) => a - b);
+      if (s.length === 0) return NaN;
+      return s.length % 2 ? s[(s.length - 1) / 2] : (s[s.length / 2 - 1] + s[s.length / 2]) / 2;
+    };
+
+    const { soakEnd, bottomEnd, maxIndex } = segment;
+    const minDepth = depth[maxIndex] - maxAboveBottom;
+    const n = turb.length;
+    let end = soakEnd;  // 接触候補から stallSeconds 秒以内の最後の行（候補とともに進むだけ）
+    for (let i = soakEnd + 1; i <= bottomEnd; i++) {
+      if (end < i) end = i;
+      while (end + 1 < n && t[end + 1] - t[i] <= stallSeconds) end++;
+      if (depth[i] < minDepth || isNaN(turb[i]) || turb[i] < turbidityMinRise) continue;
+      if (!(end > i && depth[end] - depth[i] < stallDepth)) continue;
+
+      // 直前 baselineRows 行のうち直上 baselineWindow の行
+      const from = Math.max(soakEnd, i - baselineRows);
+      let base = [];
+      for (let j = i - 1; j >= from; j--) {
+        if (depth[j] >= depth[i] - baselineWindow && depth[j] < depth[i]) base.push(j);
+      }
+      if (base.length < 3) base = Array.from({ length: i - from }, (_, k) => from + k);
+      // 中央値は最小値以上なので、最小値で急増に届かなければ並べ替えずに除く
+      let turbMin = Infinity;
+      for (const j of base) if (turb[j] < turbMin) turbMin = turb[j];
+      if (turb[i] < turbMin * turbidityRatio || turb[i] - turbMin < turbidityMinRise) continue;
+      const turbBase = median(base.map(j => turb[j]));
+      if (isNaN(turbBase) || turb[i] < turbBase * turbidityRatio || turb[i] - turbBase < turbidityMinRise) continue;
+
+      const signals = ['濁度の急増', '深度の停止'];
+      if (dox) {
+        const doBase = median(base.map(j => dox[j]));
+        let doMin = Infinity;
+        for (let k = i; k <= end; k++) if (!isNaN(dox[k]) && dox[k] < doMin) doMin = dox[k];
+        if (!isNaN(doBase) && doMin <= doBase * (1 - doDropRatio)) signals.push('DO の低下');
+      }
+      return { index: i, depth: depth[i], signals, auto: true };
+    }
+    return null;
+  }
+
+  /**
+   * カードの形式B 対象行（キャスト区分の選択）を返す
+   * @param {object} card
+   * @returns {string[]}  対象とするキャスト区分
+   */
+  function _selectedPhases(card) {
+    const mode = CAST_MODES[card.castMode] || CAST_MODES[DEFAULT_CAST_MODE];
+    return [...mode.phases, 'profile'];
+  }
+
+  /**
+   * 形式B 出力用のキャスト区分ラベル（平均に使用した区分）
+   * @param {object} card
+   * @returns {string}
+   */
+  function _castModeLabel(card) {
+    if (card.parsed.isProfile) return CAST_PHASE_LABELS.profile;
+    const cast = card.cast !== undefined ? card.cast : segmentCast(card.parsed);
+    if (!cast) return '';
+    return (CAST_MODES[card.castMode] || CAST_MODES[DEFAULT_CAST_MODE]).label;
+  }
+
   /**
    * 全データ結合 - 形式A（生データ）
    * @param {object[]} assignments  [{ stationId, stationName, stationLat, stationLon, card }]
    * @param {object}   stateCards   cardId → card オブジェクト
+   * @param {object}   [options]
+   * @param {string[]} [options.metaFields]  出力するメタデータキー（省略時 DEFAULT_META_FIELDS）
+   * @param {object}   [options.qc]          QC 設定（qcEngine.defaultConfig() の形, enabled のとき観測項目ごとに _QC 列を追加）
+   * @param {boolean}  [options.blankDeadChannels]  センサー異常の列（card.deadChannels）を空欄にする
+   * @param {string[]} [options.derivedFields]  追加する派生変数キー（DERIVED_VARIABLES, 省略時なし）
+   * @param {object}   [options.columnTypes]  列名 → 型（columnSchema.typeMap。省略時は全ファイルから推定）
+   *   数値の列の数値でない値（"---" など）は空欄で出力する
+   * @param {function(string[]): void} [onRow]  指定すると行を配列にためずに1行ずつ渡す（createCSVWriter の push。rows は空）
    * @returns {{ headers: string[], rows: string[][] }}
    */
-  function mergeAllData(assignments, stateCards) {
+  function mergeAllData(assignments, stateCards, options = {}, onRow = null) {
     // 固定ヘッダー
     const fixedHeaders = [
       '地点ID', '地点名', 'ファイル名',
       '地点緯度(マスタ)', '地点経度(マスタ)',
       '開始位置緯度', '開始位置経度',
-      '水深区分', 'B-1mフラグ',
+      '水深区分', 'B-1mフラグ', 'データ種別', 'キャスト区分',
     ];
 
-    // 全ファイルの元データ列をユニオン
+    // 全ファイルの元データ列をユニオン（QC 実施時は観測項目の直後にフラグ列を挿入）
     const unionCols = _buildUnionColumns(assignments, stateCards);
-    const allHeaders = [...fixedHeaders, ...unionCols];
+    const qcConfig = _qcConfig(options);
+    const dataCols = [];
+    for (const col of unionCols) {
+      dataCols.push({ col, qc: false });
+      if (qcConfig && qcEngine.matchParameter(col, qcConfig)) dataCols.push({ col, qc: true });
+    }
+    const derivedCols = _resolveDerivedColumns(options.derivedFields);
+    for (const d of derivedCols) dataCols.push({ col: d.label, qc: false });
+    const metaCols = _resolveMetaColumns(options.metaFields);
+    const logFields = _fieldLogColumns(assignments);
+    const allHeaders = [
+      ...fixedHeaders, ...metaCols.map(c => c.label), ..._fieldLogHeaders(logFields),
+      ...dataCols.map(d => (d.qc ? `${d.col}${QC_COLUMN_SUFFIX}` : d.col)),
+    ];
+    const types = _resolveColumnTypes(assignments, options);
 
     const allRows = [];
+    const emit = onRow || (row => allRows.push(row));
     for (const { stationId, stationName, stationLat, stationLon, card } of assignments) {
       const parsed = card.parsed;
       if (!parsed || parsed.error) continue;
 
-      const headers = parsed.headerRow;
-      const depthIdx = headers.findIndex(h => h.includes('深度') || h.toLowerCase().includes('depth'));
-
       // 行ごとに処理
-      const fileRows = [];
-      for (const dataRow of parsed.dataRows) {
-        const rowObj = {};
-        headers.forEach((h, i) => { rowObj[h] = dataRow[i] !== undefined ? dataRow[i] : ''; });
-
-        const rawDepth = depthIdx >= 0 ? parseFloat(dataRow[depthIdx]) : NaN;
-        rowObj._rawDepth = isNaN(rawDepth) ? null : rawDepth;
-        rowObj._depthBin = isNaN(rawDepth) ? null : calculateDepthBin(rawDepth);
-        fileRows.push(rowObj);
-      }
-
-      applyB1mFlag(fileRows);
+      // B-1m フラグは形式B と同じく対象キャスト区分の行から求め、対象外の行は 0
+      const fileRows = _buildFileRows(card, options);
+      if (derivedCols.length > 0) applyDerivedVariables(fileRows, parsed, derivedCols);
+      const phases = _selectedPhases(card);
+      for (const row of fileRows) row._b1mFlag = 0;
+      _applyFileB1mFlag(fileRows.filter(r => r._phase === null || phases.includes(r._phase)), card, options);
+      const metaPart = [..._metaValues(parsed, metaCols), ..._fieldLogValues(card, logFields)];
+      const kind = _dataKindLabel(parsed);
 
       for (const rowObj of fileRows) {
         const gps = card.parsed.gpsCoord;
@@ -207,14 +805,22 @@ const dataProcessor = (() => {
           gps ? gps.lon : '',
           rowObj._depthBin !== null ? rowObj._depthBin : '',
           rowObj._b1mFlag,
+          kind,
+          rowObj._phase ? CAST_PHASE_LABELS[rowObj._phase] : '',
         ];
 
-        const dataPart = unionCols.map(col => {
+        const dataPart = dataCols.map(({ col, qc }) => {
+          if (qc) {
+            const flag = rowObj._qc && rowObj._qc[col];
+            return flag !== undefined ? qcEngine.flagCode(flag, qcConfig.scheme) : '';
+          }
           const v = rowObj[col];
-          return v !== undefined && v !== null ? v : '';
+          if (v === undefined || v === null) return '';
+          if (types[col] === 'number' && columnSchema.classifyValue(v) !== 'number') return '';
+          return v;
         });
 
-        allRows.push([...fixedPart, ...dataPart]);
+        emit([...fixedPart, ...metaPart, ...dataPart]);
       }
     }
 
@@ -223,23 +829,36 @@ const dataProcessor = (() => {
 
   /**
    * 形式B: 水深区分別平均値算出
+   * depthBin.method が linear / monotone の場合は区分平均の代わりに各キャストを水深格子へ内挿し、
+   * データ件数の代わりに 値の種別（実測/内挿）と 最近接実測までの距離 を出力する
+   * binStats.fields で選択した区分統計は、統計を算出した数値列の直後に追加する（格子内挿では出力しない）
    * @param {object[]} assignments
    * @param {object}   stateCards
+   * @param {object}   [options]  mergeAllData と同じ（qc.excludeFromB 以上のフラグの値は平均から除外）
    * @returns {{ headers: string[], rows: string[][] }}
    */
-  function calculateDepthBinAverages(assignments, stateCards) {
+  function calculateDepthBinAverages(assignments, stateCards, options = {}) {
     const fixedHeaders = [
       '地点ID', '地点名', 'ファイル名',
       '地点緯度(マスタ)', '地点経度(マスタ)',
       '開始位置緯度', '開始位置経度',
-      '水深区分', 'B-1mフラグ',
+      '水深区分', 'B-1mフラグ', 'データ種別', 'キャスト区分',
     ];
 
     const unionCols = _buildUnionColumns(assignments, stateCards);
-    const allHeaders = [...fixedHeaders, ...unionCols, 'データ件数'];
+    const derivedCols = _resolveDerivedColumns(options.derivedFields);
+    const metaCols = _resolveMetaColumns(options.metaFields);
+    const logFields = _fieldLogColumns(assignments);
+    const binSettings = { ...DEFAULT_DEPTH_BIN, ...options.depthBin };
+    const gridMethod = binSettings.method === 'linear' || binSettings.method === 'monotone' ? binSettings.method : null;
+    const binStats = { ...DEFAULT_BIN_STATS, ...options.binStats };
+    const statFields = gridMethod ? [] : BIN_STATISTICS.filter(f => (binStats.fields || []).includes(f.key));
+    const statCols = new Set(); // 区分統計を算出した数値列
 
-    // 数値列かどうか判定キャッシュ
-    const numericCache = {};
+    const types = _resolveColumnTypes(assignments, options);
+    // QC フラグがこの値以上の値は平均から除外
+    const qcConfig = _qcConfig(options);
+    const excludeFlag = qcConfig && qcConfig.excludeFromB ? qcConfig.excludeFromB : null;
 
     const allRows = [];
 
@@ -248,34 +867,66 @@ const dataProcessor = (() => {
       if (!parsed || parsed.error) continue;
 
       const headers = parsed.headerRow;
-      const depthIdx = headers.findIndex(h => h.includes('深度') || h.toLowerCase().includes('depth'));
-      const dtIdx = headers.findIndex(h => h.includes('観測日時') || h.toLowerCase().includes('date'));
 
-      // GPS 座標列インデックス検索（緯度経度含む列名）
+      // GPS 座標列インデックス検索（緯度経度含む列名。数値でも平均せず先頭値）
       const gpsLatIdx = headers.findIndex(h => /緯度|lat/i.test(h));
       const gpsLonIdx = headers.findIndex(h => /経度|lon/i.test(h));
+      const isGpsCol = col => headers.indexOf(col) >= 0 &&
+        (headers.indexOf(col) === gpsLatIdx || headers.indexOf(col) === gpsLonIdx);
 
       // 行ごとのオブジェクト化 + 水深区分付与
-      const fileRows = [];
-      for (const dataRow of parsed.dataRows) {
-        const rowObj = {};
-        headers.forEach((h, i) => { rowObj[h] = dataRow[i] !== undefined ? dataRow[i] : ''; });
-        const rawDepth = depthIdx >= 0 ? parseFloat(dataRow[depthIdx]) : NaN;
-        rowObj._rawDepth = isNaN(rawDepth) ? null : rawDepth;
-        rowObj._depthBin = isNaN(rawDepth) ? null : calculateDepthBin(rawDepth);
-        fileRows.push(rowObj);
-      }
-      applyB1mFlag(fileRows);
+      // （プロファイル済みファイルは水深をそのまま区分とし、各水深が1行になる）
+      // 対象キャスト区分（既定は下降のみ）以外の行は除外
+      const phases = _selectedPhases(card);
+      const fileRows = _buildFileRows(card, options)
+        .filter(r => r._phase === null || phases.includes(r._phase));
+      _applyFileB1mFlag(fileRows, card, options);
+      if (derivedCols.length > 0) applyDerivedVariables(fileRows, parsed, derivedCols);
 
       // 水深区分でグループ化
       const groups = new Map(); // binKey → rows[]
       for (const row of fileRows) {
+        // 最大水深設定より深い行は平均対象外
+        if (row._depthBin === null && row._rawDepth !== null) continue;
         const key = row._depthBin !== null ? row._depthBin : '';
         if (!groups.has(key)) groups.set(key, []);
         groups.get(key).push(row);
       }
 
       const gps = parsed.gpsCoord;
+      const metaPart = [..._metaValues(parsed, metaCols), ..._fieldLogValues(card, logFields)];
+      const kind = _dataKindLabel(parsed);
+      const castLabel = _castModeLabel(card);
+
+      const fixedOf = (binKey, b1m) => [
+        stationId || '',
+        stationName || '',
+        card.fileName,
+        stationLat !== null && stationLat !== undefined ? stationLat : '',
+        stationLon !== null && stationLon !== undefined ? stationLon : '',
+        gps ? gps.lat : '',
+        gps ? gps.lon : '',
+        binKey,
+        b1m,
+        kind,
+        castLabel,
+      ];
+
+      if (gridMethod) {
+        const gridRows = _interpolateToGrid(fileRows, gridMethod, binSettings, unionCols, derivedCols, {
+          types, excludeFlag, isGpsCol, bottomDepth: _bottomDepth(card),
+        });
+        for (const g of gridRows) {
+          allRows.push({
+            head: [...fixedOf(g.z, g.b1m), ...metaPart], dataPart: g.dataPart, stats: null,
+            tail: [...g.derivedPart, g.kind, g.distance],
+          });
+        }
+        continue;
+      }
+
+      // N² は区分平均の σθ から求め直す（行単位の値の平均ではなく区分間の勾配）
+      const binN2 = derivedCols.some(d => d.key === 'N2') ? _binBuoyancyFrequency(groups) : null;
 
       for (const [binKey, groupRows] of groups) {
         const firstRow = groupRows[0];
@@ -284,47 +935,821 @@ const dataProcessor = (() => {
         // B-1m フラグ: 論理 OR
         const b1m = groupRows.some(r => r._b1mFlag === 1) ? 1 : 0;
 
+        const stats = new Map(); // 列名 → 区分統計の出力値
         const dataPart = unionCols.map(col => {
-          const isDateLike = headers.indexOf(col) === dtIdx;
-          const isGpsLike = headers.indexOf(col) === gpsLatIdx || headers.indexOf(col) === gpsLonIdx;
-
-          if (isDateLike || isGpsLike) {
-            // 先頭値
-            return firstRow[col] !== undefined ? firstRow[col] : '';
-          }
-
-          // 数値列かチェック
-          const isNum = _isNumericColumn(col, groupRows, numericCache);
-          if (isNum) {
-            // 数値平均（空白除外）
+          const type = types[col] || 'text';
+          if (type === 'number' && !isGpsCol(col)) {
+            // 数値平均（空白・除外対象の QC フラグを除外）
             const vals = groupRows
+              .filter(r => !(excludeFlag && r._qc && r._qc[col] >= excludeFlag))
               .map(r => parseFloat(r[col]))
               .filter(v => !isNaN(v));
+            if (statFields.length > 0) {
+              statCols.add(col);
+              const st = _binStatistics(vals, binStats.trimPercent);
+              stats.set(col, statFields.map(f => (isNaN(st[f.key]) ? '' : String(Math.round(st[f.key] * 1e6) / 1e6))));
+            }
             if (vals.length === 0) return '';
             const avg = vals.reduce((a, b) => a + b, 0) / vals.length;
             return String(Math.round(avg * 1e6) / 1e6);
           }
-          // テキスト列: 先頭値
+          if (type === 'flag') {
+            // フラグ・マーク: 区分内の最大値（論理 OR）
+            const max = groupRows.reduce((m, r) => {
+              const v = parseFloat(r[col]);
+              return isNaN(v) ? m : Math.max(m, v);
+            }, -Infinity);
+            return max > -Infinity ? String(max) : '';
+          }
+          // 日時・テキスト・GPS 列: 先頭値
           return firstRow[col] !== undefined ? firstRow[col] : '';
         });
 
-        const fixedPart = [
-          stationId || '',
-          stationName || '',
-          card.fileName,
-          stationLat !== null && stationLat !== undefined ? stationLat : '',
-          stationLon !== null && stationLon !== undefined ? stationLon : '',
-          gps ? gps.lat : '',
-          gps ? gps.lon : '',
-          binKey !== '' ? binKey : '',
-          b1m,
+        const fixedPart = fixedOf(binKey !== '' ? binKey : '', b1m);
+
+        const derivedPart = derivedCols.map(d => {
+          if (d.key === 'N2') return binN2.has(binKey) ? _formatDerived(binN2.get(binKey), d) : '';
+          const vals = groupRows.map(r => (r._derived ? r._derived[d.key] : NaN)).filter(v => !isNaN(v));
+          return vals.length > 0 ? _formatDerived(vals.reduce((a, b) => a + b, 0) / vals.length, d) : '';
+        });
+
+        allRows.push({ head: [...fixedPart, ...metaPart], dataPart, stats, tail: [...derivedPart, dataCnt] });
+      }
+    }
+
+    // 区分統計の列は数値と判定された列の直後に並べる
+    const expand = (cells, statsOf) => unionCols.flatMap((col, i) => (statCols.has(col)
+      ? [cells[i], ...statsOf(col)]
+      : [cells[i]]));
+    const allHeaders = [
+      ...fixedHeaders, ...metaCols.map(c => c.label), ..._fieldLogHeaders(logFields),
+      ...expand(unionCols, col => statFields.map(f => `${col}${f.suffix}`)),
+      ...derivedCols.map(d => d.label),
+      ...(gridMethod ? ['値の種別', '最近接実測までの距離 [m]'] : ['データ件数']),
+    ];
+    const rows = allRows.map(r => [
+      ...r.head,
+      ...expand(r.dataPart, col => (r.stats && r.stats.has(col) ? r.stats.get(col) : statFields.map(() => ''))),
+      ...r.tail,
+    ]);
+
+    return { headers: allHeaders, rows };
+  }
+
+  /**
+   * 区分内の値の統計（値がなければ NaN）
+   * @param {number[]} vals
+   * @param {number} trimPercent  トリム平均で上下それぞれ除く割合 [%]
+   * @returns {{ median: number, sd: number, min: number, max: number, trim: number }}
+   *   sd は標本標準偏差（2件未満は NaN）
+   */
+  function _binStatistics(vals, trimPercent) {
+    const n = vals.length;
+    if (n === 0) return { median: NaN, sd: NaN, min: NaN, max: NaN, trim: NaN };
+    const sorted = [...vals].sort((a, b) => a - b);
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const cut = Math.floor(n * trimPercent / 100);
+    const trimmed = sorted.slice(cut, n - cut);
+    return {
+      median: n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2,
+      sd: n >= 2 ? Math.sqrt(sorted.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (n - 1)) : NaN,
+      min: sorted[0],
+      max: sorted[n - 1],
+      trim: trimmed.length > 0 ? trimmed.reduce((a, b) => a + b, 0) / trimmed.length : NaN,
+    };
+  }
+
+  /**
+   * キャストを水深格子へ内挿（形式B の linear / monotone）
+   * 格子は区分の水深（区分幅・区分方式に従う）のうち実測の最浅〜最深の範囲。外挿はしない
+   * 数値の列は列ごとに水深順に並べ（同一水深は平均）内挿し、それ以外（日時・テキスト・フラグ・GPS）の列は最も近い実測行の値を使う
+   * N² は格子の σθ から求め直す
+   * @param {object[]} fileRows  対象キャスト区分の行（_rawDepth, _depthBin, _qc, _derived）
+   * @param {'linear'|'monotone'} method
+   * @param {object} binSettings
+   * @param {string[]} unionCols
+   * @param {object[]} derivedCols
+   * @param {object} ctx  { types: 列名 → 型, excludeFlag, isGpsCol: GPS 列の判定, bottomDepth: 海底の水深（B-1m の基準, null = 最深の実測） }
+   * @returns {{ z: number, b1m: number, dataPart: string[], derivedPart: string[], kind: string, distance: number }[]}
+   */
+  function _interpolateToGrid(fileRows, method, binSettings, unionCols, derivedCols, ctx) {
+    const rows = fileRows.filter(r => r._rawDepth !== null && r._depthBin !== null)
+      .sort((a, b) => a._rawDepth - b._rawDepth);
+    if (rows.length === 0) return [];
+    const depths = rows.map(r => r._rawDepth);
+    const zMin = depths[0], zMax = depths[depths.length - 1];
+
+    // 格子（区分の水深）
+    const { width, anchor } = binSettings;
+    const offset = anchor === 'round' ? width / 2 : 0;
+    const eps = 1e-9;
+    const grid = [];
+    for (let k = Math.ceil((zMin - offset) / width - eps); k * width + offset <= zMax + eps; k++) {
+      grid.push(Math.round((k * width + offset) * 1e6) / 1e6);
+    }
+    const bottom = ctx.bottomDepth !== null && ctx.bottomDepth !== undefined ? ctx.bottomDepth : zMax;
+    const b1mZ = bottom >= 1.0 ? calculateDepthBin(bottom - 1.0, { ...binSettings, maxDepth: null }) : null;
+
+    const nearestRow = z => {
+      const i = _lowerBound(depths, z);
+      if (i === 0) return rows[0];
+      if (i === rows.length) return rows[rows.length - 1];
+      return z - depths[i - 1] <= depths[i] - z ? rows[i - 1] : rows[i];
+    };
+    const interp = valueOf => _gridInterpolator(rows.map(r => ({ z: r._rawDepth, v: valueOf(r) })), method);
+
+    const colFns = unionCols.map(col => {
+      if (ctx.types[col] !== 'number' || ctx.isGpsCol(col) || !(col in rows[0])) return null;
+      return interp(r => (ctx.excludeFlag && r._qc && r._qc[col] >= ctx.excludeFlag ? NaN : parseFloat(r[col])));
+    });
+    const derivedFns = derivedCols.map(d => (d.key === 'N2'
+      ? null
+      : interp(r => (r._derived && r._derived[d.key] !== undefined ? r._derived[d.key] : NaN))));
+    const sigmaFn = derivedCols.some(d => d.key === 'N2')
+      ? interp(r => (r._derived && r._derived.sigma0 !== undefined ? r._derived.sigma0 : NaN))
+      : null;
+    const gridN2 = sigmaFn
+      ? _binBuoyancyFrequency(new Map(grid.map(z => [z, isNaN(sigmaFn(z)) ? [] : [{ _rawDepth: z, _derived: { sigma0: sigmaFn(z) } }]])))
+      : null;
+
+    return grid.map(z => {
+      const near = nearestRow(z);
+      const distance = Math.abs(near._rawDepth - z);
+      const dataPart = unionCols.map((col, i) => {
+        if (!colFns[i]) return near[col] !== undefined ? near[col] : '';
+        const v = colFns[i](z);
+        return isNaN(v) ? '' : String(Math.round(v * 1e6) / 1e6);
+      });
+      const derivedPart = derivedCols.map((d, i) => {
+        const v = d.key === 'N2' ? (gridN2.has(z) ? gridN2.get(z) : NaN) : derivedFns[i](z);
+        return isNaN(v) ? '' : _formatDerived(v, d);
+      });
+      return {
+        z,
+        b1m: b1mZ !== null && Math.abs(z - b1mZ) < 1e-9 ? 1 : 0,
+        dataPart,
+        derivedPart,
+        kind: distance <= GRID_MEASURED_TOLERANCE + 1e-9 ? '実測' : '内挿',
+        distance: Math.round(distance * 1e3) / 1e3,
+      };
+    });
+  }
+
+  /**
+   * 水深順の実測値から内挿関数を作る（欠測は除外、同一水深は平均）
+   * monotone は Fritsch–Carlson 型の区分3次エルミート（PCHIP）で、実測点の間で極値を作らない
+   * @param {{ z: number, v: number }[]} points  水深順
+   * @param {'linear'|'monotone'} method
+   * @returns {function(number): number}  実測の範囲外は NaN
+   */
+  function _gridInterpolator(points, method) {
+    const xs = [], ys = [], counts = [];
+    for (const p of points) {
+      if (isNaN(p.v)) continue;
+      const n = xs.length;
+      if (n > 0 && Math.abs(p.z - xs[n - 1]) < 1e-9) {
+        ys[n - 1] += p.v;
+        counts[n - 1]++;
+      } else {
+        xs.push(p.z);
+        ys.push(p.v);
+        counts.push(1);
+      }
+    }
+    for (let i = 0; i < ys.length; i++) ys[i] /= counts[i];
+    const n = xs.length;
+    if (n === 0) return () => NaN;
+
+    // 各区間の傾きと節点の微分係数（monotone のみ）
+    const h = [], d = [];
+    for (let i = 0; i < n - 1; i++) {
+      h.push(xs[i + 1] - xs[i]);
+      d.push((ys[i + 1] - ys[i]) / h[i]);
+    }
+    let m = null;
+    if (method === 'monotone' && n > 2) {
+      m = new Array(n);
+      m[0] = d[0];
+      m[n - 1] = d[n - 2];
+      for (let i = 1; i < n - 1; i++) {
+        if (d[i - 1] * d[i] <= 0) {
+          m[i] = 0;
+        } else {
+          const w1 = 2 * h[i] + h[i - 1], w2 = h[i] + 2 * h[i - 1];
+          m[i] = (w1 + w2) / (w1 / d[i - 1] + w2 / d[i]);
+        }
+      }
+    }
+
+    return z => {
+      if (z < xs[0] - 1e-9 || z > xs[n - 1] + 1e-9) return NaN;
+      if (n === 1) return ys[0];
+      const i = Math.min(Math.max(_lowerBound(xs, z) - 1, 0), n - 2);
+      const t = (z - xs[i]) / h[i];
+      if (!m) return ys[i] + (ys[i + 1] - ys[i]) * t;
+      const t2 = t * t, t3 = t2 * t;
+      return (2 * t3 - 3 * t2 + 1) * ys[i] + (t3 - 2 * t2 + t) * h[i] * m[i]
+        + (-2 * t3 + 3 * t2) * ys[i + 1] + (t3 - t2) * h[i] * m[i + 1];
+    };
+  }
+
+  /**
+   * 昇順の配列で value 以上となる最初の位置（二分探索）
+   * @param {number[]} arr
+   * @param {number} value
+   * @returns {number}
+   */
+  function _lowerBound(arr, value) {
+    let lo = 0, hi = arr.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (arr[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * キャスト要約（1キャスト1行の水柱構造）
+   * card.structure（castAnalysis.analyzeStructure の結果）を出力する。未算出のカードはここで算出
+   * 混合層深度が空欄のキャストは基準からの密度差・勾配が最深点まで条件に達しなかった（全層混合）
+   * 海底水深は海底接触から補正した水深（接触なしは空欄）。海底接触は判定の方法（自動 / 手動）
+   * @param {object[]} assignments
+   * @param {object}   stateCards
+   * @param {object}   [options]
+   * @returns {{ headers: string[], rows: string[][] }}
+   */
+  function summarizeCasts(assignments, stateCards, options = {}) {
+    const headers = [
+      '地点ID', '地点名', 'ファイル名', '観測日時', 'データ種別', 'キャスト区分',
+      '最大水深 [m]', '海底水深 [m]', '海底接触', '混合層深度(閾値法) [m]', '混合層深度(勾配法) [m]',
+      ...castAnalysis.CLINES.flatMap(c => [`${c.label}深度 [m]`, `${c.label}強度 [${c.unit}]`]),
+      '表底差 水温 [℃]', '表底差 塩分', '表底差 σθ [kg/m3]', '表底差 DO [mg/l]',
+    ];
+    const fmt = (v, digits) => (v === null || v === undefined || isNaN(v)
+      ? '' : String(Math.round(v * Math.pow(10, digits)) / Math.pow(10, digits)));
+
+    const rows = [];
+    for (const { stationId, stationName, card } of assignments) {
+      const parsed = card.parsed;
+      if (!parsed || parsed.error) continue;
+      const st = card.structure !== undefined ? card.structure : castAnalysis.analyzeStructure(card);
+      const sb = st ? st.surfaceBottom : {};
+      const cast = card.cast !== undefined ? card.cast : segmentCast(parsed);
+      const contact = cast ? cast.contact : null;
+      rows.push([
+        stationId || '',
+        stationName || '',
+        card.fileName,
+        parsed.firstDateTime || '',
+        _dataKindLabel(parsed),
+        _castModeLabel(card),
+        st ? fmt(st.maxDepth, 2) : '',
+        contact ? fmt(contact.depth, 2) : '',
+        contact ? (contact.auto ? '自動' : '手動') : '',
+        st ? fmt(st.mldThreshold, 2) : '',
+        st ? fmt(st.mldGradient, 2) : '',
+        ...castAnalysis.CLINES.flatMap(c => (st && st[c.key]
+          ? [fmt(st[c.key].depth, 2), fmt(st[c.key].strength, 4)]
+          : ['', ''])),
+        fmt(sb.temp, 3),
+        fmt(sb.sal, 3),
+        fmt(sb.sigma, 3),
+        fmt(sb.doMg, 3),
+      ]);
+    }
+    return { headers, rows };
+  }
+
+  /**
+   * 貧酸素の要約（キャスト別の行のあとに地点別の集計行）
+   * card.hypoxia（hypoxia.analyzeCard の結果）を出力する。未算出のカードはここで算出
+   * しきい値ごとに 到達水深・層厚・到達キャスト数 の列を持ち、地点行の到達水深は最も浅い値、層厚は最大値
+   * @param {object[]} assignments
+   * @param {object}   stateCards
+   * @param {object}   [options]
+   * @param {object[]} [options.hypoxia.thresholds]  しきい値（省略時 hypoxia.DEFAULT_THRESHOLDS）
+   * @returns {{ headers: string[], rows: string[][] }}
+   */
+  function summarizeHypoxia(assignments, stateCards, options = {}) {
+    const thresholds = options.hypoxia ? options.hypoxia.thresholds : hypoxia.DEFAULT_THRESHOLDS;
+    const headers = [
+      '集計', '地点ID', '地点名', 'ファイル名', '観測日時', 'キャスト数',
+      '最小DO [mg/L]', '最小DO水深 [m]', '最小DO飽和度 [%]', '最小DO飽和度水深 [m]',
+      ...thresholds.flatMap(t => {
+        const d = hypoxia.describeThreshold(t);
+        return [`${d}未満 到達水深 [m]`, `${d}未満 層厚 [m]`, `${d}未満 到達キャスト数`];
+      }),
+    ];
+    const fmt = v => (v === null || v === undefined || isNaN(v) ? '' : String(Math.round(v * 1000) / 1000));
+
+    const rows = [];
+    const byStation = new Map(); // stationId → { stationName, casts[] }
+    for (const { stationId, stationName, card } of assignments) {
+      const parsed = card.parsed;
+      if (!parsed || parsed.error) continue;
+      const res = card.hypoxia !== undefined ? card.hypoxia : hypoxia.analyzeCard(card, thresholds);
+      if (!res) continue;
+      rows.push([
+        'キャスト', stationId || '', stationName || '', card.fileName, parsed.firstDateTime || '', 1,
+        res.minDo ? fmt(res.minDo.value) : '', res.minDo ? fmt(res.minDo.depth) : '',
+        res.minPct ? fmt(res.minPct.value) : '', res.minPct ? fmt(res.minPct.depth) : '',
+        ...res.thresholds.flatMap(r => (r.available
+          ? [fmt(r.crossDepth), fmt(r.thickness), r.crossDepth !== null ? 1 : 0]
+          : ['', '', ''])),
+      ]);
+      if (!stationId) continue;
+      if (!byStation.has(stationId)) byStation.set(stationId, { stationName, casts: [] });
+      byStation.get(stationId).casts.push({ fileName: card.fileName, result: res });
+    }
+
+    for (const [stationId, { stationName, casts }] of byStation) {
+      const sum = hypoxia.summarizeStation(casts);
+      rows.push([
+        '地点', stationId, stationName || '', sum.minDo ? sum.minDo.fileName : '', '', sum.castCount,
+        sum.minDo ? fmt(sum.minDo.value) : '', sum.minDo ? fmt(sum.minDo.depth) : '',
+        sum.minPct ? fmt(sum.minPct.value) : '', sum.minPct ? fmt(sum.minPct.depth) : '',
+        ...sum.thresholds.flatMap(r => (r.casts > 0
+          ? [fmt(r.shallowest), fmt(r.maxThickness), r.reached]
+          : ['', '', ''])),
+      ]);
+    }
+    return { headers, rows };
+  }
+
+  /**
+   * 標準層の抽出（1キャスト1行）
+   * 形式Bと同じ行（キャスト区分・QC 除外・センサー異常の空欄化）の区分平均から、層ごとの値を求める
+   * - interp: 区分平均の水深間で線形内挿。端の区分より外側は区分幅（プロファイル済みファイルは水深間隔）以内なら端の値
+   * - bin:    目標水深を含む区分（プロファイル済みファイルは間隔の半分以内で最も近い水深）の値
+   * 最大水深より深い固定層・最大水深 1.0m 未満の B-1m層は空欄。海底接触を検出したキャストは補正した海底の水深を最大水深とする
+   * @param {object[]} assignments
+   * @param {object}   stateCards
+   * @param {object}   [options]
+   * @param {object}   [options.standardLayers]  DEFAULT_STANDARD_LAYERS と同じ形
+   * @returns {{ headers: string[], rows: string[][] }}
+   */
+  function extractStandardLayers(assignments, stateCards, options = {}) {
+    const layerSettings = { ...DEFAULT_STANDARD_LAYERS, ...options.standardLayers };
+    const layers = _resolveStandardLayers(layerSettings);
+    const binSettings = options.depthBin || DEFAULT_DEPTH_BIN;
+    const derivedCols = _resolveDerivedColumns(options.derivedFields);
+    const metaCols = _resolveMetaColumns(options.metaFields);
+    const types = _resolveColumnTypes(assignments, options);
+    const valueCols = _buildUnionColumns(assignments, stateCards)
+      .filter(col => types[col] === 'number' && !STANDARD_LAYER_SKIP.test(col));
+
+    // ファイルごとの区分平均
+    const casts = [];
+    for (const { stationId, stationName, stationLat, stationLon, card } of assignments) {
+      const parsed = card.parsed;
+      if (!parsed || parsed.error) continue;
+      casts.push({ stationId, stationName, stationLat, stationLon, card, points: _fileLayerProfile(card, options, valueCols, derivedCols) });
+    }
+    const keys = [
+      ...valueCols.map(col => ({ key: col, label: col, format: v => String(Math.round(v * 1e6) / 1e6) })),
+      ...derivedCols.map(d => ({ key: d.key, label: d.label, format: v => _formatDerived(v, d) })),
+    ];
+
+    const headers = [
+      '地点ID', '地点名', 'ファイル名', '観測日時', '地点緯度(マスタ)', '地点経度(マスタ)',
+      'データ種別', 'キャスト区分', '最大水深 [m]',
+      ...metaCols.map(c => c.label),
+      ...layers.flatMap(l => [`${l.label} 水深 [m]`, ...keys.map(k => `${l.label} ${k.label}`)]),
+    ];
+
+    const rows = casts.map(({ stationId, stationName, stationLat, stationLon, card, points }) => {
+      const parsed = card.parsed;
+      const bottom = _bottomDepth(card);
+      const maxDepth = points.length === 0 ? null
+        : bottom !== null ? bottom : Math.max(...points.map(p => p.maxZ));
+      const pitch = parsed.isProfile ? (parsed.profilePitch || 1) : binSettings.width;
+      const layerPart = layers.flatMap(layer => {
+        const target = maxDepth === null ? null : layer.depthOf(maxDepth);
+        if (target === null || target > maxDepth + 1e-9) return ['', ...keys.map(() => '')];
+        if (layerSettings.method === 'bin') {
+          const pt = layer.bottom ? points[points.length - 1] : _findLayerBin(points, target, parsed, binSettings, pitch);
+          if (!pt) return ['', ...keys.map(() => '')];
+          return [pt.bin, ...keys.map(k => (isNaN(pt.values[k.key]) ? '' : k.format(pt.values[k.key])))];
+        }
+        return [
+          Math.round(target * 1e3) / 1e3,
+          ...keys.map(k => {
+            const v = _interpolateLayer(points, k.key, target, pitch);
+            return isNaN(v) ? '' : k.format(v);
+          }),
         ];
+      });
+      return [
+        stationId || '',
+        stationName || '',
+        card.fileName,
+        parsed.firstDateTime || '',
+        stationLat !== null && stationLat !== undefined ? stationLat : '',
+        stationLon !== null && stationLon !== undefined ? stationLon : '',
+        _dataKindLabel(parsed),
+        _castModeLabel(card),
+        maxDepth !== null ? maxDepth : '',
+        ..._metaValues(parsed, metaCols),
+        ...layerPart,
+      ];
+    });
+    return { headers, rows };
+  }
 
-        allRows.push([...fixedPart, ...dataPart, dataCnt]);
+  /**
+   * 標準層の定義（固定水深 → 中層 → B-1m層 → 底層 の順）
+   * @param {object} layerSettings  DEFAULT_STANDARD_LAYERS と同じ形
+   * @returns {{ label: string, bottom: boolean, depthOf: function(number): number|null }[]}
+   */
+  function _resolveStandardLayers(layerSettings) {
+    const layers = (layerSettings.depths || []).map(d => ({ label: `${d}m層`, bottom: false, depthOf: () => d }));
+    if (layerSettings.mid) layers.push({ label: '中層', bottom: false, depthOf: max => max / 2 });
+    if (layerSettings.b1m) layers.push({ label: 'B-1m層', bottom: false, depthOf: max => (max >= 1.0 ? max - 1.0 : null) });
+    if (layerSettings.bottom) layers.push({ label: '底層', bottom: true, depthOf: max => max });
+    return layers;
+  }
+
+  /**
+   * 標準層用のファイルの区分平均（水深順）
+   * @param {object} card
+   * @param {object} options      出力設定
+   * @param {string[]} cols       平均する列
+   * @param {object[]} derivedCols 派生変数
+   * @returns {{ bin: number, z: number, maxZ: number, values: object }[]}
+   *   z: 区分内の平均水深, maxZ: 区分内の最大水深, values: 列名・派生変数キー → 平均値（欠測は NaN）
+   */
+  function _fileLayerProfile(card, options, cols, derivedCols) {
+    const parsed = card.parsed;
+    const phases = _selectedPhases(card);
+    const fileRows = _buildFileRows(card, options)
+      .filter(r => (r._phase === null || phases.includes(r._phase)) && r._depthBin !== null);
+    if (derivedCols.length > 0) applyDerivedVariables(fileRows, parsed, derivedCols);
+    const qcConfig = _qcConfig(options);
+    const excludeFlag = qcConfig && qcConfig.excludeFromB ? qcConfig.excludeFromB : null;
+
+    const groups = new Map();
+    for (const row of fileRows) {
+      if (!groups.has(row._depthBin)) groups.set(row._depthBin, []);
+      groups.get(row._depthBin).push(row);
+    }
+    const binN2 = derivedCols.some(d => d.key === 'N2') ? _binBuoyancyFrequency(groups) : null;
+    const mean = vals => {
+      const valid = vals.filter(v => v !== undefined && !isNaN(v));
+      return valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : NaN;
+    };
+
+    return [...groups.keys()].sort((a, b) => a - b).map(bin => {
+      const groupRows = groups.get(bin);
+      const values = {};
+      for (const col of cols) {
+        values[col] = mean(groupRows
+          .filter(r => !(excludeFlag && r._qc && r._qc[col] >= excludeFlag))
+          .map(r => parseFloat(r[col])));
+      }
+      for (const d of derivedCols) {
+        values[d.key] = d.key === 'N2'
+          ? (binN2.has(bin) ? binN2.get(bin) : NaN)
+          : mean(groupRows.map(r => (r._derived ? r._derived[d.key] : NaN)));
       }
+      return {
+        bin,
+        z: mean(groupRows.map(r => r._rawDepth)),
+        maxZ: groupRows.reduce((max, r) => Math.max(max, r._rawDepth), -Infinity),
+        values,
+      };
+    });
+  }
+
+  /**
+   * 目標水深の区分を探す（bin 方式）
+   * @param {object[]} points  _fileLayerProfile の結果
+   * @param {number} target    目標水深 [m]
+   * @param {object} parsed
+   * @param {object} binSettings
+   * @param {number} pitch     プロファイル済みファイルの水深間隔 [m]
+   * @returns {object|undefined}
+   */
+  function _findLayerBin(points, target, parsed, binSettings, pitch) {
+    if (parsed.isProfile) {
+      let nearest;
+      for (const p of points) {
+        if (!nearest || Math.abs(p.bin - target) < Math.abs(nearest.bin - target)) nearest = p;
+      }
+      return nearest && Math.abs(nearest.bin - target) < pitch / 2 ? nearest : undefined;
     }
+    const key = calculateDepthBin(target, { ...binSettings, maxDepth: null });
+    return points.find(p => Math.abs(p.bin - key) < 1e-9);
+  }
 
-    return { headers: allHeaders, rows: allRows };
+  /**
+   * 区分平均の水深間で線形内挿（interp 方式）
+   * @param {object[]} points  _fileLayerProfile の結果
+   * @param {string} key
+   * @param {number} z
+   * @param {number} tolerance  端の区分より外側で端の値を使う範囲 [m]
+   * @returns {number}  NaN = 算出不可
+   */
+  function _interpolateLayer(points, key, z, tolerance) {
+    const pts = points.filter(p => !isNaN(p.values[key]));
+    if (pts.length === 0) return NaN;
+    const first = pts[0], last = pts[pts.length - 1];
+    if (z <= first.z) return first.z - z <= tolerance + 1e-9 ? first.values[key] : NaN;
+    if (z >= last.z) return z - last.z <= tolerance + 1e-9 ? last.values[key] : NaN;
+    const i = pts.findIndex(p => p.z >= z);
+    const a = pts[i - 1], b = pts[i];
+    return a.values[key] + (b.values[key] - a.values[key]) * (z - a.z) / (b.z - a.z);
+  }
+
+  /**
+   * 標準層の固定水深の文字列を解析（設定画面用）
+   * @param {string} text  例: "0.5, 2, 5, 10"
+   * @returns {number[]|null}  0 以上の数値でない項目があれば null
+   */
+  function parseStandardDepths(text) {
+    const values = String(text).split(/[,、\s]+/).filter(v => v !== '').map(Number);
+    if (values.some(v => isNaN(v) || v < 0)) return null;
+    return [...new Set(values)].sort((a, b) => a - b);
+  }
+
+  /**
+   * 派生変数の算出（水温・塩分（または電導度）・水深・DO [mg/l] から）
+   * 行ごとに _derived（数値）を付与し、columns で指定された列を出力用の文字列で追加する
+   * 塩分列がなければ電導度から PSS-78 で求め、入力が欠けている行は空欄
+   * N² は下降中（プロファイル済みファイルは全行）の行について、前後 N2_HALF_WINDOW [m] の σθ を回帰して求める
+   * @param {object[]} fileRows  _buildFileRows の結果（更新される）
+   * @param {object} parsed
+   * @param {{ key: string, label: string }[]} columns  出力する派生変数
+   * @returns {object[]}  fileRows
+   */
+  function applyDerivedVariables(fileRows, parsed, columns) {
+    const find = re => parsed.headerRow.find(h => re.test(h));
+    const tempCol = find(/^水温/);
+    const salCol = find(/^塩分/);
+    const condCol = find(/^電導度/);
+    const doCol = find(/^DO \[mg/i);
+    const lat = parsed.gpsCoord ? parsed.gpsCoord.lat : DEFAULT_LATITUDE;
+
+    for (const row of fileRows) {
+      row._derived = {};
+      const t = tempCol ? parseFloat(row[tempCol]) : NaN;
+      const depth = row._rawDepth;
+      if (isNaN(t) || depth === null) continue;
+      const p = seawater.pressureFromDepth(Math.max(depth, 0), lat);
+      let sp = salCol ? parseFloat(row[salCol]) : NaN;
+      if (isNaN(sp) && condCol) {
+        const cond = parseFloat(row[condCol]);
+        if (!isNaN(cond)) sp = seawater.salinityFromConductivity(cond, t, p);
+      }
+      if (isNaN(sp)) continue;
+
+      const pt = seawater.potentialTemperature(sp, t, p);
+      const sa = seawater.absoluteSalinity(sp);
+      const ct = seawater.conservativeTemperature(sa, pt);
+      row._derived.SA = sa;
+      row._derived.CT = ct;
+      row._derived.sigma0 = seawater.sigma0(sa, ct);
+      row._derived.soundSpeed = seawater.soundSpeed(sp, t, depth);
+      const dox = doCol ? parseFloat(row[doCol]) : NaN;
+      if (!isNaN(dox)) row._derived.o2sat = dox / seawater.oxygenSolubility(sp, t) * 100;
+    }
+
+    if (columns.some(c => c.key === 'N2')) {
+      // プロファイル済みファイルは水深間隔が広いため、前後1水深を含む幅にする
+      const halfWindow = parsed.isProfile ? Math.max(N2_HALF_WINDOW, parsed.profilePitch || 1) : N2_HALF_WINDOW;
+      _rowBuoyancyFrequency(fileRows, halfWindow);
+    }
+
+    for (const row of fileRows) {
+      for (const c of columns) {
+        const v = row._derived[c.key];
+        row[c.label] = v !== undefined && !isNaN(v) ? _formatDerived(v, c) : '';
+      }
+    }
+    return fileRows;
+  }
+
+  /**
+   * 行単位の N²（下降中・プロファイルの行のみ）
+   * @param {object[]} fileRows    _derived.sigma0 が付与済み
+   * @param {number}   halfWindow  回帰に使う前後の水深幅 [m]
+   */
+  function _rowBuoyancyFrequency(fileRows, halfWindow) {
+    const pts = fileRows
+      .filter(r => (r._phase === null || r._phase === 'down' || r._phase === 'profile') && r._derived.sigma0 !== undefined)
+      .map(r => ({ row: r, z: r._rawDepth, s: r._derived.sigma0 }))
+      .sort((a, b) => a.z - b.z);
+    // 水深順に並べ、前後 halfWindow の範囲を尺取りで求める
+    let lo = 0, hi = 0;
+    for (const pt of pts) {
+      while (pts[lo].z < pt.z - halfWindow - 1e-9) lo++;
+      while (hi + 1 < pts.length && pts[hi + 1].z <= pt.z + halfWindow + 1e-9) hi++;
+      const win = pts.slice(lo, hi + 1);
+      if (win.length < 3) continue;
+      const mz = win.reduce((a, q) => a + q.z, 0) / win.length;
+      const ms = win.reduce((a, q) => a + q.s, 0) / win.length;
+      let sxx = 0, sxy = 0;
+      for (const q of win) {
+        sxx += (q.z - mz) * (q.z - mz);
+        sxy += (q.z - mz) * (q.s - ms);
+      }
+      if (sxx < 1e-4) continue; // 同じ水深に留まっている
+      pt.row._derived.N2 = seawater.buoyancyFrequencySquared(sxy / sxx);
+    }
+  }
+
+  /**
+   * 水深区分ごとの N²（隣接する区分の平均 σθ の中央差分、両端は片側差分）
+   * @param {Map} groups  binKey → rows（_derived.sigma0, _rawDepth を参照）
+   * @returns {Map}  binKey → N²
+   */
+  function _binBuoyancyFrequency(groups) {
+    const bins = [];
+    for (const [binKey, rows] of groups) {
+      const valid = rows.filter(r => r._derived && r._derived.sigma0 !== undefined);
+      if (binKey === '' || valid.length === 0) continue;
+      bins.push({
+        binKey,
+        z: valid.reduce((a, r) => a + r._rawDepth, 0) / valid.length,
+        s: valid.reduce((a, r) => a + r._derived.sigma0, 0) / valid.length,
+      });
+    }
+    bins.sort((a, b) => a.z - b.z);
+    const result = new Map();
+    bins.forEach((b, i) => {
+      const lo = bins[Math.max(i - 1, 0)];
+      const hi = bins[Math.min(i + 1, bins.length - 1)];
+      if (hi.z - lo.z > 1e-6) result.set(b.binKey, seawater.buoyancyFrequencySquared((hi.s - lo.s) / (hi.z - lo.z)));
+    });
+    return result;
+  }
+
+  /**
+   * 派生変数の出力用の文字列
+   * @param {number} v
+   * @param {{ digits: number|null }} def
+   * @returns {string}
+   */
+  function _formatDerived(v, def) {
+    if (def.digits === null) return v.toPrecision(4);
+    return String(Math.round(v * Math.pow(10, def.digits)) / Math.pow(10, def.digits));
+  }
+
+  /**
+   * 選択された派生変数の定義を返す（DERIVED_VARIABLES の順）
+   * @param {string[]|undefined} derivedFields
+   * @returns {{ key: string, label: string, digits: number|null }[]}
+   */
+  function _resolveDerivedColumns(derivedFields) {
+    const keys = Array.isArray(derivedFields) ? derivedFields : [];
+    return DERIVED_VARIABLES.filter(d => keys.includes(d.key));
+  }
+
+  /**
+   * パース済みファイルの行をオブジェクト化し、水深・水深区分・キャスト区分を付与
+   * プロファイル済みファイル（isProfile）は再区分せず、記録された水深をそのまま区分とする
+   * QC 実施時は列名 → QC フラグを _qc に付与（観測項目以外の列は含まない）
+   * blankDeadChannels 指定時はセンサー異常の列を空欄にし、QC フラグを不良とする
+   * @param {object} card     カード（parsed と登録時に求めた cast, deadChannels を参照）
+   * @param {object} options  出力設定（depthBin, qc, blankDeadChannels を参照）
+   * @returns {object[]}  { [列名]: 値, _rawDepth, _depthBin, _phase, _qc }
+   */
+  function _buildFileRows(card, options) {
+    const parsed = card.parsed;
+    const cast = card.cast !== undefined ? card.cast : segmentCast(parsed);
+    const qcConfig = _qcConfig(options);
+    const qc = qcConfig ? qcEngine.evaluate(parsed, cast, qcConfig).columns : null;
+    const blankCols = options.blankDeadChannels && card.deadChannels
+      ? card.deadChannels.map(d => d.column)
+      : [];
+    const binSettings = options.depthBin || DEFAULT_DEPTH_BIN;
+    const maxDepth = binSettings.maxDepth;
+    const headers = parsed.headerRow;
+    const depthIdx = headers.findIndex(h => h.includes('深度') || h.toLowerCase().includes('depth'));
+    const fileRows = [];
+    parsed.dataRows.forEach((dataRow, rowIdx) => {
+      const rowObj = {};
+      headers.forEach((h, i) => { rowObj[h] = dataRow[i] !== undefined ? dataRow[i] : ''; });
+      rowObj._phase = cast ? cast.phases[rowIdx] : null;
+      if (qc) {
+        rowObj._qc = {};
+        for (const [col, res] of Object.entries(qc)) rowObj._qc[col] = res.flags[rowIdx];
+      }
+      for (const col of blankCols) {
+        rowObj[col] = '';
+        if (rowObj._qc) rowObj._qc[col] = qcEngine.FLAG.BAD;
+      }
+      const rawDepth = depthIdx >= 0 ? parseFloat(dataRow[depthIdx]) : NaN;
+      rowObj._rawDepth = isNaN(rawDepth) ? null : rawDepth;
+      if (isNaN(rawDepth)) {
+        rowObj._depthBin = null;
+      } else if (parsed.isProfile) {
+        const overMax = maxDepth !== null && maxDepth !== undefined && rawDepth > maxDepth;
+        rowObj._depthBin = overMax ? null : Math.round(rawDepth * 1e6) / 1e6;
+      } else {
+        rowObj._depthBin = calculateDepthBin(rawDepth, binSettings);
+      }
+      fileRows.push(rowObj);
+    });
+    return fileRows;
+  }
+
+  /**
+   * ファイル種別に応じて B-1m フラグを付与（海底接触を検出したキャストは補正した海底の水深が基準）
+   * @param {object[]} fileRows
+   * @param {object} card
+   * @param {object} options  出力設定
+   */
+  function _applyFileB1mFlag(fileRows, card, options) {
+    const parsed = card.parsed;
+    applyB1mFlag(fileRows, {
+      binSettings: options.depthBin || DEFAULT_DEPTH_BIN,
+      profileTolerance: parsed.isProfile ? (parsed.profilePitch ? parsed.profilePitch / 2 : 0.5) : undefined,
+      bottomDepth: _bottomDepth(card),
+    });
+  }
+
+  /**
+   * 海底接触から補正した海底の水深（接触なし・未区分なら null）
+   * @param {object} card
+   * @returns {number|null}
+   */
+  function _bottomDepth(card) {
+    const cast = card.cast !== undefined ? card.cast : segmentCast(card.parsed);
+    return cast && cast.contact ? cast.contact.depth : null;
+  }
+
+  /**
+   * 有効な QC 設定を返す（QC を実施しない場合は null）
+   * @param {object} options  出力設定
+   * @returns {object|null}
+   */
+  function _qcConfig(options) {
+    return options.qc && options.qc.enabled ? options.qc : null;
+  }
+
+  /**
+   * 出力用のデータ種別ラベル
+   * @param {object} parsed
+   * @returns {string}
+   */
+  function _dataKindLabel(parsed) {
+    return parsed.isProfile ? 'プロファイル' : '生データ';
+  }
+
+  /**
+   * 選択されたメタデータ列の定義を返す（未知のキーはそのままキー名で出力）
+   * @param {string[]|undefined} metaFields
+   * @returns {{ key: string, label: string }[]}
+   */
+  function _resolveMetaColumns(metaFields) {
+    const keys = Array.isArray(metaFields) ? metaFields : DEFAULT_META_FIELDS;
+    return keys.map(k => METADATA_COLUMNS.find(c => c.key === k) || { key: k, label: k });
+  }
+
+  /**
+   * カードのメタデータから出力値を取り出す
+   * @param {object} parsed
+   * @param {{ key: string }[]} metaCols
+   * @returns {string[]}
+   */
+  function _metaValues(parsed, metaCols) {
+    const header = (parsed.metadata && parsed.metadata.header) || {};
+    return metaCols.map(c => (header[c.key] !== undefined ? header[c.key] : ''));
+  }
+
+  /**
+   * 野帳の項目の列（出力するカードの記録の項目のユニオン, 記録のあるカードがなければ null）
+   * @param {object[]} assignments
+   * @returns {string[]|null}
+   */
+  function _fieldLogColumns(assignments) {
+    const logs = assignments.map(a => a.card.fieldLog).filter(Boolean);
+    if (logs.length === 0) return null;
+    return [...new Set(logs.flatMap(log => Object.keys(log.fields)))];
+  }
+
+  /**
+   * 野帳の列名（記録の日時・地点と各項目）
+   * @param {string[]|null} logFields  _fieldLogColumns の結果
+   * @returns {string[]}
+   */
+  function _fieldLogHeaders(logFields) {
+    if (!logFields) return [];
+    return ['日時', '地点', ...logFields].map(name => `${FIELD_LOG_PREFIX}${name}`);
+  }
+
+  /**
+   * カードの野帳の値（記録のないカードは空欄）
+   * @param {object} card
+   * @param {string[]|null} logFields
+   * @returns {string[]}
+   */
+  function _fieldLogValues(card, logFields) {
+    if (!logFields) return [];
+    const log = card.fieldLog;
+    if (!log) return ['', '', ...logFields.map(() => '')];
+    return [log.time, log.station, ...logFields.map(name => (log.fields[name] !== undefined ? log.fields[name] : ''))];
   }
 
   /**
@@ -347,21 +1772,58 @@ const dataProcessor = (() => {
   }
 
   /**
-   * 列が数値かどうか判定（サンプル行でチェック）
+   * 出力に使う列の型（列名 → 型）
+   * options.columnTypes（画面で確認したスキーマ）がなければ、出力対象の全ファイルの全行から推定する
+   * @param {object[]} assignments
+   * @param {object} options
+   * @returns {object}
    */
-  function _isNumericColumn(col, rows, cache) {
-    if (cache[col] !== undefined) return cache[col];
-    let numCount = 0, totalCount = 0;
-    for (const r of rows.slice(0, 20)) {
-      const v = r[col];
-      if (v !== undefined && v !== '') {
-        totalCount++;
-        if (!isNaN(parseFloat(v))) numCount++;
-      }
+  function _resolveColumnTypes(assignments, options) {
+    if (options.columnTypes) return options.columnTypes;
+    return columnSchema.typeMap(columnSchema.buildSchema(assignments.map(a => a.card)));
+  }
+
+  /**
+   * CSV の値をエスケープ（カンマ・ダブルクォート・改行を含む値を囲む）
+   * @param {*} v
+   * @returns {string}
+   */
+  function _csvEscape(v) {
+    const s = String(v === null || v === undefined ? '' : v);
+    if (s.includes(',') || s.includes('"') || s.includes('\n')) {
+      return '"' + s.replace(/"/g, '""') + '"';
     }
-    const result = totalCount > 0 && numCount / totalCount >= 0.8;
-    cache[col] = result;
-    return result;
+    return s;
+  }
+
+  /**
+   * CSV の Blob を1行ずつ組み立てる（BOM付きUTF-8）
+   * CSV_CHUNK_ROWS 行たまるごとに文字列にして Blob の部品へ移すので、出力全体の行の配列を持たない
+   * 列名は最後に toBlob で渡す（形式A は行を作りながら列名が決まるため）
+   * @returns {{ push: function(string[]): void, rowCount: function(): number, toBlob: function(string[]): Blob }}
+   */
+  function createCSVWriter() {
+    const parts = [];
+    let pending = [];
+    let count = 0;
+    const flush = () => {
+      if (pending.length === 0) return;
+      parts.push('\r\n' + pending.join('\r\n'));
+      pending = [];
+    };
+    return {
+      push(row) {
+        pending.push(row.map(_csvEscape).join(','));
+        count++;
+        if (pending.length >= CSV_CHUNK_ROWS) flush();
+      },
+      rowCount: () => count,
+      toBlob(headers) {
+        flush();
+        // BOM付き UTF-8
+        return new Blob(['\uFEFF' + headers.map(_csvEscape).join(','), ...parts], { type: 'text/csv;charset=utf-8;' });
+      },
+    };
   }
 
   /**
@@ -371,46 +1833,83 @@ const dataProcessor = (() => {
    * @returns {Blob}
    */
   function generateCSVBlob(headers, rows) {
-    const escape = (v) => {
-      const s = String(v === null || v === undefined ? '' : v);
-      if (s.includes(',') || s.includes('"') || s.includes('\n')) {
-        return '"' + s.replace(/"/g, '""') + '"';
-      }
-      return s;
-    };
-    const lines = [
-      headers.map(escape).join(','),
-      ...rows.map(row => row.map(escape).join(',')),
-    ];
-    const text = lines.join('\r\n');
-    // BOM付き UTF-8
-    const bom = '\uFEFF';
-    return new Blob([bom + text], { type: 'text/csv;charset=utf-8;' });
+    const writer = createCSVWriter();
+    for (const row of rows) writer.push(row);
+    return writer.toBlob(headers);
   }
 
   /**
    * 出力ファイル名生成
-   * @param {'A'|'B'} format
+   * 形式B は水深区分設定（幅・方式・最大水深）をファイル名に含める
+   * @param {'A'|'B'|'L'|'S'|'H'} format  L = 標準層, S = キャスト要約, H = 貧酸素要約
+   * @param {object} [options]  出力設定
    * @returns {string}
    */
-  function generateOutputFileName(format) {
+  function generateOutputFileName(format, options = {}) {
     const now = new Date();
     const pad2 = n => String(n).padStart(2, '0');
     const ts = `${now.getFullYear()}${pad2(now.getMonth() + 1)}${pad2(now.getDate())}_${pad2(now.getHours())}${pad2(now.getMinutes())}`;
     if (format === 'A') return `結合_生データ_${ts}.csv`;
-    return `結合_水深平均_${ts}.csv`;
+    if (format === 'L') {
+      const method = { ...DEFAULT_STANDARD_LAYERS, ...options.standardLayers }.method;
+      return `標準層_${STANDARD_LAYER_METHODS[method] || method}_${ts}.csv`;
+    }
+    if (format === 'S') return `キャスト要約_${ts}.csv`;
+    if (format === 'H') return `貧酸素要約_${ts}.csv`;
+    return `結合_水深平均_${describeDepthBin(options.depthBin)}_${ts}.csv`;
+  }
+
+  /**
+   * 水深区分設定の短い表記（例: "0.5m切捨", "1m中心_max20m", "0.5m切捨_線形内挿"）
+   * @param {object} [binSettings]
+   * @returns {string}
+   */
+  function describeDepthBin(binSettings) {
+    const { width, anchor, maxDepth, method } = { ...DEFAULT_DEPTH_BIN, ...binSettings };
+    let label = `${width}m${BIN_ANCHOR_LABELS[anchor] || anchor}`;
+    if (maxDepth !== null && maxDepth !== undefined) label += `_max${maxDepth}m`;
+    if (method !== 'mean' && DEPTH_BIN_METHODS[method]) label += `_${DEPTH_BIN_METHODS[method].label}`;
+    return label;
   }
 
   // ─── 公開 API ───
   return {
+    METADATA_COLUMNS,
+    DEFAULT_META_FIELDS,
+    DEFAULT_DEPTH_BIN,
+    BIN_ANCHOR_LABELS,
+    DEPTH_BIN_METHODS,
+    BIN_STATISTICS,
+    DEFAULT_BIN_STATS,
+    CAST_SEGMENT_DEFAULTS,
+    CAST_PHASE_LABELS,
+    CAST_MODES,
+    BOTTOM_CONTACT_DEFAULTS,
+    DEFAULT_CAST_MODE,
+    QC_COLUMN_SUFFIX,
+    DERIVED_VARIABLES,
+    DEFAULT_STANDARD_LAYERS,
+    STANDARD_LAYER_METHODS,
+    DEFAULT_STATION_RADIUS,
     normalizeFileName,
+    stationRadius,
+    nearestStation,
     autoAssignFiles,
     calculateDepthBin,
     calculateDistance,
     applyB1mFlag,
+    segmentCast,
+    detectBottomContact,
+    applyDerivedVariables,
     mergeAllData,
     calculateDepthBinAverages,
+    extractStandardLayers,
+    parseStandardDepths,
+    summarizeCasts,
+    summarizeHypoxia,
     generateCSVBlob,
+    createCSVWriter,
     generateOutputFileName,
+    describeDepthBin,
   };
 })();
@@ -0,0 +1,188 @@
+/**
+ * fieldLog.js
+ * 野帳（フィールドログ）: 現場で記録したキャストごとの時刻・地点・天気・透明度・備考などの CSV を読み込み、
+ * 観測開始日時（firstDateTime）が許容差内で最も近い記録をカードに対応づける
+ * 対応づけた記録の地点で自動仕分けし（dataProcessor.autoAssignFiles）、記録の項目は形式A/B に「野帳_」付きの列として出力する
+ */
+'use strict';
+
+const fieldLog = (() => {
+
+  /** 観測開始日時と記録の時刻の許容差の既定値 [分] */
+  const DEFAULT_TOLERANCE_MINUTES = 10;
+
+  /** 列名の候補（照合前に空白を除き小文字化） */
+  const DATETIME_HEADERS = ['日時', '観測日時', '開始日時', 'datetime', 'date/time'];
+  const DATE_HEADERS = ['日付', '観測日', '年月日', 'date'];
+  const TIME_HEADERS = ['時刻', '観測時刻', '開始時刻', 'time'];
+  const STATION_HEADERS = ['地点', '地点id', '地点名', '観測地点', 'station'];
+
+  function _normalizeHeader(h) {
+    return String(h || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+  }
+
+  /**
+   * 列の位置（DATETIME_HEADERS などの候補のうち最初に見つかった列）
+   * @param {string[]} header  _normalizeHeader 済み
+   * @param {string[]} names
+   * @returns {number}  見つからなければ -1
+   */
+  function _findColumn(header, names) {
+    for (const name of names) {
+      const idx = header.indexOf(name);
+      if (idx >= 0) return idx;
+    }
+    return -1;
+  }
+
+  /**
+   * 日時の文字列をミリ秒に（ローカル時刻）
+   * @param {string} text  例: "2018/06/14 8:42:18", "2018-06-14T08:42"
+   * @returns {number|null}
+   */
+  function parseDateTime(text) {
+    const m = /(\d{4})[/-](\d{1,2})[/-](\d{1,2})[\sT]+(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(text || '');
+    if (!m) return null;
+    return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0)).getTime();
+  }
+
+  /**
+   * 時刻の表示（"2018/06/14 08:42"）
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatDateTime(ms) {
+    const d = new Date(ms);
+    const pad2 = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}/${pad2(d.getMonth() + 1)}/${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  }
+
+  /**
+   * 1行目の列から、日時（または日付＋時刻）と地点の列の位置を求める
+   * @param {string[]} cells  1行目
+   * @returns {{ datetime: number, date: number, time: number, station: number }|null}  野帳の列がなければ null
+   */
+  function _layout(cells) {
+    const header = cells.map(_normalizeHeader);
+    const layout = {
+      datetime: _findColumn(header, DATETIME_HEADERS),
+      date: _findColumn(header, DATE_HEADERS),
+      time: _findColumn(header, TIME_HEADERS),
+      station: _findColumn(header, STATION_HEADERS),
+    };
+    const hasTime = layout.datetime >= 0 || (layout.date >= 0 && layout.time >= 0);
+    return hasTime && layout.station >= 0 ? layout : null;
+  }
+
+  /**
+   * 野帳の CSV か（1行目に日時（または日付と時刻）と地点の列がある）
+   * @param {string} text
+   * @returns {boolean}
+   */
+  function isFieldLogCSV(text) {
+    const first = fileHandler.splitLines(text).find(l => l.trim() !== '');
+    return !!first && !!_layout(fileHandler.parseCsvLine(first));
+  }
+
+  /**
+   * 野帳の CSV を読み込む
+   * 日時・地点以外の列（天気・透明度・備考など）は記録の項目としてそのまま持つ
+   * @param {string} text
+   * @returns {{ entries: object[], fields: string[], errors: string[] }}
+   *   entries: [{ row, time (ms), station (記録の地点), fields: { 列名: 値 } }]（時刻順）
+   *   errors:  読み飛ばした行の説明
+   */
+  function parseCSV(text) {
+    const lines = fileHandler.splitLines(text).filter(l => l.trim() !== '');
+    const cells = lines.length > 0 ? fileHandler.parseCsvLine(lines[0]).map(c => c.trim()) : [];
+    const layout = _layout(cells);
+    if (!layout) {
+      return { entries: [], fields: [], errors: ['野帳の1行目に「日時」（または「日付」と「時刻」）と「地点」の列が必要です'] };
+    }
+    const skip = new Set([layout.datetime, layout.date, layout.time, layout.station]);
+    const fieldCols = cells.map((name, i) => ({ name, i })).filter(c => c.name && !skip.has(c.i));
+
+    const entries = [];
+    const errors = [];
+    lines.slice(1).forEach((line, k) => {
+      const row = k + 2;
+      const values = fileHandler.parseCsvLine(line).map(c => c.trim());
+      const timeText = layout.datetime >= 0
+        ? values[layout.datetime]
+        : `${values[layout.date] || ''} ${values[layout.time] || ''}`;
+      const time = parseDateTime(timeText);
+      const station = values[layout.station] || '';
+      if (time === null) {
+        errors.push(`${row}行目: 日時を読み取れません（${timeText.trim() || '空欄'}）`);
+        return;
+      }
+      if (!station) {
+        errors.push(`${row}行目: 地点が空欄です`);
+        return;
+      }
+      const fields = {};
+      for (const c of fieldCols) fields[c.name] = values[c.i] || '';
+      entries.push({ row, time, station, fields });
+    });
+    entries.sort((a, b) => a.time - b.time);
+    return { entries, fields: fieldCols.map(c => c.name), errors };
+  }
+
+  /**
+   * 記録の地点を地点マスタの地点IDに（地点ID, なければ地点名で照合。全角/半角・カタカナ/ひらがなは揃える）
+   * @param {string} station
+   * @param {object[]} stations
+   * @returns {string|null}
+   */
+  function resolveStation(station, stations) {
+    const valid = stations.filter(s => !s._invalid);
+    const byId = valid.find(s => s.id === station);
+    if (byId) return byId.id;
+    const key = stationMatcher.normalizeText(station);
+    const byName = valid.find(s => stationMatcher.normalizeText(s.id) === key || stationMatcher.normalizeText(s.name) === key);
+    return byName ? byName.id : null;
+  }
+
+  /**
+   * カードに最も近い時刻の記録を対応づける（1件の記録に同じキャストの生データとプロファイル済みファイルなど複数のカードが対応しうる）
+   * @param {object[]} cards
+   * @param {object[]} entries  parseCSV の entries
+   * @param {number} toleranceMinutes
+   * @returns {{ matches: Map<string, { entry: object, diffMinutes: number }>, unmatchedEntries: object[], unmatchedCards: object[] }}
+   *   unmatchedCards には観測開始日時のないカードも含む
+   */
+  function matchCards(cards, entries, toleranceMinutes) {
+    const tolerance = toleranceMinutes * 60000;
+    const matches = new Map();
+    const used = new Set();
+    const unmatchedCards = [];
+    for (const card of cards) {
+      const t = parseDateTime(card.parsed && card.parsed.firstDateTime);
+      let best = null;
+      if (t !== null) {
+        for (const entry of entries) {
+          const diff = Math.abs(entry.time - t);
+          if (diff <= tolerance && (!best || diff < best.diff)) best = { entry, diff };
+        }
+      }
+      if (!best) {
+        unmatchedCards.push(card);
+        continue;
+      }
+      used.add(best.entry);
+      matches.set(card.id, { entry: best.entry, diffMinutes: Math.round(best.diff / 6000) / 10 });
+    }
+    return { matches, unmatchedEntries: entries.filter(e => !used.has(e)), unmatchedCards };
+  }
+
+  // ─── 公開 API ───
+  return {
+    DEFAULT_TOLERANCE_MINUTES,
+    parseDateTime,
+    formatDateTime,
+    isFieldLogCSV,
+    parseCSV,
+    resolveStation,
+    matchCards,
+  };
+})();
@@ -7,14 +7,93 @@
 const fileHandler = (() => {
 
   /**
-   * 列名エイリアスマッピング
-   * 異なるソフトウェア・機種間で表記が異なる列名を統一する
+   * 出力ソフトウェア別のパーサープロファイル
+   * ファイル先頭の "//" 行（バナー）で判定し、列名エイリアス・メタデータ規則を切り替える
+   * - banner:             バナー行に対する判定パターン
+   * - requiredSections:   存在すべきヘッダーセクション（欠けていれば警告）
+   * - columnAliases:      列名の対応表（columnAliases）より先に適用する列名エイリアス
+   * - metaFields:         METADATA_FIELDS に上乗せする型付きメタデータ
+   * - fallbackHeaderLine: [Item] が見つからない場合の固定ヘッダー行（1-indexed, null = なし）
    */
-  const COLUMN_ALIASES = {
-    '塩分 [ ]'        : '塩分',
-    'Density [kg/m^3]': '密度 [kg/m3]',
-    '濁度相当値 [FTU]' : '濁度 [FTU]',
-  };
+  const PARSER_PROFILES = [
+    {
+      id: 'aaq-comm',
+      label: 'AAQ-PRO2 通信ソフト',
+      banner: /AAQ-PRO2 Communication Software/i,
+      requiredSections: ['Format', 'Head'],
+      columnAliases: {},
+      metaFields: {},
+      fallbackHeaderLine: 69,
+    },
+    {
+      id: 'aaq-dps',
+      label: 'AAQ データ処理ソフト',
+      banner: /AAQ-RINKO Series Data Processing Software/i,
+      requiredSections: ['Format', 'Head'],
+      columnAliases: {},
+      metaFields: {
+        StartDep: { field: 'startDep', type: 'float' },
+        LastDep:  { field: 'lastDep',  type: 'float' },
+        Pitch:    { field: 'pitch',    type: 'float' },
+        StationNo:{ field: 'stationNo', type: 'string' },
+      },
+      fallbackHeaderLine: null,
+    },
+    {
+      id: 'infinity-sd',
+      label: 'Infinity SDlogger',
+      banner: /Infinity SDlogger/i,
+      requiredSections: ['Head'],
+      columnAliases: {
+        'σT [ ]'          : 'シグマＴ',
+        '濁度中ﾚﾝｼﾞ [FTU]': '濁度 [FTU]',
+      },
+      metaFields: {
+        BurstTime: { field: 'burstTime', type: 'int' },
+        BurstCnt:  { field: 'burstCnt',  type: 'int' },
+        DelayTime: { field: 'delayTime', type: 'int' },
+      },
+      fallbackHeaderLine: null,
+    },
+  ];
+
+  /**
+   * 先頭の "//" 行からソフトウェア名・バージョンを読み取り、プロファイルを選択
+   * @param {string[]} lines
+   * @returns {{ id: string, label: string, software: string, version: string, fileDate: string, known: boolean, profile: object|null }}
+   */
+  function detectFormat(lines) {
+    const banner = [];
+    for (let i = 0; i < Math.min(lines.length, 10); i++) {
+      const line = lines[i].trim();
+      if (!line.startsWith('//')) {
+        if (line === '') continue;
+        break;
+      }
+      banner.push(line.replace(/^\/\/\s*/, ''));
+    }
+
+    const software = banner[0] || '';
+    let version = '';
+    let fileDate = '';
+    for (const b of banner) {
+      const vMatch = b.match(/^Ver(?:sion)?\s*([\d.]+)/i);
+      if (vMatch && !version) version = vMatch[1];
+      const dMatch = b.match(/^File Date:\s*(.+)/i);
+      if (dMatch) fileDate = dMatch[1].trim();
+    }
+
+    const profile = PARSER_PROFILES.find(p => banner.some(b => p.banner.test(b))) || null;
+    return {
+      id: profile ? profile.id : 'unknown',
+      label: profile ? profile.label : '形式不明',
+      software,
+      version,
+      fileDate,
+      known: !!profile,
+      profile,
+    };
+  }
 
   /**
    * BOM / エンコーディング検出
@@ -78,6 +157,95 @@ const fileHandler = (() => {
     });
   }
 
+  // ─── フォルダ・ZIP の展開 ───
+
+  /**
+   * ドロップされたファイル・フォルダを集める（フォルダは再帰的にたどる）
+   * DataTransferItem のエントリはイベント中にしか取得できないため、await より前に取り出す
+   * @param {DataTransfer} dataTransfer
+   * @returns {Promise<{ file: File, path: string }[]>}  path = ドロップした階層からの相対パス
+   */
+  async function collectDroppedFiles(dataTransfer) {
+    const items = [...(dataTransfer.items || [])];
+    const entries = items.map(item => item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+    if (entries.length === 0 || entries.some(e => !e)) {
+      // エントリ API のないブラウザはファイルのみ（フォルダは展開しない）
+      return [...dataTransfer.files].map(file => ({ file, path: file.name }));
+    }
+    const sources = [];
+    for (const entry of entries) await _walkEntry(entry, '', sources);
+    return sources;
+  }
+
+  /**
+   * FileSystemEntry を再帰的にたどる
+   * @param {FileSystemEntry} entry
+   * @param {string} parentPath
+   * @param {{ file: File, path: string }[]} out
+   */
+  async function _walkEntry(entry, parentPath, out) {
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      out.push({ file, path });
+      return;
+    }
+    if (!entry.isDirectory) return;
+    const reader = entry.createReader();
+    // readEntries は1回で全件を返すとは限らない（空配列が返るまで繰り返す）
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) break;
+      for (const child of batch) await _walkEntry(child, path, out);
+    }
+  }
+
+  /**
+   * ファイル選択（input type="file"）のファイルを集める（フォルダ選択では相対パスを保持）
+   * @param {FileList|File[]} files
+   * @returns {{ file: File, path: string }[]}
+   */
+  function collectSelectedFiles(files) {
+    return [...files].map(file => ({ file, path: file.webkitRelativePath || file.name }));
+  }
+
+  /**
+   * ZIP 内のファイル名をデコード（UTF-8 フラグのない名前。日本語版 Windows で作った ZIP は Shift_JIS）
+   * @param {Uint8Array|number[]} bytes
+   * @returns {string}
+   */
+  function _decodeZipName(bytes) {
+    const arr = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(arr);
+    } catch (e) {
+      return decodeBuffer(arr.slice().buffer, 'SJIS'); // subarray の場合に備えて複製
+    }
+  }
+
+  /**
+   * ZIP を展開し、中の CSV（入れ子の ZIP も展開）を取り出す
+   * @param {File} file
+   * @param {string} basePath  ZIP 自体の相対パス
+   * @returns {Promise<{ file: File, path: string }[]>}  path = "<ZIP の相対パス>/<ZIP 内のパス>"
+   */
+  async function extractZip(file, basePath) {
+    if (typeof JSZip === 'undefined') throw new Error('ZIP の展開ライブラリを読み込めません');
+    const zip = await JSZip.loadAsync(file, { decodeFileName: _decodeZipName });
+    const sources = [];
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir) continue;
+      const name = entry.name.split('/').pop();
+      if (name.startsWith('.') || entry.name.startsWith('__MACOSX/')) continue; // macOS の付随ファイル
+      if (!/\.(csv|zip)$/i.test(name)) continue;
+      const inner = new File([await entry.async('uint8array')], name, { lastModified: entry.date ? entry.date.getTime() : Date.now() });
+      const path = `${basePath}/${entry.name}`;
+      if (/\.zip$/i.test(name)) sources.push(...await extractZip(inner, path));
+      else sources.push({ file: inner, path });
+    }
+    return sources;
+  }
+
   /**
    * CSV テキストを行配列に分割（CRLF / LF 対応）
    * @param {string} text
@@ -147,6 +315,7 @@ const fileHandler = (() => {
       const category = get('調査区分') || '未設定';
       const lat = parseFloat(get('緯度')) || null;
       const lon = parseFloat(get('経度')) || null;
+      const radius = parseFloat(get('判定半径_m'));
       const note = get('備考');
       const keywords = get('ファイル名キーワード');
       const template = get('テンプレート');
@@ -169,6 +338,7 @@ const fileHandler = (() => {
         category,
         lat,
         lon,
+        radius: radius > 0 ? radius : null,
         note,
         keywords: keywords ? keywords.split('|').map(k => k.trim()).filter(Boolean) : [],
         templates: template ? template.split('/').map(t => t.trim()).filter(Boolean) : [],
@@ -179,49 +349,148 @@ const fileHandler = (() => {
     return { stations, errors };
   }
 
+  /**
+   * メタデータのキー → metadata の型付きフィールド対応表
+   * type: 'int' | 'float' | 'string' | 'raw'（raw は後段で個別変換）
+   */
+  const METADATA_FIELDS = {
+    SampleCnt:     { field: 'sampleCnt',     type: 'int' },
+    StartTime:     { field: 'startTime',     type: 'string' },
+    EndTime:       { field: 'endTime',       type: 'string' },
+    StartPosition: { field: 'startPosition', type: 'raw' },
+    EndPosition:   { field: 'endPosition',   type: 'raw' },
+    SondeName:     { field: 'sondeName',     type: 'string' },
+    SondeNo:       { field: 'sondeNo',       type: 'string' },
+    SensorType:    { field: 'sensorType',    type: 'string' },
+    Interval:      { field: 'interval',      type: 'int' },
+    DepAdjRho:     { field: 'depAdjRho',     type: 'float' },
+    CoefDate:      { field: 'coefDate',      type: 'string' },
+    FilmNo:        { field: 'filmNo',        type: 'string' },
+    DepM:          { field: 'depM',          type: 'float' },
+    MeasMode:      { field: 'measMode',      type: 'int' },
+    Model:         { field: 'model',         type: 'string' },
+  };
+
+  /**
+   * [Item] より前の [Format] / [Head] ブロックから key=value を全て抽出
+   * - セクション別（sections）と平坦化したもの（header）の両方を返す
+   * - METADATA_FIELDS に定義されたキーは型変換して個別フィールドにも格納
+   * - 空値のキー（例: StartPosition=）は header には残すが個別フィールドは null
+   * @param {string[]} lines
+   * @param {object} [extraFields]  プロファイル固有の型付きメタデータ定義
+   * @returns {object} metadata に Object.assign する部分オブジェクト
+   */
+  function parseHeaderMetadata(lines, extraFields = {}) {
+    const fieldDefs = { ...METADATA_FIELDS, ...extraFields };
+    const meta = { header: {}, sections: {} };
+    let section = '';
+
+    for (let i = 0; i < Math.min(lines.length, 200); i++) {
+      const line = lines[i].trim();
+      if (line === '[Item]' || line.startsWith('[Item],')) break;
+
+      const secMatch = line.match(/^\[(.+)\]$/);
+      if (secMatch) {
+        section = secMatch[1];
+        if (!meta.sections[section]) meta.sections[section] = {};
+        continue;
+      }
+
+      const kvMatch = line.match(/^([A-Za-z][\w.]*)=(.*)$/);
+      if (!kvMatch) continue;
+      const key = kvMatch[1];
+      const value = kvMatch[2].trim();
+
+      meta.header[key] = value;
+      if (!meta.sections[section]) meta.sections[section] = {};
+      meta.sections[section][key] = value;
+
+      // 型付きフィールド（大文字小文字は区別しない）
+      const defKey = Object.keys(fieldDefs).find(k => k.toLowerCase() === key.toLowerCase());
+      if (!defKey) continue;
+      const def = fieldDefs[defKey];
+      if (value === '') { meta[def.field] = null; continue; }
+      if (def.type === 'int') {
+        const n = parseInt(value, 10);
+        meta[def.field] = isNaN(n) ? null : n;
+      } else if (def.type === 'float') {
+        const n = parseFloat(value);
+        meta[def.field] = isNaN(n) ? null : n;
+      } else {
+        meta[def.field] = value;
+      }
+    }
+    return meta;
+  }
+
   /**
    * 観測データ CSV をパースし、カード情報 + 行データを返す
    * @param {string} text  Shift_JIS デコード済みテキスト
    * @param {string} fileName
+   * @param {{ from: string, to: string }[]} [aliases]  列名の対応表（省略時は既定の対応表）
    * @returns {object} カード情報
    */
-  function parseObservationCSV(text, fileName) {
+  function parseObservationCSV(text, fileName, aliases = columnAliases.DEFAULT_ALIASES) {
     const lines = splitLines(text);
     const result = {
       fileName,
       headerRowIndex: -1,
       headerRow: [],
+      sourceHeaderRow: [],      // 対応表を適用する前の列名（headerRow と同じ並び, null = ツールが追加した列）
+      columnFactors: [],        // 対応表による単位換算の係数（headerRow と同じ並び）
+      unmatchedColumns: [],     // 対応表にも標準の列名にもない列（元の列名）
       dataRows: [],
       metadata: {
         sampleCnt: null,
         startPosition: null,   // { lat, lon } 十進数
         endPosition: null,
         startTime: null,        // StartTime= の値（観測日時補完用）
+        endTime: null,
+        sondeName: null,
+        sondeNo: null,
+        sensorType: null,
+        interval: null,         // 測定間隔 [ms]
+        depAdjRho: null,
+        coefDate: null,
+        filmNo: null,
+        depM: null,
+        measMode: null,
+        model: null,
+        header: {},             // [Format]/[Head] の全 key=value（キー → 値）
+        sections: {},           // セクション名 → { key: value }
       },
       firstDateTime: null,
       maxDepth: null,
       gpsCoord: null,
+      isProfile: false,         // true = 処理ソフトで水深プロファイル化済み（MeasMode=1）
+      profilePitch: null,       // プロファイルの水深間隔 [m]
+      format: null,             // detectFormat の結果（profile を除く）
+      formatWarnings: [],       // 形式判定に関する警告メッセージ
       warningFallback: false,   // true = 69行目固定フォールバック
       error: null,
     };
 
+    // ─── 形式判定（バナー行）───
+    const { profile, ...format } = detectFormat(lines);
+    result.format = format;
+    if (!format.known) {
+      result.formatWarnings.push(`未対応のファイル形式: ${format.software || '識別行なし'}`);
+    }
+
     // ─── メタデータ抽出 ───
-    for (let i = 0; i < Math.min(lines.length, 200); i++) {
-      const line = lines[i];
-      // SampleCnt=
-      const scMatch = line.match(/^SampleCnt=(\d+)/i);
-      if (scMatch) result.metadata.sampleCnt = parseInt(scMatch[1], 10);
-
-      // StartTime=2026/02/03 14:05:16
-      const stMatch = line.match(/^StartTime=(.+)/i);
-      if (stMatch) result.metadata.startTime = stMatch[1].trim();
-
-      // StartPosition=3419.09130,N,13226.93637,E
-      const spMatch = line.match(/^StartPosition=(.+)/i);
-      if (spMatch) {
-        result.metadata.startPosition = convertGPSCoordinate(spMatch[1]);
+    Object.assign(result.metadata, parseHeaderMetadata(lines, profile ? profile.metaFields : {}));
+    if (profile) {
+      const missing = profile.requiredSections.filter(sec => !result.metadata.sections[sec]);
+      if (missing.length > 0) {
+        result.formatWarnings.push(`${profile.label} の必須セクションがありません: ${missing.map(m => `[${m}]`).join(', ')}`);
       }
     }
+    if (result.metadata.startPosition) {
+      result.metadata.startPosition = convertGPSCoordinate(result.metadata.startPosition);
+    }
+    if (result.metadata.endPosition) {
+      result.metadata.endPosition = convertGPSCoordinate(result.metadata.endPosition);
+    }
 
     // ─── ヘッダー行の動的検出 ───
     let headerIdx = -1;
@@ -236,8 +505,11 @@ const fileHandler = (() => {
     }
 
     // フォールバック: 先頭150行から「観測日時」または「Date」を含む行
+    // （バナー行・key=value のメタデータ行（CoefDate= など）は除く）
     if (headerIdx === -1) {
       for (let i = 0; i < Math.min(lines.length, 150); i++) {
+        const trimmed = lines[i].trim();
+        if (trimmed.startsWith('//') || /^[A-Za-z][\w.]*=/.test(trimmed)) continue;
         if (lines[i].includes('観測日時') || lines[i].includes('Date')) {
           headerIdx = i;
           break;
@@ -245,10 +517,18 @@ const fileHandler = (() => {
       }
     }
 
-    // 最終手段: 69行目固定（0-indexed: 68）
+    // 最終手段: プロファイル固有の固定行（AAQ-PRO2 通信ソフトは 69行目）
+    // 形式不明のファイルは推測せずエラーとして報告する
     if (headerIdx === -1) {
-      headerIdx = 68;
-      result.warningFallback = true;
+      if (profile && profile.fallbackHeaderLine) {
+        headerIdx = profile.fallbackHeaderLine - 1;
+        result.warningFallback = true;
+      } else {
+        result.error = format.known
+          ? 'ヘッダー行が見つかりません'
+          : `未対応のファイル形式です（${format.software || '識別行なし'}）`;
+        return result;
+      }
     }
 
     if (headerIdx >= lines.length) {
@@ -257,8 +537,11 @@ const fileHandler = (() => {
     }
 
     result.headerRowIndex = headerIdx;
-    // 列名エイリアスを適用して正規化
-    result.headerRow = parseCsvLine(lines[headerIdx]).map(h => COLUMN_ALIASES[h] || h);
+    // プロファイル固有の列名エイリアスを適用（列名の対応表はデータ行の収集後に適用）
+    const profileAliases = profile ? profile.columnAliases : {};
+    result.sourceHeaderRow = parseCsvLine(lines[headerIdx]).map(h => profileAliases[h] || h);
+    result.headerRow = [...result.sourceHeaderRow];
+    result.columnFactors = result.headerRow.map(() => 1);
 
     // ─── データ行収集 ───
     const dataRows = [];
@@ -275,10 +558,15 @@ const fileHandler = (() => {
 
     result.dataRows = dataRows;
 
+    // ─── 列名の対応表（列名の統一・単位換算）───
+    for (const w of _applyAliases(result, aliases)) result.formatWarnings.push(w);
+
     // ─── 観測日時列がない場合は StartTime で補完 ───
     const hasDtCol = result.headerRow.some(h => h.includes('観測日時') || h.toLowerCase().includes('date'));
     if (!hasDtCol && result.metadata.startTime) {
       result.headerRow.unshift('観測日時');
+      result.sourceHeaderRow.unshift(null);
+      result.columnFactors.unshift(1);
       result.dataRows = result.dataRows.map(row => [result.metadata.startTime, ...row]);
     }
 
@@ -293,20 +581,15 @@ const fileHandler = (() => {
     }
 
     // 最大水深 - 補完後の result.dataRows を参照（インデックスがズレるため）
-    if (depthIdx >= 0) {
-      let maxD = -Infinity;
-      for (const row of result.dataRows) {
-        const v = parseFloat(row[depthIdx]);
-        if (!isNaN(v) && v > maxD) maxD = v;
-      }
-      if (maxD > -Infinity) result.maxDepth = maxD;
-    }
+    result.maxDepth = _maxDepth(result.dataRows, depthIdx);
 
     // ─── 観測日時を日付・時刻の2列に分割 ───
     // firstDateTime・最大水深の計算が終わった後に実施（depthIdx のズレ防止）
     const dtSplitIdx = result.headerRow.findIndex(h => h === '観測日時');
     if (dtSplitIdx >= 0) {
       result.headerRow.splice(dtSplitIdx, 1, '観測日付', '観測時刻');
+      result.sourceHeaderRow.splice(dtSplitIdx, 1, null, null);
+      result.columnFactors.splice(dtSplitIdx, 1, 1, 1);
       result.dataRows = result.dataRows.map(row => {
         const dtVal = row[dtSplitIdx] || '';
         const parts = dtVal.trim().split(/\s+/);
@@ -318,6 +601,15 @@ const fileHandler = (() => {
       });
     }
 
+    // ─── プロファイル済みファイル（MeasMode=1）───
+    // 処理ソフトで水深ごとに集約済みのため、水深間隔を Pitch= またはデータから求める
+    if (result.metadata.measMode === 1) {
+      result.isProfile = true;
+      result.profilePitch = result.metadata.pitch > 0
+        ? result.metadata.pitch
+        : _inferPitch(result.dataRows, result.headerRow.findIndex(h => h.includes('深度') || h.includes('depth')));
+    }
+
     // GPS 座標
     if (result.metadata.startPosition) {
       result.gpsCoord = result.metadata.startPosition;
@@ -326,6 +618,89 @@ const fileHandler = (() => {
     return result;
   }
 
+  /**
+   * 列名の対応表を適用（sourceHeaderRow から列名・単位換算を求め直す）
+   * 適用済みの換算係数で割り戻してから新しい係数を掛けるため、対応表を変えて何度適用してもよい
+   * @param {object} parsed  parseObservationCSV の結果（書き換える）
+   * @param {{ from: string, to: string }[]} aliases
+   * @returns {string[]}  単位を換算できなかった対応の警告
+   */
+  function _applyAliases(parsed, aliases) {
+    const warnings = [];
+    const ratios = [];
+    parsed.unmatchedColumns = [];
+    parsed.sourceHeaderRow.forEach((src, i) => {
+      if (src === null) return; // 観測日時の補完・分割でツールが追加した列
+      const r = columnAliases.resolve(src, aliases);
+      if (r.unitMismatch) warnings.push(`列名の対応で単位を換算できません（値はそのまま）: ${src} → ${r.name}`);
+      if (columnAliases.isUnmatched(src, aliases) && !parsed.unmatchedColumns.includes(src)) {
+        parsed.unmatchedColumns.push(src);
+      }
+      parsed.headerRow[i] = r.name;
+      const ratio = r.factor / parsed.columnFactors[i];
+      if (ratio !== 1) ratios.push([i, ratio]);
+      parsed.columnFactors[i] = r.factor;
+    });
+    if (ratios.length > 0) {
+      for (const row of parsed.dataRows) {
+        for (const [i, ratio] of ratios) {
+          const v = row[i] === undefined ? NaN : parseFloat(row[i]);
+          // 浮動小数点の誤差を出力に残さないよう有効数字12桁に丸める
+          if (!isNaN(v)) row[i] = String(Number((v * ratio).toPrecision(12)));
+        }
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * 読み込み済みのファイルに列名の対応表を適用し直す（対応表の編集後）
+   * @param {object} parsed  parseObservationCSV の結果（書き換える）
+   * @param {{ from: string, to: string }[]} aliases
+   * @returns {string[]}  単位を換算できなかった対応の警告
+   */
+  function applyColumnAliases(parsed, aliases) {
+    if (parsed.error || !parsed.sourceHeaderRow) return [];
+    const warnings = _applyAliases(parsed, aliases);
+    parsed.maxDepth = _maxDepth(parsed.dataRows, parsed.headerRow.findIndex(h => h.includes('深度') || h.includes('depth')));
+    return warnings;
+  }
+
+  /**
+   * 最大水深
+   * @param {string[][]} dataRows
+   * @param {number} depthIdx
+   * @returns {number|null}
+   */
+  function _maxDepth(dataRows, depthIdx) {
+    if (depthIdx < 0) return null;
+    let maxD = -Infinity;
+    for (const row of dataRows) {
+      const v = parseFloat(row[depthIdx]);
+      if (!isNaN(v) && v > maxD) maxD = v;
+    }
+    return maxD > -Infinity ? maxD : null;
+  }
+
+  /**
+   * 水深列から水深間隔を推定（隣接行の差の中央値）
+   * @param {string[][]} dataRows
+   * @param {number} depthIdx
+   * @returns {number|null}
+   */
+  function _inferPitch(dataRows, depthIdx) {
+    if (depthIdx < 0) return null;
+    const depths = dataRows.map(r => parseFloat(r[depthIdx])).filter(v => !isNaN(v));
+    const diffs = [];
+    for (let i = 1; i < depths.length; i++) {
+      const d = Math.abs(depths[i] - depths[i - 1]);
+      if (d > 0) diffs.push(d);
+    }
+    if (diffs.length === 0) return null;
+    diffs.sort((a, b) => a - b);
+    return Math.round(diffs[Math.floor(diffs.length / 2)] * 1e6) / 1e6;
+  }
+
   /**
    * GPS 座標文字列をパース（DDMM.MMMM,N,DDDMM.MMMM,E 形式）
    * @param {string} posStr
@@ -356,10 +731,17 @@ const fileHandler = (() => {
 
   // ─── 公開 API ───
   return {
+    PARSER_PROFILES,
     readFile,
+    collectDroppedFiles,
+    collectSelectedFiles,
+    extractZip,
     detectEncoding,
     parseMasterCSV,
     parseObservationCSV,
+    applyColumnAliases,
+    parseHeaderMetadata,
+    detectFormat,
     convertGPSCoordinate,
     parseCsvLine,
     splitLines,
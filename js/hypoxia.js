@@ -0,0 +1,153 @@
+/**
+ * hypoxia.js
+ * 貧酸素解析: DO しきい値の到達水深・貧酸素層厚・最小 DO（キャスト別・地点別）
+ */
+'use strict';
+
+const hypoxia = (() => {
+
+  /** しきい値の単位（プロファイルの変数キー・表示単位） */
+  const UNITS = {
+    mg:  { key: 'doMg',  label: 'mg/L' },
+    pct: { key: 'doPct', label: '%' },
+  };
+
+  /** 既定のしきい値 */
+  const DEFAULT_THRESHOLDS = [
+    { value: 2, unit: 'mg' },
+    { value: 3, unit: 'mg' },
+    { value: 4, unit: 'mg' },
+    { value: 30, unit: 'pct' },
+  ];
+
+  /**
+   * しきい値の表示名（例: "2 mg/L"）
+   * @param {{ value: number, unit: string }} t
+   * @returns {string}
+   */
+  function describeThreshold(t) {
+    return `${t.value} ${UNITS[t.unit] ? UNITS[t.unit].label : t.unit}`;
+  }
+
+  /**
+   * キャストの貧酸素解析
+   * 鉛直プロファイル（castAnalysis.buildProfile）の DO がしきい値を下回る水深を求める
+   * - crossDepth: 上から見て初めてしきい値を下回る水深（直上の点との線形内挿, 下回らなければ null）
+   * - thickness:  しきい値を下回る層の合計厚さ [m]（隣接点間を線形内挿）
+   * @param {object[]} profile  castAnalysis.buildProfile の結果
+   * @param {{ value: number, unit: string }[]} thresholds
+   * @returns {{ minDo: object|null, minPct: object|null, maxDepth: number|null, thresholds: object[] }}
+   *   minDo / minPct: { value, depth }
+   */
+  function analyzeProfile(profile, thresholds) {
+    const minOf = key => {
+      let best = null;
+      for (const p of profile) {
+        if (isNaN(p[key])) continue;
+        if (best === null || p[key] < best.value) best = { value: p[key], depth: p.z };
+      }
+      return best;
+    };
+
+    const results = thresholds.map(t => {
+      const key = UNITS[t.unit] ? UNITS[t.unit].key : null;
+      const pts = key ? profile.filter(p => !isNaN(p[key])) : [];
+      if (pts.length === 0) return { threshold: t, available: false, crossDepth: null, thickness: null };
+
+      let crossDepth = null;
+      let thickness = 0;
+      pts.forEach((p, i) => {
+        const below = p[key] < t.value;
+        if (crossDepth === null && below) {
+          const a = pts[i - 1];
+          crossDepth = a ? a.z + (a[key] - t.value) * (p.z - a.z) / (a[key] - p[key]) : p.z;
+        }
+        if (i === 0) return;
+        const a = pts[i - 1];
+        const aBelow = a[key] < t.value;
+        if (aBelow && below) {
+          thickness += p.z - a.z;
+        } else if (aBelow !== below) {
+          const zc = a.z + (a[key] - t.value) * (p.z - a.z) / (a[key] - p[key]);
+          thickness += below ? p.z - zc : zc - a.z;
+        }
+      });
+      return { threshold: t, available: true, crossDepth, thickness };
+    });
+
+    return {
+      minDo: minOf('doMg'),
+      minPct: minOf('doPct'),
+      maxDepth: profile.length > 0 ? profile[profile.length - 1].z : null,
+      thresholds: results,
+    };
+  }
+
+  /**
+   * カードの貧酸素解析（形式B と同じキャスト区分の行から）
+   * @param {object} card
+   * @param {{ value: number, unit: string }[]} thresholds
+   * @returns {object|null}  DO 列がなければ null
+   */
+  function analyzeCard(card, thresholds) {
+    const profile = castAnalysis.buildProfile(card);
+    if (!profile.some(p => !isNaN(p.doMg) || !isNaN(p.doPct))) return null;
+    return analyzeProfile(profile, thresholds);
+  }
+
+  /**
+   * 地点別の集計
+   * - minDo / minPct: 全キャストの最小 DO [mg/L] / [%]（水深・ファイル名つき）
+   * - reached:   しきい値を下回ったキャスト数
+   * - shallowest: 最も浅い到達水深
+   * - maxThickness: 最大の貧酸素層厚
+   * @param {{ fileName: string, result: object }[]} casts  analyzeCard の結果（null は除く）
+   * @returns {object|null}  キャストがなければ null
+   */
+  function summarizeStation(casts) {
+    if (casts.length === 0) return null;
+    const minOf = key => {
+      let best = null;
+      for (const { fileName, result } of casts) {
+        if (result[key] && (best === null || result[key].value < best.value)) best = { ...result[key], fileName };
+      }
+      return best;
+    };
+    const thresholds = casts[0].result.thresholds.map((_, i) => {
+      const items = casts.map(c => c.result.thresholds[i]).filter(r => r.available);
+      const reachedItems = items.filter(r => r.crossDepth !== null);
+      return {
+        threshold: casts[0].result.thresholds[i].threshold,
+        casts: items.length,
+        reached: reachedItems.length,
+        shallowest: reachedItems.length > 0 ? Math.min(...reachedItems.map(r => r.crossDepth)) : null,
+        maxThickness: items.length > 0 ? Math.max(...items.map(r => r.thickness)) : null,
+      };
+    });
+    return { castCount: casts.length, minDo: minOf('minDo'), minPct: minOf('minPct'), thresholds };
+  }
+
+  /**
+   * カンマ区切りのしきい値文字列を解析（設定画面用）
+   * @param {string} text  例: "2, 3, 4"
+   * @param {string} unit  UNITS のキー
+   * @returns {{ value: number, unit: string }[]|null}  数値でない項目があれば null
+   */
+  function parseThresholdList(text, unit) {
+    const items = String(text).split(/[,、\s]+/).filter(s => s !== '');
+    const values = items.map(Number);
+    if (values.some(v => isNaN(v) || v <= 0)) return null;
+    return [...new Set(values)].sort((a, b) => a - b).map(value => ({ value, unit }));
+  }
+
+  // ─── 公開 API ───
+  return {
+    UNITS,
+    DEFAULT_THRESHOLDS,
+    describeThreshold,
+    analyzeProfile,
+    analyzeCard,
+    summarizeStation,
+    parseThresholdList,
+  };
+})();
@@ -139,15 +139,47 @@ const mapController = (() => {
   function addMarker(station, fileCount = 0) {
     if (!map) return null;
 
+    const icon = _buildIcon(station);
+
+    const popupContent = _buildPopupContent(station, fileCount);
+    const marker = L.marker([station.lat, station.lon], { icon })
+      .addTo(map)
+      .bindPopup(popupContent, { maxWidth: 280 });
+
+    marker.on('click', () => {
+      marker.openPopup();
+    });
+
+    markers[station.id] = marker;
+    return marker;
+  }
+
+  /**
+   * 地点マーカーのアイコン
+   * 貧酸素のしきい値を下回ったキャストがある地点は外周に輪をつける
+   * （最も低い mg/L しきい値に到達: 赤、それ以外のしきい値のみ: 橙）
+   * @param {object} station
+   * @returns {L.DivIcon}
+   */
+  function _buildIcon(station) {
     const catColor = { 定点: '#2563EB', 臨時: '#D97706', 未設定: '#6B7280' };
     const color = catColor[station.category] || '#6B7280';
 
-    const icon = L.divIcon({
+    const hyp = typeof app !== 'undefined' ? app.getStationHypoxia(station.id) : null;
+    let ring = '';
+    if (hyp) {
+      const reached = hyp.thresholds.filter(t => t.reached > 0);
+      const lowestMg = hyp.thresholds.find(t => t.threshold.unit === 'mg');
+      if (lowestMg && lowestMg.reached > 0) ring = '#DC2626';
+      else if (reached.length > 0) ring = '#F97316';
+    }
+
+    return L.divIcon({
       className: '',
       html: `<div style="
         width:24px;height:24px;border-radius:50%;
         background:${color};border:2px solid white;
-        box-shadow:0 1px 4px rgba(0,0,0,0.4);
+        box-shadow:0 1px 4px rgba(0,0,0,0.4)${ring ? `,0 0 0 3px ${ring}` : ''};
         display:flex;align-items:center;justify-content:center;
         color:white;font-size:9px;font-weight:bold;
       ">${station.id.replace(/ST0*/, '')}</div>`,
@@ -155,18 +187,6 @@ const mapController = (() => {
       iconAnchor: [12, 12],
       popupAnchor: [0, -14],
     });
-
-    const popupContent = _buildPopupContent(station, fileCount);
-    const marker = L.marker([station.lat, station.lon], { icon })
-      .addTo(map)
-      .bindPopup(popupContent, { maxWidth: 280 });
-
-    marker.on('click', () => {
-      marker.openPopup();
-    });
-
-    markers[station.id] = marker;
-    return marker;
   }
 
   /**
@@ -215,6 +235,7 @@ const mapController = (() => {
           <tr><td style="color:#666;">緯度・経度</td><td>${latStr}, ${lonStr}</td></tr>
           <tr><td style="color:#666;">紐付きファイル数</td><td>${fileCount} 件</td></tr>
           ${station.note ? `<tr><td style="color:#666;">備考</td><td>${_esc(station.note)}</td></tr>` : ''}
+          ${_buildHypoxiaRows(station)}
         </table>
         <div style="margin-top:8px;display:flex;gap:4px;">
           <button onclick="app.editStation('${station.id}')"
@@ -231,6 +252,32 @@ const mapController = (() => {
     return html;
   }
 
+  /**
+   * ポップアップの貧酸素集計行（DO のあるキャストがなければ空）
+   * @param {object} station
+   * @returns {string}
+   */
+  function _buildHypoxiaRows(station) {
+    const hyp = typeof app !== 'undefined' ? app.getStationHypoxia(station.id) : null;
+    if (!hyp) return '';
+    const m = v => (v === null ? '—' : `${v.toFixed(1)} m`);
+    let rows = '';
+    if (hyp.minDo) {
+      rows += `<tr><td style="color:#666;">最小 DO</td><td>${hyp.minDo.value.toFixed(2)} mg/L（${m(hyp.minDo.depth)}）</td></tr>`;
+    } else if (hyp.minPct) {
+      rows += `<tr><td style="color:#666;">最小 DO</td><td>${hyp.minPct.value.toFixed(1)} %（${m(hyp.minPct.depth)}）</td></tr>`;
+    }
+    for (const t of hyp.thresholds) {
+      if (t.casts === 0) continue;
+      const text = t.reached > 0
+        ? `${m(t.shallowest)}〜 / 層厚 ${m(t.maxThickness)}（${t.reached}/${t.casts}）`
+        : `未到達（0/${t.casts}）`;
+      rows += `<tr><td style="color:#666;">&lt; ${_esc(hypoxia.describeThreshold(t.threshold))}</td>` +
+        `<td${t.reached > 0 ? ' style="color:#DC2626;"' : ''}>${text}</td></tr>`;
+    }
+    return rows;
+  }
+
   // ─── 地点追加モード ───
 
   /**
@@ -412,7 +459,7 @@ const mapController = (() => {
   }
 
   /**
-   * マーカーのポップアップ内容を更新（ファイル数変化時）
+   * マーカーのポップアップ内容とアイコンを更新（ファイル数変化時）
    * @param {string} stationId
    * @param {object} station
    * @param {number} fileCount
@@ -421,6 +468,7 @@ const mapController = (() => {
     const marker = markers[stationId];
     if (!marker) return;
     marker.setPopupContent(_buildPopupContent(station, fileCount));
+    marker.setIcon(_buildIcon(station));
   }
 
   // ─── 公開 API ───
@@ -0,0 +1,303 @@
+/**
+ * qcEngine.js
+ * 品質管理（QC）: 観測項目ごとの範囲・スパイク・勾配・フラットライン・密度逆転チェック、センサー異常の検出
+ * フラグは IOC 方式（1=良, 3=疑わしい, 4=不良, 9=欠測）で判定し、出力時に ODV 方式へ変換できる
+ */
+'use strict';
+
+const qcEngine = (() => {
+
+  /** フラグ値（内部は IOC 方式） */
+  const FLAG = { GOOD: 1, PROBABLY_BAD: 3, BAD: 4, MISSING: 9 };
+
+  /** フラグの出力方式 */
+  const FLAG_SCHEMES = {
+    ioc: { label: 'IOC（1=良, 3=疑わしい, 4=不良, 9=欠測）', codes: { 1: '1', 3: '3', 4: '4', 9: '9' } },
+    odv: { label: 'ODV（0=良, 4=疑わしい, 8=不良, 1=不明）',   codes: { 1: '0', 3: '4', 4: '8', 9: '1' } },
+  };
+
+  /** チェック名の表示名 */
+  const TEST_LABELS = {
+    range: '範囲',
+    spike: 'スパイク',
+    gradient: '勾配',
+    flat: 'フラットライン',
+    inversion: '密度逆転',
+  };
+
+  /**
+   * 観測項目ごとの既定のチェック条件
+   * - pattern:   列名に対する判定パターン（正規表現文字列）
+   * - min / max: 範囲外は不良（4）
+   * - spike:     |V2 − (V1+V3)/2| − |(V3−V1)/2| がこれを超えたら不良（4）, null = 実施しない
+   * - gradient:  |V2 − (V1+V3)/2| がこれを超えたら疑わしい（3）, null = 実施しない
+   * - flatCount: 同じ値がこの行数以上続いたら疑わしい（3）, null = 実施しない
+   * - density:   密度逆転チェックの密度列として使う
+   * - inversion: 密度逆転時にフラグを付ける
+   */
+  const DEFAULT_PARAMETERS = [
+    { id: 'temp',   label: '水温',       pattern: '^水温',          min: -2,  max: 40,    spike: 2.0,  gradient: 9.0,  flatCount: 10, inversion: true },
+    { id: 'sal',    label: '塩分',       pattern: '^塩分',          min: 0,   max: 42,    spike: 0.9,  gradient: 1.5,  flatCount: 10, inversion: true },
+    { id: 'cond',   label: '電導度',     pattern: '^電導度',        min: 0,   max: 70,    spike: 1.5,  gradient: 2.5,  flatCount: 10 },
+    { id: 'ec25',   label: 'EC25',       pattern: '^EC25',          min: 0,   max: 70000, spike: 1500, gradient: 2500, flatCount: 10 },
+    { id: 'dens',   label: '密度',       pattern: '^密度',          min: 990, max: 1035,  spike: null, gradient: null, flatCount: null, density: true, inversion: true },
+    { id: 'sigma',  label: 'σT',         pattern: '^シグマ',        min: -5,  max: 35,    spike: null, gradient: null, flatCount: null, density: true, inversion: true },
+    { id: 'chlflu', label: 'Chl-Flu.',   pattern: '^Chl-Flu',       min: 0,   max: 200,   spike: 10,   gradient: 20,   flatCount: 10 },
+    { id: 'chla',   label: 'Chl-a',      pattern: '^Chl-a',         min: 0,   max: 200,   spike: 10,   gradient: 20,   flatCount: 10 },
+    { id: 'turb',   label: '濁度',       pattern: '^濁度',          min: 0,   max: 1000,  spike: 50,   gradient: 100,  flatCount: 10 },
+    { id: 'ph',     label: 'pH',         pattern: '^pH',            min: 2,   max: 12,    spike: 0.3,  gradient: 0.6,  flatCount: 10 },
+    { id: 'dopct',  label: 'DO [%]',     pattern: '^DO \\[%\\]',    min: 0,   max: 250,   spike: 15,   gradient: 30,   flatCount: 10 },
+    { id: 'domg',   label: 'DO [mg/l]',  pattern: '^DO \\[mg',      min: 0,   max: 25,    spike: 1.0,  gradient: 2.0,  flatCount: 10 },
+  ];
+
+  /**
+   * 既定の QC 設定
+   * - enabled:          QC を実施する
+   * - scheme:           フラグの出力方式（FLAG_SCHEMES のキー）
+   * - excludeFromB:     形式B の平均から除外するフラグの下限（null = 除外しない, 4 = 不良のみ, 3 = 疑わしい以上）
+   * - inversionThreshold: 下降中に密度がこの値 [kg/m3] を超えて減少したら逆転とみなす
+   */
+  const DEFAULT_CONFIG = {
+    enabled: true,
+    scheme: 'ioc',
+    excludeFromB: 4,
+    inversionThreshold: 0.03,
+  };
+
+  /**
+   * 既定設定の複製を返す（設定画面で編集されるため毎回新しいオブジェクト）
+   * @returns {object}
+   */
+  function defaultConfig() {
+    return { ...DEFAULT_CONFIG, parameters: DEFAULT_PARAMETERS.map(p => ({ ...p })) };
+  }
+
+  /**
+   * 列名に該当する観測項目の定義を返す
+   * @param {string} colName
+   * @param {object} config
+   * @returns {object|null}
+   */
+  function matchParameter(colName, config) {
+    for (const p of config.parameters) {
+      try {
+        if (new RegExp(p.pattern).test(colName)) return p;
+      } catch (e) {
+        // 不正なパターンは無視
+      }
+    }
+    return null;
+  }
+
+  /**
+   * ファイル全体の QC を実施
+   * スパイク・勾配・フラットラインは記録順の前後の行で判定する
+   * 密度逆転は下降中（プロファイル済みファイルは全行）の行を記録順にたどって判定する
+   * @param {object} parsed
+   * @param {object|null} cast    dataProcessor.segmentCast の結果
+   * @param {object} config       defaultConfig() と同じ形
+   * @returns {{ columns: object, counts: object }}
+   *   columns: 列名 → { param, flags: number[], tests: string[][] }
+   *   counts:  列名 → { 1: 件数, 3: 件数, 4: 件数, 9: 件数 }
+   */
+  function evaluate(parsed, cast, config) {
+    const columns = {};
+    const counts = {};
+    if (!parsed || !parsed.dataRows) return { columns, counts };
+    const n = parsed.dataRows.length;
+
+    parsed.headerRow.forEach((col, ci) => {
+      const param = matchParameter(col, config);
+      if (!param) return;
+      const values = parsed.dataRows.map(r => {
+        const v = r[ci] === undefined || String(r[ci]).trim() === '' ? NaN : Number(r[ci]);
+        return isNaN(v) ? null : v;
+      });
+      const flags = values.map(v => (v === null ? FLAG.MISSING : FLAG.GOOD));
+      const tests = values.map(() => []);
+      const raise = (i, flag, test) => {
+        if (flags[i] === FLAG.MISSING) return;
+        if (flag > flags[i]) flags[i] = flag;
+        if (!tests[i].includes(test)) tests[i].push(test);
+      };
+
+      // 範囲チェック
+      for (let i = 0; i < n; i++) {
+        const v = values[i];
+        if (v === null) continue;
+        if ((param.min !== null && param.min !== undefined && v < param.min) ||
+            (param.max !== null && param.max !== undefined && v > param.max)) {
+          raise(i, FLAG.BAD, 'range');
+        }
+      }
+
+      // スパイク・勾配チェック（前後が欠測の行は判定しない）
+      for (let i = 1; i < n - 1; i++) {
+        const [v1, v2, v3] = [values[i - 1], values[i], values[i + 1]];
+        if (v1 === null || v2 === null || v3 === null) continue;
+        const dev = Math.abs(v2 - (v1 + v3) / 2);
+        if (_isSet(param.spike) && dev - Math.abs((v3 - v1) / 2) > param.spike) raise(i, FLAG.BAD, 'spike');
+        if (_isSet(param.gradient) && dev > param.gradient) raise(i, FLAG.PROBABLY_BAD, 'gradient');
+      }
+
+      // フラットラインチェック
+      if (_isSet(param.flatCount) && param.flatCount > 1) {
+        let start = 0;
+        for (let i = 1; i <= n; i++) {
+          if (i < n && values[i] !== null && values[i] === values[start]) continue;
+          if (values[start] !== null && i - start >= param.flatCount) {
+            for (let k = start; k < i; k++) raise(k, FLAG.PROBABLY_BAD, 'flat');
+          }
+          start = i;
+        }
+      }
+
+      columns[col] = { param, flags, tests };
+    });
+
+    _checkDensityInversion(parsed, cast, config, columns);
+
+    for (const [col, res] of Object.entries(columns)) {
+      const c = { 1: 0, 3: 0, 4: 0, 9: 0 };
+      for (const f of res.flags) c[f]++;
+      counts[col] = c;
+    }
+    return { columns, counts };
+  }
+
+  /**
+   * 密度逆転チェック
+   * 下降中に直前の行より深く、かつ密度が inversionThreshold を超えて小さい行を疑わしい（3）とし、
+   * inversion 指定のある列（水温・塩分・密度）にフラグを付ける
+   * @param {object} parsed
+   * @param {object|null} cast
+   * @param {object} config
+   * @param {object} columns  evaluate の途中結果（更新される）
+   */
+  function _checkDensityInversion(parsed, cast, config, columns) {
+    const densCol = Object.keys(columns).find(c => columns[c].param.density);
+    const depthIdx = parsed.headerRow.findIndex(h => h.includes('深度') || h.toLowerCase().includes('depth'));
+    if (!densCol || depthIdx < 0) return;
+
+    const densIdx = parsed.headerRow.indexOf(densCol);
+    const threshold = config.inversionThreshold;
+    const targets = Object.keys(columns).filter(c => columns[c].param.inversion);
+    let prev = null; // { depth, dens }
+    parsed.dataRows.forEach((row, i) => {
+      const phase = cast ? cast.phases[i] : 'down';
+      if (phase !== 'down' && phase !== 'profile') return;
+      const depth = parseFloat(row[depthIdx]);
+      const dens = parseFloat(row[densIdx]);
+      if (isNaN(depth) || isNaN(dens)) return;
+      if (prev && depth > prev.depth && prev.dens - dens > threshold) {
+        for (const c of targets) {
+          const res = columns[c];
+          if (res.flags[i] === FLAG.MISSING) continue;
+          if (res.flags[i] < FLAG.PROBABLY_BAD) res.flags[i] = FLAG.PROBABLY_BAD;
+          if (!res.tests[i].includes('inversion')) res.tests[i].push('inversion');
+        }
+        return; // 逆転した行は比較基準にしない
+      }
+      prev = { depth, dens };
+    });
+  }
+
+  /** センサー異常の種類の表示名 */
+  const DEAD_REASONS = {
+    constant: '一定値',
+    zero: '全行 0',
+    range: '全行範囲外',
+  };
+
+  /** センサー異常判定に必要な最小行数（これ未満のファイルは一定値判定をしない） */
+  const DEAD_MIN_ROWS = 10;
+
+  /**
+   * 固着・未接続のセンサー（チャンネル）を検出
+   * 観測項目の列ごとに、次のいずれかに該当すれば異常とする
+   * - zero:     欠測以外の全行が 0
+   * - range:    欠測以外の全行が範囲（min〜max）外
+   * - constant: 全行が同じ値（最下位桁 1 の揺らぎは許容。例: pH 5.744 / 5.745）
+   * @param {object} parsed
+   * @param {object} config  defaultConfig() と同じ形（範囲の判定に使用）
+   * @returns {{ column: string, reason: string, detail: string }[]}
+   */
+  function detectDeadChannels(parsed, config) {
+    const result = [];
+    if (!parsed || !parsed.dataRows || parsed.dataRows.length === 0) return result;
+
+    parsed.headerRow.forEach((col, ci) => {
+      const param = matchParameter(col, config);
+      if (!param) return;
+      const texts = parsed.dataRows
+        .map(r => (r[ci] === undefined ? '' : String(r[ci]).trim()))
+        .filter(t => t !== '' && !isNaN(Number(t)));
+      if (texts.length === 0) return;
+      // 数十万行でも引数の上限を超えないよう、スプレッドではなくループで求める
+      let min = Infinity, max = -Infinity, decimals = 0;
+      for (const t of texts) {
+        const v = Number(t);
+        if (v < min) min = v;
+        if (v > max) max = v;
+        decimals = Math.max(decimals, (t.split('.')[1] || '').length);
+      }
+
+      if (min === 0 && max === 0) {
+        result.push({ column: col, reason: 'zero', detail: DEAD_REASONS.zero });
+        return;
+      }
+      const below = _isSet(param.min) && max < param.min;
+      const above = _isSet(param.max) && min > param.max;
+      if (below || above) {
+        result.push({ column: col, reason: 'range', detail: `${DEAD_REASONS.range}（${min}〜${max}）` });
+        return;
+      }
+      if (texts.length >= DEAD_MIN_ROWS) {
+        const lsd = Math.pow(10, -decimals);
+        if (max - min <= lsd + 1e-12) {
+          result.push({ column: col, reason: 'constant', detail: `${DEAD_REASONS.constant}（${min === max ? min : `${min}〜${max}`}）` });
+        }
+      }
+    });
+    return result;
+  }
+
+  function _isSet(v) {
+    return v !== null && v !== undefined && !isNaN(v);
+  }
+
+  /**
+   * フラグ値を出力方式のコードに変換
+   * @param {number} flag
+   * @param {string} scheme
+   * @returns {string}
+   */
+  function flagCode(flag, scheme) {
+    const s = FLAG_SCHEMES[scheme] || FLAG_SCHEMES.ioc;
+    return s.codes[flag] !== undefined ? s.codes[flag] : '';
+  }
+
+  /**
+   * 行のチェック結果を説明文にする（プレビューの title 用）
+   * @param {string[]} tests
+   * @returns {string}
+   */
+  function describeTests(tests) {
+    return tests.map(t => TEST_LABELS[t] || t).join('・');
+  }
+
+  // ─── 公開 API ───
+  return {
+    FLAG,
+    FLAG_SCHEMES,
+    TEST_LABELS,
+    DEAD_REASONS,
+    DEFAULT_PARAMETERS,
+    defaultConfig,
+    matchParameter,
+    evaluate,
+    detectDeadChannels,
+    flagCode,
+    describeTests,
+  };
+})();
@@ -0,0 +1,179 @@
+/**
+ * rawArchive.js
+ * 仕分け済みファイルの ZIP 出力: 読み込んだ観測ファイルを元のバイト列のまま「地点ID_地点名/」フォルダに入れて ZIP にまとめる
+ * ファイル名は変換パターン（{stationId}_{date}_{time}.csv など）で付け直せ、元のファイル名との対応表を同梱する
+ */
+'use strict';
+
+const rawArchive = (() => {
+
+  /** ファイル名の変換パターンで使える項目 */
+  const RENAME_TOKENS = {
+    stationId:   '地点ID（未分類は「未分類」）',
+    stationName: '地点名',
+    date:        '観測開始日（YYYYMMDD）',
+    time:        '観測開始時刻（HHMMSS）',
+    original:    '元のファイル名（拡張子なし）',
+    seq:         '地点内の通し番号（01, 02, …）',
+  };
+
+  /** 既定の出力設定（pattern が空欄なら元のファイル名のまま） */
+  const DEFAULT_SETTINGS = { pattern: '', includeUnclassified: true };
+
+  /** 変換パターンの例（モーダルの候補） */
+  const PATTERN_EXAMPLES = ['{stationId}_{date}_{time}.csv', '{stationId}_{stationName}_{date}_{seq}.csv', '{date}_{original}.csv'];
+
+  /** 未分類のファイルを入れるフォルダ */
+  const UNCLASSIFIED_FOLDER = '未分類';
+
+  /** ZIP に同梱する対応表のファイル名 */
+  const MANIFEST_NAME = 'ファイル対応表.csv';
+
+  const MANIFEST_HEADERS = ['元のファイル名', '元の相対パス', '地点ID', '地点名', 'ZIP内のパス', '観測開始日時', 'バイト数'];
+
+  /**
+   * ファイル名・フォルダ名に使えない文字を置き換える
+   * @param {string} name
+   * @returns {string}
+   */
+  function _sanitize(name) {
+    return String(name).replace(/[\\/:*?"<>|\r\n\t]/g, '_').trim();
+  }
+
+  /**
+   * 観測開始日時を日付・時刻の文字列に
+   * @param {string|null} dateTime  例: "2018/06/14 8:42:18"
+   * @returns {{ date: string, time: string }}
+   */
+  function _splitDateTime(dateTime) {
+    const m = /(\d{4})[/-](\d{1,2})[/-](\d{1,2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(dateTime || '');
+    if (!m) return { date: '日付不明', time: '時刻不明' };
+    const p2 = v => String(v).padStart(2, '0');
+    return {
+      date: `${m[1]}${p2(m[2])}${p2(m[3])}`,
+      time: m[4] !== undefined ? `${p2(m[4])}${m[5]}${m[6] !== undefined ? m[6] : '00'}` : '時刻不明',
+    };
+  }
+
+  /**
+   * 変換パターンの検証
+   * @param {string} pattern
+   * @returns {string|null}  エラーメッセージ（問題なければ null）
+   */
+  function validatePattern(pattern) {
+    const unknown = [...pattern.matchAll(/\{([^{}]*)\}/g)].map(m => m[1]).filter(t => !(t in RENAME_TOKENS));
+    if (unknown.length > 0) return `ファイル名のパターンに使えない項目があります: ${unknown.map(t => `{${t}}`).join(', ')}`;
+    return null;
+  }
+
+  /**
+   * 変換パターンからファイル名を作る（拡張子 .csv がなければ付ける）
+   * @param {string} pattern
+   * @param {object} values  RENAME_TOKENS のキー → 値
+   * @returns {string}
+   */
+  function renderFileName(pattern, values) {
+    let name = pattern.replace(/\{([^{}]*)\}/g, (whole, key) => (key in values ? _sanitize(values[key]) : whole));
+    name = _sanitize(name);
+    if (!/\.csv$/i.test(name)) name += '.csv';
+    return name;
+  }
+
+  /**
+   * ZIP の構成を決める（地点ごとのフォルダ・ファイル名・対応表）
+   * 同じフォルダで名前が重なるファイルは末尾に _2, _3 … を付ける
+   * @param {object[]} assignments  app の出力対象（{ stationId, stationName, card }）
+   * @param {{ pattern: string }} settings
+   * @returns {{ entries: { path: string, file: File, card: object }[], manifest: { headers: string[], rows: string[][] }, missing: object[] }}
+   *   missing = 元のファイルを保持していないカード
+   */
+  function planArchive(assignments, settings = DEFAULT_SETTINGS) {
+    const pattern = (settings.pattern || '').trim();
+    const entries = [];
+    const rows = [];
+    const missing = [];
+    const used = new Set();        // ZIP 内のパス（小文字）
+    const seqByFolder = new Map(); // フォルダ → 通し番号
+
+    for (const a of assignments) {
+      const card = a.card;
+      if (!card.sourceFile) {
+        missing.push(card);
+        continue;
+      }
+      const folder = a.stationId
+        ? _sanitize(`${a.stationId}_${a.stationName}`)
+        : UNCLASSIFIED_FOLDER;
+      const seq = (seqByFolder.get(folder) || 0) + 1;
+      seqByFolder.set(folder, seq);
+
+      const { date, time } = _splitDateTime(card.parsed && card.parsed.firstDateTime);
+      const base = pattern
+        ? renderFileName(pattern, {
+          stationId: a.stationId || UNCLASSIFIED_FOLDER,
+          stationName: a.stationName,
+          date,
+          time,
+          original: card.fileName.replace(/\.csv$/i, ''),
+          seq: String(seq).padStart(2, '0'),
+        })
+        : _sanitize(card.fileName);
+
+      let path = `${folder}/${base}`;
+      for (let n = 2; used.has(path.toLowerCase()); n++) {
+        path = `${folder}/${base.replace(/(\.csv)?$/i, `_${n}$1`)}`;
+      }
+      used.add(path.toLowerCase());
+
+      entries.push({ path, file: card.sourceFile, card });
+      rows.push([
+        card.fileName,
+        card.relativePath || card.fileName,
+        a.stationId,
+        a.stationName,
+        path,
+        (card.parsed && card.parsed.firstDateTime) || '',
+        card.sourceFile.size,
+      ]);
+    }
+    return { entries, manifest: { headers: MANIFEST_HEADERS, rows }, missing };
+  }
+
+  /**
+   * ZIP を作成（ファイルは元のバイト列のまま格納）
+   * @param {{ entries: { path: string, file: File }[], manifest: { headers: string[], rows: string[][] } }} plan
+   * @returns {Promise<{ blob: Blob, fileCount: number }>}
+   */
+  async function buildArchive({ entries, manifest }) {
+    if (typeof JSZip === 'undefined') throw new Error('ZIP の作成ライブラリを読み込めません');
+    const zip = new JSZip();
+    for (const e of entries) zip.file(e.path, e.file, { binary: true });
+    zip.file(MANIFEST_NAME, dataProcessor.generateCSVBlob(manifest.headers, manifest.rows));
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+    return { blob, fileCount: entries.length };
+  }
+
+  /**
+   * ZIP のファイル名
+   * @returns {string}
+   */
+  function generateArchiveFileName() {
+    const now = new Date();
+    const pad2 = n => String(n).padStart(2, '0');
+    return `仕分け済み_${now.getFullYear()}${pad2(now.getMonth() + 1)}${pad2(now.getDate())}_${pad2(now.getHours())}${pad2(now.getMinutes())}.zip`;
+  }
+
+  // ─── 公開 API ───
+  return {
+    RENAME_TOKENS,
+    DEFAULT_SETTINGS,
+    PATTERN_EXAMPLES,
+    UNCLASSIFIED_FOLDER,
+    MANIFEST_NAME,
+    validatePattern,
+    renderFileName,
+    planArchive,
+    buildArchive,
+    generateArchiveFileName,
+  };
+})();
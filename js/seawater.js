@@ -0,0 +1,202 @@
+/**
+ * seawater.js
+ * 海水の状態量の計算式（塩分・温位・密度・音速・溶存酸素飽和度）
+ * 沿岸の浅い観測（〜数百 m）を想定し、TEOS-10 の簡易式と EOS-80（UNESCO 1981/1983）の式を組み合わせる
+ * 密度（σ0・N²）は TEOS-10 の絶対塩分・保存温度から求め、SA・CT と同じ基準にそろえる
+ * 温度は ITS-90 [℃]、圧力は海水圧 [dbar]、実用塩分は PSS-78 [ ]
+ */
+'use strict';
+
+const seawater = (() => {
+
+  /** 標準海水の絶対塩分 [g/kg]（TEOS-10 SSO） */
+  const SSO = 35.16504;
+
+  /** 重力加速度 [m/s2] */
+  const GRAVITY = 9.81;
+
+  /** 基準密度 [kg/m3]（N² の算出に使用） */
+  const RHO0 = 1025;
+
+  /** C(35, 15, 0) [mS/cm]（PSS-78 の基準電導度） */
+  const C3515 = 42.914;
+
+  /**
+   * 水深から海水圧を求める（Saunders, 1981）
+   * @param {number} depth  水深 [m]
+   * @param {number} lat    緯度 [°]
+   * @returns {number}  [dbar]
+   */
+  function pressureFromDepth(depth, lat) {
+    const s = Math.sin(Math.abs(lat) * Math.PI / 180);
+    const c1 = (5.92 + 5.25 * s * s) * 1e-3;
+    return ((1 - c1) - Math.sqrt((1 - c1) * (1 - c1) - 8.84e-6 * depth)) / 4.42e-6;
+  }
+
+  /**
+   * 電導度から実用塩分を求める（PSS-78）
+   * @param {number} cond  電導度 [mS/cm]
+   * @param {number} t     水温 [℃]
+   * @param {number} p     海水圧 [dbar]
+   * @returns {number}
+   */
+  function salinityFromConductivity(cond, t, p) {
+    const t68 = t * 1.00024;
+    const R = cond / C3515;
+    const rt = 0.6766097 + t68 * (2.00564e-2 + t68 * (1.104259e-4 + t68 * (-6.9698e-7 + t68 * 1.0031e-9)));
+    const Rp = 1 + p * (2.070e-5 + p * (-6.370e-10 + p * 3.989e-15)) /
+      (1 + t68 * (3.426e-2 + t68 * 4.464e-4) + (4.215e-1 - 3.107e-3 * t68) * R);
+    const Rt = R / (Rp * rt);
+    const sq = Math.sqrt(Rt);
+    const a = 0.0080 + sq * (-0.1692 + sq * (25.3851 + sq * (14.0941 + sq * (-7.0261 + sq * 2.7081))));
+    const b = 0.0005 + sq * (-0.0056 + sq * (-0.0066 + sq * (-0.0375 + sq * (0.0636 - sq * 0.0144))));
+    return a + (t68 - 15) / (1 + 0.0162 * (t68 - 15)) * b;
+  }
+
+  /**
+   * 絶対塩分（基準組成塩分 SR で近似。地域偏差 δSA は 0 とする）
+   * @param {number} sp  実用塩分
+   * @returns {number}  [g/kg]
+   */
+  function absoluteSalinity(sp) {
+    return sp * SSO / 35;
+  }
+
+  /** 断熱温度勾配 [℃/dbar]（EOS-80, Bryden 1973） */
+  function _adiabaticLapse(s, t68, p) {
+    const ds = s - 35;
+    return 3.5803e-5 + (8.5258e-6 + (-6.836e-8 + 6.6228e-10 * t68) * t68) * t68
+      + (1.8932e-6 - 4.2393e-8 * t68) * ds
+      + ((1.8741e-8 + (-6.7795e-10 + (8.733e-12 - 5.4481e-14 * t68) * t68) * t68)
+        + (-1.1351e-10 + 2.7759e-12 * t68) * ds) * p
+      + (-4.6206e-13 + (1.8676e-14 - 2.1687e-16 * t68) * t68) * p * p;
+  }
+
+  /**
+   * ポテンシャル水温（海面基準, EOS-80 の Runge-Kutta 積分）
+   * @param {number} sp  実用塩分
+   * @param {number} t   水温 [℃]
+   * @param {number} p   海水圧 [dbar]
+   * @returns {number}  [℃]
+   */
+  function potentialTemperature(sp, t, p) {
+    const r2 = Math.SQRT2;
+    const delP = -p;
+    let delTh = delP * _adiabaticLapse(sp, t * 1.00024, p);
+    let th = t * 1.00024 + 0.5 * delTh;
+    let q = delTh;
+    delTh = delP * _adiabaticLapse(sp, th, p + 0.5 * delP);
+    th += (1 - 1 / r2) * (delTh - q);
+    q = (2 - r2) * delTh + (-2 + 3 / r2) * q;
+    delTh = delP * _adiabaticLapse(sp, th, p + 0.5 * delP);
+    th += (1 + 1 / r2) * (delTh - q);
+    q = (2 + r2) * delTh + (-2 - 3 / r2) * q;
+    delTh = delP * _adiabaticLapse(sp, th, p + delP);
+    return (th + (delTh - 2 * q) / 6) / 1.00024;
+  }
+
+  /**
+   * 保存温度（TEOS-10 gsw_CT_from_pt のポテンシャルエンタルピー多項式）
+   * @param {number} sa  絶対塩分 [g/kg]
+   * @param {number} pt  ポテンシャル水温 [℃]
+   * @returns {number}  [℃]
+   */
+  function conservativeTemperature(sa, pt) {
+    const x2 = 0.0248826675584615 * sa;
+    const x = Math.sqrt(x2);
+    const y = pt * 0.025;
+    const h = 61.01362420681071 + y * (168776.46138048015 +
+      y * (-2735.2785605119625 + y * (2574.2164453821433 +
+      y * (-1536.6644434977543 + y * (545.7340497931629 +
+      (-50.91091728474331 - 18.30489878927802 * y) * y))))) +
+      x2 * (268.5520265845071 + y * (-12019.028203559312 +
+      y * (3734.858026725145 + y * (-2046.7671145057618 +
+      y * (465.28655623826234 + (-0.6370820302376359 -
+      10.650848542359153 * y) * y)))) +
+      x * (937.2099110620707 + y * (588.1802812170108 +
+      y * (248.39476522971285 + (-3.871557904936333 -
+      2.6268019854268356 * y) * y)) +
+      x * (-1687.914374187449 + x * (246.9598888781377 +
+      x * (123.59576582457964 - 48.5891069025409 * x)) +
+      y * (936.3206544460336 +
+      y * (-942.7827304544439 + y * (369.4389437509002 +
+      (-33.83664947895248 - 9.987880382780322 * y) * y))))));
+    return h / 3991.86795711963;
+  }
+
+  /**
+   * ポテンシャル密度偏差 σ0（海面基準, TEOS-10 gsw_sigma0 の 75 項比容積式の p = 0 の項）
+   * @param {number} sa  絶対塩分 [g/kg]
+   * @param {number} ct  保存温度 [℃]
+   * @returns {number}  [kg/m3]
+   */
+  function sigma0(sa, ct) {
+    const xs = Math.sqrt(0.0248826675584615 * sa + 0.5971840214030754);
+    const ys = ct * 0.025;
+    const v = 1.0769995862e-3 +
+      xs * (-3.1038981976e-4 + xs * (6.6928067038e-4 + xs * (-8.5047933937e-4 +
+      xs * (5.8086069943e-4 + xs * (-2.1092370507e-4 + 3.1932457305e-5 * xs))))) +
+      ys * (-1.5649734675e-5 + xs * (3.5009599764e-5 + xs * (-4.3592678561e-5 +
+      xs * (3.4532461828e-5 + xs * (-1.1959409788e-5 + 1.3864594581e-6 * xs)))) +
+      ys * (2.7762106484e-5 + xs * (-3.7435842344e-5 + xs * (3.5907822760e-5 +
+      xs * (-1.8698584187e-5 + 3.8595339244e-6 * xs))) +
+      ys * (-1.6521159259e-5 + xs * (2.4141479483e-5 + xs * (-1.4353633048e-5 +
+      2.2863324556e-6 * xs)) +
+      ys * (6.9111322702e-6 + xs * (-8.7595873154e-6 + 4.3703680598e-6 * xs) +
+      ys * (-8.0539615540e-7 - 3.3052758900e-7 * xs + 2.0543094268e-7 * ys)))));
+    return 1 / v - 1000;
+  }
+
+  /**
+   * 浮力振動数の2乗 N²（σ0 の鉛直勾配から）
+   * @param {number} dSigmaDz  σ0 の鉛直勾配 [kg/m3/m]（深いほど大きければ正）
+   * @returns {number}  [1/s2]
+   */
+  function buoyancyFrequencySquared(dSigmaDz) {
+    return GRAVITY / RHO0 * dSigmaDz;
+  }
+
+  /**
+   * 音速（Mackenzie, 1981）
+   * @param {number} sp     実用塩分
+   * @param {number} t      水温 [℃]
+   * @param {number} depth  水深 [m]
+   * @returns {number}  [m/s]
+   */
+  function soundSpeed(sp, t, depth) {
+    const ds = sp - 35;
+    return 1448.96 + 4.591 * t - 5.304e-2 * t * t + 2.374e-4 * t * t * t
+      + 1.340 * ds + 1.630e-2 * depth + 1.675e-7 * depth * depth
+      - 1.025e-2 * t * ds - 7.139e-13 * t * depth * depth * depth;
+  }
+
+  /**
+   * 溶存酸素の飽和濃度（Garcia & Gordon, 1992 の combined fit）
+   * @param {number} sp  実用塩分
+   * @param {number} t   水温 [℃]
+   * @returns {number}  [mg/L]
+   */
+  function oxygenSolubility(sp, t) {
+    const ts = Math.log((298.15 - t) / (273.15 + t));
+    const lnC = 2.00907 + ts * (3.22014 + ts * (4.0501 + ts * (4.94457 + ts * (-0.256847 + ts * 3.88767))))
+      + sp * (-6.24523e-3 + ts * (-7.37614e-3 + ts * (-1.0341e-2 - ts * 8.17083e-3)))
+      - 4.88682e-7 * sp * sp;
+    return Math.exp(lnC) * 1.42905; // mL/L → mg/L
+  }
+
+  // ─── 公開 API ───
+  return {
+    SSO,
+    GRAVITY,
+    RHO0,
+    pressureFromDepth,
+    salinityFromConductivity,
+    absoluteSalinity,
+    potentialTemperature,
+    conservativeTemperature,
+    sigma0,
+    buoyancyFrequencySquared,
+    soundSpeed,
+    oxygenSolubility,
+  };
+})();
@@ -0,0 +1,300 @@
+/**
+ * stationMatcher.js
+ * ファイル名・フォルダ名と地点マスタの照合: キーワード・地点名・読み（ローマ字）と近い綴りから、地点ごとの一致度（0〜1）と根拠を求める
+ * 全角/半角・カタカナ/ひらがなの違いは照合前に揃え、読みはヘボン式・訓令式と慣用的な綴り（長音の省略など）に展開する
+ * 手動で地点に置いたファイルの名前からは、その地点のキーワードの候補を挙げる
+ */
+'use strict';
+
+const stationMatcher = (() => {
+
+  /**
+   * 一致の種類ごとの一致度
+   * - keyword: ファイル名キーワードに一致（従来の照合と同じ）
+   * - name:    地点名に一致
+   * - reading: 読み（ひらがな）に一致
+   * - romaji:  読みのローマ字表記に一致
+   * - fuzzy:   近い綴り（編集距離）。一致度 = fuzzy ×（1 − 編集距離 / 長い方の文字数）
+   */
+  const MATCH_CONFIDENCE = { keyword: 1, name: 0.95, reading: 0.95, romaji: 0.9, fuzzy: 0.9 };
+
+  /** これ未満の一致度は候補にしない */
+  const MIN_CONFIDENCE = 0.6;
+
+  /** これ未満の一致度は自動で仕分けず、確認待ちの候補にする */
+  const CONFIRM_CONFIDENCE = 0.8;
+
+  /** 近い綴りとして照合する最短の文字数（短い語は綴り違いの区別がつかない） */
+  const FUZZY_MIN_LENGTH = 4;
+
+  /** 近い綴りとして認める最大の編集距離 */
+  const FUZZY_MAX_DISTANCE = 2;
+
+  /** かな → ローマ字（訓令式） */
+  const KANA_KUNREI = {
+    あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+    か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+    さ: 'sa', し: 'si', す: 'su', せ: 'se', そ: 'so',
+    た: 'ta', ち: 'ti', つ: 'tu', て: 'te', と: 'to',
+    な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+    は: 'ha', ひ: 'hi', ふ: 'hu', へ: 'he', ほ: 'ho',
+    ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+    や: 'ya', ゆ: 'yu', よ: 'yo',
+    ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+    わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+    が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+    ざ: 'za', じ: 'zi', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+    だ: 'da', ぢ: 'zi', づ: 'zu', で: 'de', ど: 'do',
+    ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+    ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+    ゔ: 'vu',
+    ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o',
+  };
+
+  /** ヘボン式で訓令式と綴りが異なるかな */
+  const KANA_HEPBURN = { し: 'shi', ち: 'chi', つ: 'tsu', ふ: 'fu', じ: 'ji', ぢ: 'ji', づ: 'zu' };
+
+  /** キーワードの候補にしない語（ファイル名によく付くが地点を表さない語） */
+  const GENERIC_WORDS = new Set(['profile', 'data', 'csv', 'copy', 'コピー', 'cast', 'down', 'up']);
+
+  const SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+  const SMALL_VOWELS = 'ぁぃぅぇぉ';
+
+  /**
+   * 照合用に文字列を揃える（全角英数→半角, 半角カナ→全角, カタカナ→ひらがな, 小文字化）
+   * @param {string} str
+   * @returns {string}
+   */
+  function normalizeText(str) {
+    return String(str || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+  }
+
+  /**
+   * ひらがなをローマ字に
+   * @param {string} kana  normalizeText 済みのひらがな（かな以外の文字は除く）
+   * @param {'hepburn'|'kunrei'} system
+   * @returns {string}
+   */
+  function toRomaji(kana, system) {
+    const syllables = [];
+    const chars = [...kana];
+    for (let i = 0; i < chars.length; i++) {
+      const ch = chars[i];
+      const prev = syllables.length > 0 ? syllables[syllables.length - 1] : null;
+
+      if (ch === 'っ') {
+        syllables.push('っ');
+      } else if (ch === 'ー') {
+        const vowel = prev && /[aiueo]$/.exec(prev);
+        if (vowel) syllables.push(vowel[0]);
+      } else if (SMALL_Y[ch] && prev && /i$/.test(prev) && prev !== 'i') {
+        // 拗音（きゃ・しゅ・ちょ など）
+        const v = SMALL_Y[ch];
+        syllables[syllables.length - 1] = system === 'hepburn' && /^(sh|ch|j)i$/.test(prev)
+          ? prev.slice(0, -1) + v
+          : prev.slice(0, -1) + 'y' + v;
+      } else if (SMALL_VOWELS.includes(ch) && prev && /[^aiueo][ue]$/.test(prev)) {
+        // ふぁ・てぃ など（ふ + 小書きの母音はどちらの方式でも f）
+        syllables[syllables.length - 1] = (prev === 'hu' ? 'f' : prev.slice(0, -1)) + KANA_KUNREI[ch];
+      } else {
+        const r = (system === 'hepburn' && KANA_HEPBURN[ch]) || KANA_KUNREI[ch];
+        if (r) syllables.push(r);
+      }
+    }
+
+    // 促音: 次の音節の子音を重ねる（ヘボン式は ch の前を t）
+    let out = '';
+    for (let i = 0; i < syllables.length; i++) {
+      const s = syllables[i];
+      if (s !== 'っ') {
+        out += s;
+        continue;
+      }
+      const next = syllables[i + 1];
+      if (!next || /^[aiueon]/.test(next)) continue;
+      out += system === 'hepburn' && next.startsWith('ch') ? 't' : next[0];
+    }
+    return out;
+  }
+
+  /**
+   * 読みのローマ字表記の候補（ヘボン式・訓令式と、長音の省略・ん→m などの慣用的な綴り）
+   * 例: "おおた" → ["oota", "ota", "ohta"], "しんばし" → ["shinbashi", "shimbashi", "sinbasi", …]
+   * @param {string} reading  読み（かな）
+   * @returns {string[]}
+   */
+  function romajiVariants(reading) {
+    const kana = normalizeText(reading).replace(/[^ぁ-ゖー]/g, '');
+    if (!kana) return [];
+    const variants = new Set();
+    for (const system of ['hepburn', 'kunrei']) {
+      const r = toRomaji(kana, system);
+      if (!r) continue;
+      variants.add(r);
+      variants.add(r.replace(/ou|oo/g, 'o').replace(/uu/g, 'u'));
+      variants.add(r.replace(/ou|oo/g, 'oh'));
+      variants.add(r.replace(/n(?=[bmp])/g, 'm'));
+    }
+    return [...variants];
+  }
+
+  /**
+   * 編集距離（Levenshtein）
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function editDistance(a, b) {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  /**
+   * 照合語（半角英数のみ: スペース区切りのワード単位で完全一致, それ以外: 部分一致）
+   * 例) "eta" は "06 eta" にマッチするが "etanaka" にはマッチしない, "放水路" は "放水路観測" にマッチする
+   * @param {string} text  normalizeText 済み
+   * @param {string} term  normalizeText 済み
+   * @returns {boolean}
+   */
+  function _matchTerm(text, term) {
+    if (!term) return false;
+    if (/^[a-z0-9]+$/.test(term)) return text.split(/\s+/).includes(term);
+    return text.includes(term);
+  }
+
+  /**
+   * 地点マスタから照合に使う語を準備（autoAssignFiles 1回につき1度）
+   * @param {object[]} stations
+   * @returns {object[]}
+   */
+  function prepareStations(stations) {
+    return stations.filter(st => !st._invalid).map(st => {
+      const keywords = (st.keywords || []).map(normalizeText).filter(Boolean);
+      const romaji = st.name_read ? romajiVariants(st.name_read) : [];
+      const fuzzyTargets = new Set(romaji.filter(r => r.length >= FUZZY_MIN_LENGTH));
+      for (const kw of keywords) {
+        if (/^[a-z]+$/.test(kw) && kw.length >= FUZZY_MIN_LENGTH) fuzzyTargets.add(kw);
+      }
+      return {
+        id: st.id,
+        keywords,
+        name: normalizeText(st.name),
+        reading: normalizeText(st.name_read).replace(/[^ぁ-ゖー]/g, ''),
+        romaji,
+        fuzzyTargets: [...fuzzyTargets],
+      };
+    });
+  }
+
+  /**
+   * 1地点との最も強い一致
+   * @param {string} text   normalizeText 済みの名前
+   * @param {string[]} words  text に含まれる半角英字の語
+   * @param {object} st  prepareStations の要素
+   * @returns {{ confidence: number, reason: string }|null}
+   */
+  function _bestMatch(text, words, st) {
+    const kw = st.keywords.find(k => _matchTerm(text, k));
+    if (kw) return { confidence: MATCH_CONFIDENCE.keyword, reason: `キーワード「${kw}」` };
+    if (_matchTerm(text, st.name)) return { confidence: MATCH_CONFIDENCE.name, reason: `地点名「${st.name}」` };
+    if (st.reading && text.includes(st.reading)) return { confidence: MATCH_CONFIDENCE.reading, reason: `読み「${st.reading}」` };
+
+    const romaji = st.romaji.find(r => words.includes(r));
+    if (romaji) return { confidence: MATCH_CONFIDENCE.romaji, reason: `読みのローマ字「${romaji}」` };
+
+    let best = null;
+    for (const w of words) {
+      if (w.length < FUZZY_MIN_LENGTH) continue;
+      for (const target of st.fuzzyTargets) {
+        if (Math.abs(w.length - target.length) > FUZZY_MAX_DISTANCE) continue;
+        const d = editDistance(w, target);
+        if (d === 0 || d > FUZZY_MAX_DISTANCE) continue;
+        const confidence = MATCH_CONFIDENCE.fuzzy * (1 - d / Math.max(w.length, target.length));
+        if (!best || confidence > best.confidence) {
+          best = { confidence, reason: `近い綴り「${w}」≈「${target}」` };
+        }
+      }
+    }
+    return best && best.confidence >= MIN_CONFIDENCE ? best : null;
+  }
+
+  /**
+   * 名前（ファイル名・フォルダ名）と地点の一致度
+   * @param {string} name  dataProcessor.normalizeFileName 済みの名前
+   * @param {object[]} prepared  prepareStations の結果
+   * @returns {{ stationId: string, confidence: number, reason: string }[]}  一致度の高い順
+   */
+  function scoreStations(name, prepared) {
+    const text = normalizeText(name);
+    if (!text) return [];
+    const words = text.match(/[a-z]+/g) || [];
+    const results = [];
+    for (const st of prepared) {
+      const m = _bestMatch(text, words, st);
+      if (m) results.push({ stationId: st.id, confidence: Math.round(m.confidence * 100) / 100, reason: m.reason });
+    }
+    return results.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * 名前を照合の単位の語に分ける（半角英数の語はスペース区切りで照合するため、スペースで区切る）
+   * @param {string} name  dataProcessor.normalizeFileName 済みの名前
+   * @returns {string[]}  normalizeText 済みの語（重複なし）
+   */
+  function nameTokens(name) {
+    return [...new Set(normalizeText(name).split(/\s+/).filter(Boolean))];
+  }
+
+  /**
+   * 手動で地点に置いたファイルの名前から、地点のキーワードの候補を挙げる
+   * 文字を含まない語（番号・日付）・よく付く語・区切りの "|" を含む語と、すでにいずれかの地点に一致する語は除く
+   * （その地点に一致する語は追加しても変わらず、他の地点に一致する語は追加すると競合になる）
+   * @param {string} name  dataProcessor.normalizeFileName 済みの名前
+   * @param {object[]} prepared  prepareStations の結果（全地点）
+   * @returns {string[]}
+   */
+  function suggestKeywords(name, prepared) {
+    return nameTokens(name).filter(token =>
+      token.length >= 2 &&
+      /\p{L}/u.test(token) &&
+      !token.includes('|') &&
+      !GENERIC_WORDS.has(token) &&
+      !scoreStations(token, prepared).some(r => r.confidence >= CONFIRM_CONFIDENCE));
+  }
+
+  /**
+   * 一致度の表示（例: "85%"）
+   * @param {number} confidence
+   * @returns {string}
+   */
+  function formatConfidence(confidence) {
+    return `${Math.round(confidence * 100)}%`;
+  }
+
+  // ─── 公開 API ───
+  return {
+    MATCH_CONFIDENCE,
+    MIN_CONFIDENCE,
+    CONFIRM_CONFIDENCE,
+    normalizeText,
+    toRomaji,
+    romajiVariants,
+    editDistance,
+    prepareStations,
+    scoreStations,
+    nameTokens,
+    suggestKeywords,
+    formatConfidence,
+  };
+})();
@@ -46,8 +46,10 @@ const uiController = (() => {
             <div class="flex items-center">
               <span class="cat-${_esc(station.category)} !text-[9px] !px-1 !py-0">${_esc(station.category)}</span>
             </div>
+            <!-- 4行目: 成層の要約（レーン内キャストの平均） -->
+            <div class="swimlane-structure"></div>
           </div>
-          <!-- 4行目: ボタン列 (横並び) -->
+          <!-- 5行目: ボタン列 (横並び) -->
           <div class="swimlane-btn-col">
             <button class="btn-secondary btn-sm" title="地点を編集" onclick="app.editStation('${_esc(station.id)}')">編集</button>
             <button class="btn-danger btn-sm" title="スイムレーンから解除" onclick="app.deleteSwimlane('${_esc(station.id)}')">解除</button>
@@ -95,27 +97,67 @@ const uiController = (() => {
     if (card.parsed && card.parsed.gpsCoord) {
       el.classList.add('has-gps');
     }
+    if (card.parsed && card.parsed.isProfile) {
+      el.classList.add('is-profile');
+    }
     el.dataset.cardId = card.id;
     el.draggable = true;
-    el.title = card.fileName;
+    el.title = card.relativePath || card.fileName;
 
-    const icon = card.parsed && card.parsed.warningFallback ? '⚠️' : '';
+    const warnings = [];
+    if (card.parsed && card.parsed.warningFallback) warnings.push('ヘッダー行を69行目で検出');
+    if (card.parsed && card.parsed.formatWarnings) warnings.push(...card.parsed.formatWarnings);
+    const icon = warnings.length > 0 ? '⚠️' : '';
 
     const dtStr = card.parsed && card.parsed.firstDateTime ? card.parsed.firstDateTime : '—';
     const depStr = card.parsed && card.parsed.maxDepth !== null ? `${card.parsed.maxDepth} m` : '—';
+    const contact = card.cast && card.cast.contact;
     const cntStr = card.parsed && card.parsed.dataRows ? `${card.parsed.dataRows.length} 件` : '—';
     const gps = card.parsed && card.parsed.gpsCoord;
     const gpsStr = gps ? `${gps.lat.toFixed(4)}°N, ${gps.lon.toFixed(4)}°E` : '—';
+    const meta = card.parsed && card.parsed.metadata;
+    const sondeStr = meta && (meta.sondeName || meta.sondeNo)
+      ? `${meta.sondeName || ''}${meta.sondeNo ? ` #${meta.sondeNo}` : ''}`
+      : '—';
+    const sondeTitle = meta && meta.coefDate ? `校正日: ${meta.coefDate}` : '';
+    const fmt = card.parsed && card.parsed.format;
+    const fmtStr = fmt ? `${fmt.label}${fmt.version ? ` v${fmt.version}` : ''}` : '—';
+    const fmtTitle = fmt && fmt.software ? fmt.software : '';
+    const castLine = _castSummaryLine(card);
+    const structureLine = _structureLine(card.structure);
+    const folder = card.relativePath && card.relativePath.includes('/')
+      ? card.relativePath.slice(0, card.relativePath.lastIndexOf('/'))
+      : '';
 
     el.innerHTML = `
-      ${icon ? `<div class="file-card-icon" title="ヘッダー行を69行目で検出">${icon}</div>` : ''}
+      ${icon ? `<div class="file-card-icon" title="${_esc(warnings.join('\n'))}">${icon}</div>` : ''}
       <div class="file-card-name">${_esc(card.fileName.replace(/\.csv$/i, ''))}</div>
       <div class="file-card-delete" title="ファイルを削除" onclick="app.removeFile('${_esc(card.id)}', event)">×</div>
+      ${card.parsed && card.parsed.isProfile
+        ? `<span class="file-card-kind" title="処理ソフトで水深プロファイル化済み（${_esc(card.parsed.profilePitch || '?')} m 間隔）。再区分せずに出力します">プロファイル</span>`
+        : ''}
+      ${card.deadChannels && card.deadChannels.length > 0
+        ? `<span class="file-card-dead" title="${_esc(card.deadChannels.map(d => `${d.column}: ${d.detail}`).join('\n'))}">センサー異常 ${card.deadChannels.length}</span>`
+        : ''}
+      ${card.parsed && card.parsed.unmatchedColumns && card.parsed.unmatchedColumns.length > 0
+        ? `<span class="file-card-unmatched" title="列名の対応表にない列（クリックで対応付け）:\n${_esc(card.parsed.unmatchedColumns.join('\n'))}" onclick="app.openColumnAliases('${_esc(card.id)}', event)">未対応の列 ${card.parsed.unmatchedColumns.length}</span>`
+        : ''}
+      ${card.assignConflict ? _assignConflictBadge(card) : ''}
+      ${card.assignSuggestion ? _assignSuggestionBadge(card) : ''}
       <div class="file-card-meta">
         <div>📅 ${_esc(dtStr)}</div>
-        <div>⬇ ${_esc(depStr)}</div>
+        ${contact
+          ? `<div class="file-card-seabed" title="${_esc(`海底接触（${contact.auto ? `自動: ${contact.signals.join('・')}` : '手動'}）の ${contact.index + 1} 行目から補正。記録上の最大 ${depStr}`)}">⬇ 海底 ${_esc(contact.depth)} m</div>`
+          : `<div>⬇ ${_esc(depStr)}</div>`}
         <div># ${_esc(cntStr)}</div>
         <div>📍 ${_esc(gpsStr)}</div>
+        <div class="file-card-sonde" title="${_esc(sondeTitle)}">🔧 ${_esc(sondeStr)}</div>
+        <div class="file-card-format${fmt && !fmt.known ? ' unknown' : ''}" title="${_esc(fmtTitle)}">🗂 ${_esc(fmtStr)}</div>
+        ${folder ? `<div class="file-card-path" title="${_esc(card.relativePath)}">📁 ${_esc(folder)}</div>` : ''}
+        ${card.assignReason ? `<div class="file-card-reason" title="自動仕分けの根拠: ${_esc(card.assignReason.reason)}">🎯 ${_esc(card.assignReason.reason)} ${_esc(stationMatcher.formatConfidence(card.assignReason.confidence))}</div>` : ''}
+        ${card.fieldLog ? _fieldLogLine(card.fieldLog) : ''}
+        ${castLine}
+        ${structureLine}
       </div>
     `;
 
@@ -184,6 +226,169 @@ const uiController = (() => {
     return el;
   }
 
+  /**
+   * カードのキャスト区分行（形式B の対象区分と件数）
+   * @param {object} card
+   * @returns {string}  HTML（プロファイル済み・区分不能のファイルは空文字）
+   */
+  function _castSummaryLine(card) {
+    if (!card.cast || card.parsed.isProfile) return '';
+    const mode = dataProcessor.CAST_MODES[card.castMode] || dataProcessor.CAST_MODES[dataProcessor.DEFAULT_CAST_MODE];
+    const counts = _countPhases(card.cast.phases);
+    const used = mode.phases.reduce((sum, p) => sum + (counts[p] || 0), 0);
+    const detail = Object.entries(dataProcessor.CAST_PHASE_LABELS)
+      .filter(([p]) => counts[p])
+      .map(([p, label]) => `${label} ${counts[p]}`)
+      .join(' / ');
+    const title = `キャスト区分: ${detail}\n形式B は「${mode.label}」の行から算出`;
+    return `<div class="file-card-cast${card.castMode !== dataProcessor.DEFAULT_CAST_MODE ? ' excluded' : ''}" title="${_esc(title)}">↕ B: ${_esc(mode.label)}（${used} 件）</div>`;
+  }
+
+  /**
+   * カードの水柱構造行（混合層深度・密度躍層）
+   * @param {object|null} st  castAnalysis.analyzeStructure の結果
+   * @returns {string}  HTML（算出できない場合は空文字）
+   */
+  function _structureLine(st) {
+    if (!st) return '';
+    const m = v => (v === null || v === undefined || isNaN(v) ? '—' : `${v.toFixed(1)} m`);
+    const mld = st.mldThreshold !== null ? m(st.mldThreshold) : `全層混合`;
+    const pyc = st.pycnocline ? m(st.pycnocline.depth) : '—';
+    const sb = st.surfaceBottom;
+    const lines = [
+      `混合層深度 閾値法: ${st.mldThreshold !== null ? m(st.mldThreshold) : '全層混合'} / 勾配法: ${st.mldGradient !== null ? m(st.mldGradient) : '全層混合'}`,
+      ...castAnalysis.CLINES.map(c => (st[c.key]
+        ? `${c.label}: ${m(st[c.key].depth)}（${st[c.key].strength.toFixed(3)} ${c.unit}）`
+        : `${c.label}: —`)),
+      `表底差 水温 ${_fmtDiff(sb.temp)} ℃ / 塩分 ${_fmtDiff(sb.sal)} / σθ ${_fmtDiff(sb.sigma)} / DO ${_fmtDiff(sb.doMg)} mg/l`,
+    ];
+    return `<div class="file-card-structure" title="${_esc(lines.join('\n'))}">〰 MLD ${_esc(mld)} / 躍層 ${_esc(pyc)}</div>`;
+  }
+
+  function _fmtDiff(v) {
+    return v === null || v === undefined || isNaN(v) ? '—' : `${v >= 0 ? '+' : ''}${v.toFixed(2)}`;
+  }
+
+  /**
+   * スイムレーン見出しの成層の要約（レーン内キャストの混合層深度・σθ 表底差の平均）
+   * @param {HTMLElement} laneEl
+   */
+  function _updateSwimlaneStructure(laneEl) {
+    const target = laneEl.querySelector('.swimlane-structure');
+    if (!target) return;
+    const structures = [...laneEl.querySelectorAll('.swim-drop-target .file-card')]
+      .map(el => app.state.cards.get(el.dataset.cardId))
+      .filter(c => c && c.structure)
+      .map(c => ({ name: c.fileName, st: c.structure }));
+    if (structures.length === 0) {
+      target.textContent = '';
+      target.title = '';
+      return;
+    }
+    const avg = vals => {
+      const v = vals.filter(x => x !== null && x !== undefined && !isNaN(x));
+      return v.length > 0 ? v.reduce((a, b) => a + b, 0) / v.length : null;
+    };
+    // 全層混合のキャストは最大水深を混合層深度とみなして平均
+    const mld = avg(structures.map(s => (s.st.mldThreshold !== null ? s.st.mldThreshold : s.st.maxDepth)));
+    const dSigma = avg(structures.map(s => s.st.surfaceBottom.sigma));
+    target.textContent = `〰 MLD ${mld !== null ? mld.toFixed(1) : '—'} m · Δσθ ${dSigma !== null ? dSigma.toFixed(2) : '—'}`;
+    target.title = structures.map(s =>
+      `${s.name}: MLD ${s.st.mldThreshold !== null ? s.st.mldThreshold.toFixed(1) + ' m' : '全層混合'}, Δσθ ${_fmtDiff(s.st.surfaceBottom.sigma)}`
+    ).join('\n');
+  }
+
+  /**
+   * キャスト区分ごとの行数
+   * @param {string[]} phases
+   * @returns {object}  phase → 件数
+   */
+  function _countPhases(phases) {
+    const counts = {};
+    for (const p of phases) counts[p] = (counts[p] || 0) + 1;
+    return counts;
+  }
+
+  /**
+   * 確認待ちの候補バッジ（✓ で候補の地点へ仕分け、× で取り消し）
+   * @param {object} card  assignSuggestion = { stationId, confidence, reason }
+   * @returns {string}
+   */
+  function _assignSuggestionBadge(card) {
+    const s = card.assignSuggestion;
+    const st = app.state.stations.find(x => x.id === s.stationId);
+    const name = st ? st.name : s.stationId;
+    const id = _esc(card.id);
+    return `<span class="file-card-suggestion" title="一致度が低いため確認待ちです\n根拠: ${_esc(s.reason)}">候補: ${_esc(name)} ${_esc(stationMatcher.formatConfidence(s.confidence))}
+      <button type="button" onclick="app.acceptAssignSuggestion('${id}', event)" title="この地点に仕分ける">✓</button><button type="button" onclick="app.dismissAssignSuggestion('${id}', event)" title="候補を取り消す">×</button></span>`;
+  }
+
+  /**
+   * カードの野帳の記録の行（記録の時刻・地点と、値のある項目）
+   * @param {object} log  card.fieldLog
+   * @returns {string}
+   */
+  function _fieldLogLine(log) {
+    const items = Object.entries(log.fields).filter(([, v]) => v !== '');
+    const title = [`野帳 ${log.row}行目: ${log.time} ${log.station}（${log.diffMinutes}分差）`, ...items.map(([k, v]) => `${k}: ${v}`)].join('\n');
+    const unknown = log.stationId ? '' : ' ⚠';
+    return `<div class="file-card-log" title="${_esc(title)}">📋 ${_esc(log.station)}${unknown} ${_esc(items.map(([, v]) => v).join(' / '))}</div>`;
+  }
+
+  /**
+   * 地点の表示名（"ST001 津久根"）
+   * @param {string} stationId
+   * @returns {string}
+   */
+  function _stationLabel(stationId) {
+    const st = app.state.stations.find(s => s.id === stationId);
+    return st ? `${st.id} ${st.name}` : stationId;
+  }
+
+  /**
+   * 自動仕分けの競合バッジと候補の選択欄（バッジのクリックで開閉, 候補のクリックでその地点へ仕分け）
+   * @param {object} card  assignConflict = dataProcessor.autoAssignFiles の conflicts の要素
+   * @returns {string}
+   */
+  function _assignConflictBadge(card) {
+    const conflict = card.assignConflict;
+    const id = _esc(card.id);
+    const lines = conflict.candidates.map(c => `${_stationLabel(c.stationId)}: ${c.reason}`);
+    const options = conflict.candidates.map(c => `
+      <button type="button" onclick="app.resolveConflict('${id}', '${_esc(c.stationId)}', event)" title="${_esc(c.reason)}">
+        <span class="font-semibold">${_esc(_stationLabel(c.stationId))}</span>
+        <span class="file-card-picker-reason">${_esc(c.reason)} ${_esc(stationMatcher.formatConfidence(c.confidence))}</span>
+      </button>`).join('');
+    return `<span class="file-card-conflict" title="自動仕分けの候補が複数あります（クリックで地点を選択）\n${_esc(lines.join('\n'))}"
+        onclick="uiController.toggleConflictPicker('${id}', event)">地点の競合 ${conflict.candidates.length}</span>
+      <div class="file-card-picker hidden">${options}</div>`;
+  }
+
+  /**
+   * カードの競合の候補の選択欄を開閉
+   * @param {string} cardId
+   * @param {Event} [e]
+   */
+  function toggleConflictPicker(cardId, e) {
+    if (e) e.stopPropagation();
+    const picker = document.querySelector(`.file-card[data-card-id="${cardId}"] .file-card-picker`);
+    if (picker) picker.classList.toggle('hidden');
+  }
+
+  /**
+   * カードの表示を作り直す（配置・選択状態・距離警告は維持）
+   * @param {object} card
+   */
+  function refreshFileCard(card) {
+    const oldEl = document.querySelector(`.file-card[data-card-id="${card.id}"]`);
+    if (!oldEl) return;
+    const el = createFileCard(card);
+    if (oldEl.classList.contains('selected')) el.classList.add('selected');
+    oldEl.replaceWith(el);
+    updateCardDistanceWarning(card.id, card.stationId);
+    _updateCounts();
+  }
+
   /**
    * カードをドロップターゲットに挿入
    * @param {string} cardId
@@ -204,14 +409,14 @@ const uiController = (() => {
     _hidePlaceholder(target);
     target.appendChild(card);
 
-    // ─── 距離チェック（300m以上離れていたら警告） ───
+    // ─── 距離チェック（地点の判定半径より離れていたら警告） ───
     updateCardDistanceWarning(cardId, stationId);
 
     _updateCounts();
   }
 
   /**
-   * カードの観測点と地点マスタの距離をチェックし、300m以上なら警告クラスを付与
+   * カードの観測点と地点マスタの距離をチェックし、地点の判定半径（既定 300m）を超えていれば警告クラスを付与
    * @param {string} cardId
    * @param {string} stationId
    */
@@ -235,9 +440,10 @@ const uiController = (() => {
         station.lon
       );
 
-      if (dist !== null && dist > 300) {
+      const radius = dataProcessor.stationRadius(station);
+      if (dist !== null && dist > radius) {
         cardEl.classList.add('too-far');
-        cardEl.title = `警告: 地点マスタから約${Math.round(dist)}m離れています\n${card.fileName}`;
+        cardEl.title = `警告: 地点マスタから約${Math.round(dist)}m離れています（判定半径 ${radius}m）\n${card.fileName}`;
       } else {
         cardEl.classList.remove('too-far');
         cardEl.title = card.fileName;
@@ -279,9 +485,9 @@ const uiController = (() => {
 
     // app に通知して状態更新
     if (dragIds.length > 1) {
-      app.moveCards(dragIds, newStationId);
+      app.moveCards(dragIds, newStationId, { manual: true });
     } else {
-      app.moveCard(dragIds[0], newStationId);
+      app.moveCard(dragIds[0], newStationId, { manual: true });
     }
 
     // 移動後は選択解除
@@ -468,21 +674,49 @@ const uiController = (() => {
     const container = document.getElementById('preview-table-container');
     const headers = card.parsed.headerRow;
     const rows = card.parsed.dataRows.slice(0, 500);
+    const phases = card.cast && !card.parsed.isProfile ? card.cast.phases : null;
+    const used = phases ? _castModeOf(card).phases : [];
+    const qcConfig = app.state.settings.qc;
+    const qc = qcConfig.enabled ? qcEngine.evaluate(card.parsed, card.cast, qcConfig).columns : {};
+    const qcByIdx = headers.map(h => qc[h] || null);
+
+    const deadCols = (card.deadChannels || []).map(d => d.column);
 
     let html = '<table><thead><tr>';
-    html += headers.map(h => `<th>${_esc(h)}</th>`).join('');
+    if (phases) html += '<th>キャスト区分</th>';
+    html += headers.map(h => (deadCols.includes(h)
+      ? `<th class="dead-channel" title="センサー異常">${_esc(h)}</th>`
+      : `<th>${_esc(h)}</th>`)).join('');
     html += '</tr></thead><tbody>';
-    for (const row of rows) {
-      html += '<tr>';
-      html += headers.map((_, i) => `<td>${_esc(row[i] !== undefined ? row[i] : '')}</td>`).join('');
+    rows.forEach((row, r) => {
+      if (phases) {
+        const p = phases[r];
+        html += `<tr class="phase-${p}${used.includes(p) ? '' : ' cast-excluded'}">`;
+        html += `<td class="phase-cell phase-${p}">${_esc(dataProcessor.CAST_PHASE_LABELS[p])}</td>`;
+      } else {
+        html += '<tr>';
+      }
+      html += headers.map((_, i) => {
+        const v = _esc(row[i] !== undefined ? row[i] : '');
+        const res = qcByIdx[i];
+        const flag = res ? res.flags[r] : null;
+        if (flag === qcEngine.FLAG.PROBABLY_BAD || flag === qcEngine.FLAG.BAD) {
+          return `<td class="qc-${flag}" title="QC ${flag}: ${_esc(qcEngine.describeTests(res.tests[r]))}">${v}</td>`;
+        }
+        return `<td>${v}</td>`;
+      }).join('');
       html += '</tr>';
-    }
+    });
     html += '</tbody></table>';
     if (card.parsed.dataRows.length > 500) {
       html += `<div class="preview-row-count">※ 最初の500行を表示（全${card.parsed.dataRows.length}行）</div>`;
     }
     container.innerHTML = html;
 
+    _renderPreviewMeta(card.parsed.metadata);
+    _renderPreviewDead(card);
+    _renderPreviewCast(card);
+
     modal.classList.remove('hidden');
 
     // ─── 地名・座標から登録ボタンの制御 ───
@@ -510,6 +744,169 @@ const uiController = (() => {
     }
   }
 
+  /**
+   * プレビュー内のヘッダー情報（[Format]/[Head] の key=value）を描画
+   * @param {object} metadata
+   */
+  function _renderPreviewMeta(metadata) {
+    const container = document.getElementById('preview-meta-container');
+    const sections = (metadata && metadata.sections) || {};
+    let html = '<table class="preview-meta-table">';
+    for (const [sec, kv] of Object.entries(sections)) {
+      const keys = Object.keys(kv);
+      if (keys.length === 0) continue;
+      if (sec) html += `<tr><td colspan="2" class="preview-meta-section">[${_esc(sec)}]</td></tr>`;
+      for (const k of keys) {
+        html += `<tr><td>${_esc(k)}</td><td>${_esc(kv[k])}</td></tr>`;
+      }
+    }
+    html += '</table>';
+    container.innerHTML = html;
+  }
+
+  /**
+   * プレビュー内のセンサー異常の列の一覧を描画（該当なしなら非表示）
+   * @param {object} card
+   */
+  function _renderPreviewDead(card) {
+    const container = document.getElementById('preview-dead');
+    const dead = card.deadChannels || [];
+    if (dead.length === 0) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      return;
+    }
+    container.innerHTML = `⚠ センサー異常の可能性（出力時に空欄にできます）: ` +
+      dead.map(d => `<strong>${_esc(d.column)}</strong> ${_esc(d.detail)}`).join('、');
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * カードの形式B 対象区分の定義
+   * @param {object} card
+   * @returns {{ label: string, phases: string[] }}
+   */
+  function _castModeOf(card) {
+    return dataProcessor.CAST_MODES[card.castMode] || dataProcessor.CAST_MODES[dataProcessor.DEFAULT_CAST_MODE];
+  }
+
+  /**
+   * プレビュー内のキャスト区分（件数・形式B 対象の切替・海底接触の指定・水深の時系列図）を描画
+   * プロファイル済み・水深列のないファイルでは非表示
+   * @param {object} card
+   */
+  function _renderPreviewCast(card) {
+    const container = document.getElementById('preview-cast');
+    if (!card.cast || card.parsed.isProfile) {
+      container.classList.add('hidden');
+      container.innerHTML = '';
+      return;
+    }
+
+    const counts = _countPhases(card.cast.phases);
+    const legend = Object.entries(dataProcessor.CAST_PHASE_LABELS)
+      .filter(([p]) => p !== 'profile')
+      .map(([p, label]) => `<div><span class="phase-chip phase-${p}"></span>${_esc(label)} ${counts[p] || 0} 件</div>`)
+      .join('');
+    const options = Object.entries(dataProcessor.CAST_MODES)
+      .map(([key, m]) => `<option value="${key}"${key === card.castMode ? ' selected' : ''}>${_esc(m.label)}</option>`)
+      .join('');
+
+    container.innerHTML = `
+      <div class="preview-cast-info">
+        ${legend}
+        <label>形式B の対象
+          <select class="form-input" style="width:auto; padding:2px 4px;"
+            onchange="app.setCastMode('${_esc(card.id)}', this.value); uiController.showPreviewModal(app.state.cards.get('${_esc(card.id)}'))">${options}</select>
+        </label>
+        ${_previewContactHtml(card)}
+      </div>
+      ${_castChartSvg(card)}
+    `;
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * プレビュー内の海底接触（判定結果と手動指定の入力）の HTML
+   * @param {object} card
+   * @returns {string}
+   */
+  function _previewContactHtml(card) {
+    const contact = card.cast.contact;
+    const id = _esc(card.id);
+    const reopen = `uiController.showPreviewModal(app.state.cards.get('${id}'))`;
+    let status;
+    if (contact) {
+      const how = contact.auto ? `自動: ${contact.signals.join('・')}` : '手動';
+      status = `${contact.index + 1} 行目 ${_esc(contact.depth)} m（${_esc(how)}）`;
+    } else {
+      status = card.bottomContact ? 'なし（手動）' : '検出なし';
+    }
+    return `
+      <div class="preview-contact">
+        <div>⚓ 海底接触: ${status}</div>
+        <div class="preview-contact-controls">
+          <input type="number" id="preview-contact-row" class="form-input" min="1" max="${card.parsed.dataRows.length}"
+            value="${contact ? contact.index + 1 : ''}" placeholder="行" title="接触した行（図をクリックで選択）">
+          <button class="btn-secondary btn-sm"
+            onclick="app.setBottomContact('${id}', parseInt(document.getElementById('preview-contact-row').value, 10)); ${reopen}">指定</button>
+          <button class="btn-secondary btn-sm" onclick="app.setBottomContact('${id}', null); ${reopen}">接触なし</button>
+          ${card.bottomContact
+            ? `<button class="btn-secondary btn-sm" onclick="app.resetBottomContact('${id}'); ${reopen}">自動に戻す</button>`
+            : ''}
+        </div>
+      </div>`;
+  }
+
+  /**
+   * 水深の時系列図のクリック位置の行を海底接触の入力欄に入れる
+   * @param {MouseEvent} e
+   * @param {number} n  データ行数
+   */
+  function pickContactRow(e, n) {
+    const input = document.getElementById('preview-contact-row');
+    if (!input || n < 1) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0;
+    input.value = Math.min(n, Math.max(1, Math.round(ratio * (n - 1)) + 1));
+  }
+
+  /**
+   * 水深の時系列図（区分ごとに色分け）を SVG 文字列で返す
+   * @param {object} card
+   * @returns {string}
+   */
+  function _castChartSvg(card) {
+    const parsed = card.parsed;
+    const depthIdx = parsed.headerRow.findIndex(h => h.includes('深度') || h.toLowerCase().includes('depth'));
+    const depths = parsed.dataRows.map(r => parseFloat(r[depthIdx]));
+    const maxD = depths.reduce((m, v) => (isNaN(v) ? m : Math.max(m, v)), 1);
+    const n = depths.length;
+    const W = 600, H = 140, pad = 4;
+    const x = i => pad + (n > 1 ? i / (n - 1) : 0) * (W - pad * 2);
+    const y = d => pad + (d / maxD) * (H - pad * 2);
+
+    // 区分が変わるごとに折れ線を分ける（境界点は両方に含める）
+    let svg = '';
+    let start = 0;
+    for (let i = 1; i <= n; i++) {
+      if (i < n && card.cast.phases[i] === card.cast.phases[start]) continue;
+      const pts = [];
+      for (let k = start; k < Math.min(i + 1, n); k++) {
+        if (!isNaN(depths[k])) pts.push(`${x(k).toFixed(1)},${y(depths[k]).toFixed(1)}`);
+      }
+      svg += `<polyline class="phase-${card.cast.phases[start]}" points="${pts.join(' ')}" fill="none" stroke="var(--phase-color)" stroke-width="2"/>`;
+      start = i;
+    }
+    // 海底接触の行に縦線
+    const contact = card.cast.contact;
+    if (contact) {
+      svg += `<line class="preview-contact-line" x1="${x(contact.index).toFixed(1)}" y1="0" x2="${x(contact.index).toFixed(1)}" y2="${H}"/>`;
+    }
+    return `<svg class="preview-cast-chart" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" onclick="uiController.pickContactRow(event, ${n})">
+      <title>水深の時系列（最大 ${_esc(maxD)} m）。クリックで海底接触の行を選択</title>${svg}</svg>`;
+  }
+
   function _initPreviewMap(gps, stations) {
     if (!previewMap) {
       previewMap = L.map('preview-map').setView([gps.lat, gps.lon], 13);
@@ -630,10 +1027,12 @@ const uiController = (() => {
     document.getElementById('station-form-title').textContent = station ? '地点を編集' : '地点を追加';
     document.getElementById('sf-editing-id').value = station ? station.id : '';
     document.getElementById('sf-name').value = station ? station.name : '';
+    document.getElementById('sf-name-read').value = station ? (station.name_read || '') : '';
     document.getElementById('sf-id').value = station ? station.id : _generateNextId();
     document.getElementById('sf-category').value = station ? station.category : '未設定';
     document.getElementById('sf-lat').value = station ? (station.lat || '') : (lat !== null ? lat.toFixed(6) : '');
     document.getElementById('sf-lon').value = station ? (station.lon || '') : (lon !== null ? lon.toFixed(6) : '');
+    document.getElementById('sf-radius').value = station && station.radius ? station.radius : '';
     document.getElementById('sf-keywords').value = station ? (station.keywords || []).join('|') : '';
     document.getElementById('sf-templates').value = station ? (station.templates || []).join('/') : '';
     document.getElementById('sf-note').value = station ? (station.note || '') : '';
@@ -644,6 +1043,570 @@ const uiController = (() => {
     document.getElementById('station-form-modal').classList.add('hidden');
   }
 
+  // ─── 出力設定モーダル ───
+
+  /**
+   * 出力設定モーダルを開き、現在の設定値をフォームに反映
+   * @param {object} settings  app.state.settings
+   */
+  function openSettingsModal(settings) {
+    const metaBox = document.getElementById('set-meta-fields');
+    metaBox.innerHTML = dataProcessor.METADATA_COLUMNS.map(c => `
+      <label>
+        <input type="checkbox" value="${_esc(c.key)}" ${settings.metaFields.includes(c.key) ? 'checked' : ''}>
+        ${_esc(c.label)} <span class="text-gray-400">(${_esc(c.key)})</span>
+      </label>
+    `).join('');
+
+    document.getElementById('set-derived-fields').innerHTML = dataProcessor.DERIVED_VARIABLES.map(d => `
+      <label>
+        <input type="checkbox" value="${_esc(d.key)}" ${settings.derivedFields.includes(d.key) ? 'checked' : ''}>
+        ${_esc(d.label)}
+      </label>
+    `).join('');
+
+    const bin = settings.depthBin;
+    document.getElementById('set-bin-width').value = bin.width;
+    document.getElementById('set-bin-anchor').value = bin.anchor;
+    document.getElementById('set-bin-max').value = bin.maxDepth !== null ? bin.maxDepth : '';
+    document.getElementById('set-bin-method').value = bin.method;
+
+    document.getElementById('set-bin-stats').innerHTML = dataProcessor.BIN_STATISTICS.map(f => `
+      <label>
+        <input type="checkbox" value="${_esc(f.key)}" ${settings.binStats.fields.includes(f.key) ? 'checked' : ''}>
+        ${_esc(f.label)}（${_esc(f.suffix)}）
+      </label>
+    `).join('');
+    document.getElementById('set-bin-trim').value = settings.binStats.trimPercent;
+
+    const std = settings.standardLayers;
+    document.getElementById('set-std-depths').value = std.depths.join(', ');
+    document.getElementById('set-std-method').value = std.method;
+    document.getElementById('set-std-mid').checked = std.mid;
+    document.getElementById('set-std-b1m').checked = std.b1m;
+    document.getElementById('set-std-bottom').checked = std.bottom;
+
+    const hypText = unit => settings.hypoxia.thresholds.filter(t => t.unit === unit).map(t => t.value).join(', ');
+    document.getElementById('set-hyp-mg').value = hypText('mg');
+    document.getElementById('set-hyp-pct').value = hypText('pct');
+
+    const qc = settings.qc;
+    document.getElementById('set-qc-enabled').checked = qc.enabled;
+    document.getElementById('set-qc-scheme').innerHTML = Object.entries(qcEngine.FLAG_SCHEMES)
+      .map(([key, sc]) => `<option value="${key}"${key === qc.scheme ? ' selected' : ''}>${_esc(sc.label)}</option>`)
+      .join('');
+    document.getElementById('set-qc-exclude').value = qc.excludeFromB ? String(qc.excludeFromB) : '';
+    document.getElementById('set-qc-inversion').value = qc.inversionThreshold;
+    const numInput = (p, key) =>
+      `<input type="number" step="any" class="form-input" data-key="${key}" value="${p[key] !== null && p[key] !== undefined ? _esc(p[key]) : ''}">`;
+    document.getElementById('set-qc-params').innerHTML = qc.parameters.map(p => `
+      <tr data-param-id="${_esc(p.id)}">
+        <td title="${_esc(p.pattern)}">${_esc(p.label)}</td>
+        <td>${numInput(p, 'min')}</td>
+        <td>${numInput(p, 'max')}</td>
+        <td>${numInput(p, 'spike')}</td>
+        <td>${numInput(p, 'gradient')}</td>
+        <td>${numInput(p, 'flatCount')}</td>
+      </tr>
+    `).join('');
+
+    document.getElementById('settings-modal').classList.remove('hidden');
+  }
+
+  /**
+   * 出力設定フォームの値を読み取る
+   * @returns {object} settings と同じ形のオブジェクト
+   */
+  function readSettingsForm() {
+    const metaFields = [...document.querySelectorAll('#set-meta-fields input[type="checkbox"]:checked')]
+      .map(el => el.value);
+    const derivedFields = [...document.querySelectorAll('#set-derived-fields input[type="checkbox"]:checked')]
+      .map(el => el.value);
+    const maxStr = document.getElementById('set-bin-max').value.trim();
+    const depthBin = {
+      width: parseFloat(document.getElementById('set-bin-width').value),
+      anchor: document.getElementById('set-bin-anchor').value,
+      maxDepth: maxStr === '' ? null : parseFloat(maxStr),
+      method: document.getElementById('set-bin-method').value,
+    };
+
+    const binStats = {
+      fields: [...document.querySelectorAll('#set-bin-stats input[type="checkbox"]:checked')].map(el => el.value),
+      trimPercent: parseFloat(document.getElementById('set-bin-trim').value),
+    };
+
+    // 標準層（不正な固定水深は depths = null）
+    const standardLayers = {
+      depths: dataProcessor.parseStandardDepths(document.getElementById('set-std-depths').value),
+      method: document.getElementById('set-std-method').value,
+      mid: document.getElementById('set-std-mid').checked,
+      b1m: document.getElementById('set-std-b1m').checked,
+      bottom: document.getElementById('set-std-bottom').checked,
+    };
+
+    // QC: 項目ごとの入力値を現在の定義（列名パターンなど）に上書き
+    const excludeStr = document.getElementById('set-qc-exclude').value;
+    const qc = {
+      enabled: document.getElementById('set-qc-enabled').checked,
+      scheme: document.getElementById('set-qc-scheme').value,
+      excludeFromB: excludeStr === '' ? null : parseInt(excludeStr, 10),
+      inversionThreshold: parseFloat(document.getElementById('set-qc-inversion').value),
+      parameters: app.state.settings.qc.parameters.map(p => {
+        const tr = document.querySelector(`#set-qc-params tr[data-param-id="${p.id}"]`);
+        if (!tr) return { ...p };
+        const edited = { ...p };
+        for (const input of tr.querySelectorAll('input[data-key]')) {
+          const v = input.value.trim();
+          edited[input.dataset.key] = v === '' ? null : parseFloat(v);
+        }
+        return edited;
+      }),
+    };
+    // 貧酸素しきい値（不正な入力は thresholds = null）
+    const mg = hypoxia.parseThresholdList(document.getElementById('set-hyp-mg').value, 'mg');
+    const pct = hypoxia.parseThresholdList(document.getElementById('set-hyp-pct').value, 'pct');
+    const hyp = { thresholds: mg && pct ? [...mg, ...pct] : null };
+
+    return { metaFields, derivedFields, depthBin, binStats, standardLayers, qc, hypoxia: hyp };
+  }
+
+  function closeSettingsModal() {
+    document.getElementById('settings-modal').classList.add('hidden');
+  }
+
+  // ─── 列の型モーダル ───
+
+  /**
+   * 列の型モーダルを開く
+   * @param {object[]} schema  columnSchema.buildSchema の結果
+   */
+  function openSchemaModal(schema) {
+    document.getElementById('schema-rows').innerHTML = schema.map(s => {
+      const c = s.counts;
+      const mixed = !s.overridden && s.confidence > 0 && s.confidence < 1;
+      const options = Object.entries(columnSchema.TYPES).map(([key, t]) =>
+        `<option value="${key}"${key === s.type ? ' selected' : ''} title="${_esc(t.description)}">${_esc(t.label)}${key === s.inferred ? '（推定）' : ''}</option>`
+      ).join('');
+      return `
+        <tr data-column="${_esc(s.column)}" class="${mixed ? 'schema-mixed' : ''}${s.overridden ? ' schema-overridden' : ''}">
+          <td>${s.column === '' ? '<span class="text-gray-400">（空の列名）</span>' : _esc(s.column)}</td>
+          <td>${c.number} / ${c.datetime} / ${c.text} / ${c.blank}${mixed ? ' ⚠ 混在' : ''}</td>
+          <td>${s.fileCount}</td>
+          <td><select class="form-input">${options}</select></td>
+        </tr>
+      `;
+    }).join('');
+    document.getElementById('schema-modal').classList.remove('hidden');
+  }
+
+  /**
+   * 列の型モーダルで選択された型を読み取る
+   * @returns {object}  列名 → 型
+   */
+  function readSchemaForm() {
+    const result = {};
+    for (const tr of document.querySelectorAll('#schema-rows tr[data-column]')) {
+      result[tr.dataset.column] = tr.querySelector('select').value;
+    }
+    return result;
+  }
+
+  function closeSchemaModal() {
+    document.getElementById('schema-modal').classList.add('hidden');
+  }
+
+  // ─── 列名の対応表モーダル ───
+
+  /**
+   * 列名の対応表モーダルを開く
+   * @param {{ from: string, to: string }[]} dictionary
+   * @param {string[]} [pending]  対応付けを待つ列（統一後の列名を空欄で末尾に追加）
+   * @param {string[]} [targets]  統一後の列名の候補
+   */
+  function openAliasModal(dictionary, pending = [], targets = []) {
+    const rows = dictionary.map(e => _aliasRowHtml(e.from, e.to, false));
+    for (const col of pending) {
+      if (!dictionary.some(e => e.from.trim() === col.trim())) rows.push(_aliasRowHtml(col, '', true));
+    }
+    document.getElementById('alias-rows').innerHTML = rows.join('');
+    document.getElementById('alias-targets').innerHTML =
+      targets.map(t => `<option value="${_esc(t)}"></option>`).join('');
+    document.querySelectorAll('#alias-rows tr').forEach(_updateAliasConversion);
+    document.getElementById('alias-modal').classList.remove('hidden');
+    const firstPending = document.querySelector('#alias-rows tr.alias-pending .alias-to');
+    if (firstPending) firstPending.focus();
+  }
+
+  function _aliasRowHtml(from, to, pending) {
+    return `
+      <tr class="${pending ? 'alias-pending' : ''}">
+        <td><input type="text" class="form-input alias-from" value="${_esc(from)}" oninput="uiController.onAliasInput(this)"></td>
+        <td class="text-center text-gray-400">→</td>
+        <td><input type="text" class="form-input alias-to" list="alias-targets" value="${_esc(to)}"
+          placeholder="${pending ? '統一後の列名（空欄なら対応付けない）' : ''}" oninput="uiController.onAliasInput(this)"></td>
+        <td class="alias-conversion text-xs"></td>
+        <td class="text-center"><button class="btn-secondary btn-sm" onclick="this.closest('tr').remove()" title="この対応を削除">×</button></td>
+      </tr>
+    `;
+  }
+
+  /**
+   * 対応の単位換算の表示を更新
+   * @param {HTMLTableRowElement} tr
+   */
+  function _updateAliasConversion(tr) {
+    const from = tr.querySelector('.alias-from').value;
+    const to = tr.querySelector('.alias-to').value;
+    const cell = tr.querySelector('.alias-conversion');
+    const factor = from.trim() && to.trim() ? columnAliases.conversionFactor(from, to) : 1;
+    cell.classList.toggle('text-red-600', factor === null);
+    cell.textContent = factor === null ? '単位を換算できません'
+      : factor !== 1 ? `×${Number(factor.toPrecision(6))}（${columnAliases.unitOf(from)} → ${columnAliases.unitOf(to)}）`
+      : '';
+  }
+
+  function onAliasInput(input) {
+    _updateAliasConversion(input.closest('tr'));
+  }
+
+  /**
+   * 対応表モーダルに空の行を追加
+   */
+  function addAliasRow() {
+    document.getElementById('alias-rows').insertAdjacentHTML('beforeend', _aliasRowHtml('', '', false));
+    const inputs = document.querySelectorAll('#alias-rows .alias-from');
+    inputs[inputs.length - 1].focus();
+  }
+
+  /**
+   * 対応表モーダルの内容を読み取る
+   * 両方空欄の行と、対応付けを待つ列で統一後の列名が空欄の行は除く
+   * @returns {{ from: string, to: string }[]}
+   */
+  function readAliasForm() {
+    const result = [];
+    for (const tr of document.querySelectorAll('#alias-rows tr')) {
+      const from = tr.querySelector('.alias-from').value.trim();
+      const to = tr.querySelector('.alias-to').value.trim();
+      if (from === '' && to === '') continue;
+      if (to === '' && tr.classList.contains('alias-pending')) continue;
+      result.push({ from, to });
+    }
+    return result;
+  }
+
+  function closeAliasModal() {
+    document.getElementById('alias-modal').classList.add('hidden');
+  }
+
+  // ─── 仕分けルールモーダル ───
+
+  /**
+   * 仕分けルールモーダルを開く
+   * @param {{ version: number, updatedAt: string, rules: object[] }} ruleSet
+   * @param {string[]} targets  割り当て先の候補（地点ID・"テンプレート:名前"）
+   */
+  function openRulesModal(ruleSet, targets) {
+    document.getElementById('rules-version').textContent = ruleSet.version > 0
+      ? `版 ${ruleSet.version}（${ruleSet.updatedAt}）`
+      : '未保存';
+    document.getElementById('rules-list').innerHTML = ruleSet.rules.map(_ruleRowHtml).join('');
+    document.getElementById('rules-targets').innerHTML =
+      targets.map(t => `<option value="${_esc(t)}"></option>`).join('');
+    _renumberRules();
+    document.getElementById('rules-modal').classList.remove('hidden');
+  }
+
+  function _ruleRowHtml(rule) {
+    const num = v => (v === null || v === undefined ? '' : _esc(v));
+    return `
+      <div class="rule-row">
+        <div class="rule-row-head">
+          <span class="rule-number"></span>
+          <label class="flex items-center gap-1 text-xs"><input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''}> 有効</label>
+          <input type="text" class="form-input rule-name" value="${_esc(rule.name)}" placeholder="ルール名（任意）">
+          <button class="btn-secondary btn-sm" onclick="uiController.moveRuleRow(this, -1)" title="上へ">↑</button>
+          <button class="btn-secondary btn-sm" onclick="uiController.moveRuleRow(this, 1)" title="下へ">↓</button>
+          <button class="btn-secondary btn-sm" onclick="this.closest('.rule-row').remove(); uiController.renumberRules()" title="このルールを削除">×</button>
+        </div>
+        <div class="rule-row-fields">
+          <label>ファイル名（正規表現）<input type="text" class="form-input rule-file-name" value="${_esc(rule.fileName)}" placeholder="例: ^\\d{8}_0[1-3]"></label>
+          <label>フォルダ（正規表現）<input type="text" class="form-input rule-path" value="${_esc(rule.path)}" placeholder="例: 広島湾/"></label>
+          <label>観測日（から）<input type="date" class="form-input rule-date-from" value="${_esc(rule.dateFrom)}"></label>
+          <label>観測日（まで）<input type="date" class="form-input rule-date-to" value="${_esc(rule.dateTo)}"></label>
+          <label>月（| 区切り）<input type="text" class="form-input rule-months" value="${_esc(rule.months.join('|'))}" placeholder="例: 2 または 12|1|2"></label>
+          <label>センサー番号<input type="text" class="form-input rule-sonde" value="${_esc(rule.sondeNo)}" placeholder="例: 0387"></label>
+          <label>緯度（南端〜北端）
+            <span class="flex gap-1"><input type="number" step="any" class="form-input rule-south" value="${num(rule.bbox.south)}"><input type="number" step="any" class="form-input rule-north" value="${num(rule.bbox.north)}"></span></label>
+          <label>経度（西端〜東端）
+            <span class="flex gap-1"><input type="number" step="any" class="form-input rule-west" value="${num(rule.bbox.west)}"><input type="number" step="any" class="form-input rule-east" value="${num(rule.bbox.east)}"></span></label>
+          <label class="rule-target-field">割り当て先<input type="text" class="form-input rule-target" list="rules-targets" value="${_esc(rule.target)}" placeholder="地点ID または テンプレート:名前"></label>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * ルールの番号を振り直す
+   */
+  function _renumberRules() {
+    document.querySelectorAll('#rules-list .rule-number').forEach((el, i) => { el.textContent = `${i + 1}`; });
+  }
+
+  /**
+   * 仕分けルールモーダルに空のルールを追加
+   */
+  function addRuleRow() {
+    document.getElementById('rules-list').insertAdjacentHTML('beforeend', _ruleRowHtml(assignRules.emptyRule()));
+    _renumberRules();
+    const names = document.querySelectorAll('#rules-list .rule-file-name');
+    names[names.length - 1].focus();
+  }
+
+  /**
+   * ルールの順番を入れ替える
+   * @param {HTMLElement} button
+   * @param {number} delta  -1 = 上へ, 1 = 下へ
+   */
+  function moveRuleRow(button, delta) {
+    const row = button.closest('.rule-row');
+    const sibling = delta < 0 ? row.previousElementSibling : row.nextElementSibling;
+    if (!sibling) return;
+    if (delta < 0) sibling.before(row);
+    else sibling.after(row);
+    _renumberRules();
+  }
+
+  /**
+   * 仕分けルールモーダルの内容を読み取る（検証は assignRules.validate）
+   * @returns {object[]}
+   */
+  function readRulesForm() {
+    const num = v => (v.trim() === '' ? null : Number(v));
+    return [...document.querySelectorAll('#rules-list .rule-row')].map(row => {
+      const val = cls => row.querySelector(cls).value.trim();
+      return {
+        enabled: row.querySelector('.rule-enabled').checked,
+        name: val('.rule-name'),
+        fileName: val('.rule-file-name'),
+        path: val('.rule-path'),
+        dateFrom: val('.rule-date-from'),
+        dateTo: val('.rule-date-to'),
+        months: val('.rule-months').split(/[|,、]/).map(m => m.trim()).filter(Boolean).map(Number),
+        sondeNo: val('.rule-sonde'),
+        bbox: {
+          south: num(val('.rule-south')),
+          north: num(val('.rule-north')),
+          west: num(val('.rule-west')),
+          east: num(val('.rule-east')),
+        },
+        target: val('.rule-target'),
+      };
+    });
+  }
+
+  function closeRulesModal() {
+    document.getElementById('rules-modal').classList.add('hidden');
+  }
+
+  // ─── 仕分けZIP出力モーダル ───
+
+  /**
+   * 仕分けZIP出力モーダルを開く
+   * @param {{ pattern: string, includeUnclassified: boolean }} settings
+   */
+  function openArchiveModal(settings) {
+    document.getElementById('archive-pattern').value = settings.pattern;
+    document.getElementById('archive-include-unclassified').checked = settings.includeUnclassified;
+    document.getElementById('archive-pattern-examples').innerHTML =
+      rawArchive.PATTERN_EXAMPLES.map(p => `<option value="${_esc(p)}"></option>`).join('');
+    document.getElementById('archive-tokens').innerHTML = Object.entries(rawArchive.RENAME_TOKENS)
+      .map(([key, label]) => `<code>{${_esc(key)}}</code> ${_esc(label)}`).join('　');
+    refreshArchivePreview();
+    document.getElementById('archive-modal').classList.remove('hidden');
+  }
+
+  /**
+   * 仕分けZIP出力モーダルの入力を読み取る
+   * @returns {{ pattern: string, includeUnclassified: boolean }}
+   */
+  function readArchiveForm() {
+    return {
+      pattern: document.getElementById('archive-pattern').value.trim(),
+      includeUnclassified: document.getElementById('archive-include-unclassified').checked,
+    };
+  }
+
+  /**
+   * ZIP 内のパスのプレビューを更新
+   */
+  function refreshArchivePreview() {
+    const preview = app.previewArchive(readArchiveForm());
+    const el = document.getElementById('archive-preview');
+    if (preview.error) {
+      el.innerHTML = `<span class="text-red-600">${_esc(preview.error)}</span>`;
+      return;
+    }
+    if (preview.total === 0) {
+      el.innerHTML = '<span class="text-gray-400">出力対象のファイルがありません</span>';
+      return;
+    }
+    el.innerHTML = preview.entries.map(e => `<div>${_esc(e.from)} → ${_esc(e.to)}</div>`).join('') +
+      (preview.total > preview.entries.length ? `<div class="text-gray-400">… ほか ${preview.total - preview.entries.length} 件</div>` : '');
+  }
+
+  function closeArchiveModal() {
+    document.getElementById('archive-modal').classList.add('hidden');
+  }
+
+  // ─── 競合の一括解決モーダル ───
+
+  /**
+   * 競合の一括解決モーダルを開く（ファイルごとに候補を横に並べて選ぶ。既定は「未分類のまま」）
+   * @param {object[]} cards  assignConflict のあるカード
+   */
+  function openConflictModal(cards) {
+    document.getElementById('conflict-list').innerHTML = cards.map((card, i) => {
+      const options = card.assignConflict.candidates.map(c => `
+        <label class="conflict-option">
+          <input type="radio" name="conflict-${i}" value="${_esc(c.stationId)}">
+          <span class="font-semibold">${_esc(_stationLabel(c.stationId))}</span>
+          <span class="conflict-option-reason">${_esc(c.reason)} ${_esc(stationMatcher.formatConfidence(c.confidence))}</span>
+        </label>`).join('');
+      return `
+        <div class="conflict-row" data-card-id="${_esc(card.id)}">
+          <div class="conflict-file" title="${_esc(card.relativePath || card.fileName)}">${_esc(card.relativePath || card.fileName)}</div>
+          <div class="conflict-options">
+            ${options}
+            <label class="conflict-option conflict-option-skip">
+              <input type="radio" name="conflict-${i}" value="" checked>
+              <span>未分類のまま</span>
+            </label>
+          </div>
+        </div>`;
+    }).join('');
+    document.getElementById('conflict-modal').classList.remove('hidden');
+  }
+
+  /**
+   * 競合の一括解決モーダルで選んだ地点
+   * @returns {{ cardId: string, stationId: string }[]}  「未分類のまま」の行は含めない
+   */
+  function readConflictForm() {
+    return [...document.querySelectorAll('#conflict-list .conflict-row')].map(row => {
+      const checked = row.querySelector('input[type="radio"]:checked');
+      return { cardId: row.dataset.cardId, stationId: checked ? checked.value : '' };
+    }).filter(c => c.stationId);
+  }
+
+  function closeConflictModal() {
+    document.getElementById('conflict-modal').classList.add('hidden');
+  }
+
+  // ─── キーワード候補 ───
+
+  /**
+   * キーワード候補のボタンの件数を更新（0件なら隠す）
+   * @param {number} count
+   */
+  function setKeywordSuggestionCount(count) {
+    document.getElementById('btn-keyword-suggestions').classList.toggle('hidden', count === 0);
+    document.getElementById('keyword-suggestion-count').textContent = count;
+  }
+
+  /**
+   * キーワード候補のモーダルを開く
+   * @param {{ station: object, keywords: { keyword: string, files: string[] }[] }[]} entries
+   */
+  function openKeywordModal(entries) {
+    document.getElementById('keyword-list').innerHTML = entries.map(({ station, keywords }) => `
+      <div class="conflict-row" data-station-id="${_esc(station.id)}">
+        <div class="conflict-file" title="${_esc((station.keywords || []).join('|'))}">${_esc(`${station.id} ${station.name}`)}</div>
+        <div class="conflict-options">
+          ${keywords.map(({ keyword, files }) => `
+            <label class="conflict-option">
+              <span><input type="checkbox" value="${_esc(keyword)}" checked> <span class="font-semibold">${_esc(keyword)}</span></span>
+              <span class="conflict-option-reason" title="${_esc(files.join('\n'))}">${_esc(files[0])}${files.length > 1 ? ` ほか${files.length - 1}件` : ''}</span>
+            </label>`).join('')}
+        </div>
+      </div>`).join('');
+    document.getElementById('keyword-modal').classList.remove('hidden');
+  }
+
+  /**
+   * キーワード候補のモーダルのチェック状態
+   * @returns {{ accepted: { stationId: string, keyword: string }[], rejected: { stationId: string, keyword: string }[] }}
+   */
+  function readKeywordForm() {
+    const accepted = [];
+    const rejected = [];
+    document.querySelectorAll('#keyword-list .conflict-row').forEach(row => {
+      row.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+        (cb.checked ? accepted : rejected).push({ stationId: row.dataset.stationId, keyword: cb.value });
+      });
+    });
+    return { accepted, rejected };
+  }
+
+  function closeKeywordModal() {
+    document.getElementById('keyword-modal').classList.add('hidden');
+  }
+
+  // ─── 野帳 ───
+
+  /**
+   * 野帳のモーダルを開く
+   * @param {{ fileName: string, entries: object[], toleranceMinutes: number }|null} log
+   * @param {object|null} report  app の _fieldLogReport の結果（野帳がなければ null）
+   */
+  function openFieldLogModal(log, report) {
+    document.getElementById('fieldlog-file').textContent = log ? `${log.fileName}（${log.entries.length}件）` : '未読み込み';
+    document.getElementById('fieldlog-tolerance').value = log ? log.toleranceMinutes : fieldLog.DEFAULT_TOLERANCE_MINUTES;
+    document.getElementById('fieldlog-tolerance').disabled = !log;
+    document.getElementById('btn-fieldlog-rematch').disabled = !log;
+    document.getElementById('btn-fieldlog-clear').disabled = !log;
+    document.getElementById('fieldlog-report').innerHTML = report ? _fieldLogReportHtml(report) : `
+      <div class="text-sm text-gray-500">
+        「日時」（または「日付」と「時刻」）と「地点」（地点ID または地点名）の列を持つ CSV を読み込んでください。
+        それ以外の列（天気・透明度・備考など）は記録の項目として形式A/B に出力します。
+      </div>`;
+    document.getElementById('fieldlog-modal').classList.remove('hidden');
+  }
+
+  function _fieldLogReportHtml(report) {
+    const section = (title, rows, headers) => `
+      <div class="fieldlog-section">
+        <div class="font-semibold text-sm mb-1">${_esc(title)} <span class="badge badge-gray">${rows.length}</span></div>
+        ${rows.length > 0 ? `
+          <table class="fieldlog-table">
+            <tr>${headers.map(h => `<th>${_esc(h)}</th>`).join('')}</tr>
+            ${rows.map(r => `<tr>${r.map(c => `<td>${_esc(c)}</td>`).join('')}</tr>`).join('')}
+          </table>` : ''}
+      </div>`;
+    const fieldsText = entry => Object.entries(entry.fields).filter(([, v]) => v !== '').map(([k, v]) => `${k}: ${v}`).join(' / ');
+    const cardTime = card => (card.parsed && card.parsed.firstDateTime) || '—';
+    return `
+      <div class="text-sm mb-3">記録と対応したファイル: <strong>${report.matched}</strong>件</div>
+      ${section('ファイルのない記録', report.unmatchedEntries.map(e => [`${e.row}`, fieldLog.formatDateTime(e.time), e.station, fieldsText(e)]), ['行', '日時', '地点', '項目'])}
+      ${section('記録のないファイル', report.unmatchedCards.map(c => [c.relativePath || c.fileName, cardTime(c), c.stationId ? _stationLabel(c.stationId) : '未分類']), ['ファイル', '観測開始日時', '地点'])}
+      ${report.mismatched.length > 0 ? section('記録と異なる地点に置いたファイル', report.mismatched.map(m => [m.card.fileName, _stationLabel(m.stationId), _stationLabel(m.card.stationId)]), ['ファイル', '記録の地点', '置いた地点']) : ''}
+      ${report.noLane.length > 0 ? section('記録の地点のスイムレーンがないファイル', report.noLane.map(c => [c.fileName, _stationLabel(c.fieldLog.stationId)]), ['ファイル', '記録の地点']) : ''}
+      ${report.unknownStations.length > 0 ? section('地点マスタにない記録の地点', report.unknownStations.map(s => [s]), ['地点']) : ''}
+    `;
+  }
+
+  /**
+   * 野帳のモーダルの許容差 [分]
+   * @returns {string}
+   */
+  function readFieldLogTolerance() {
+    return document.getElementById('fieldlog-tolerance').value;
+  }
+
+  function closeFieldLogModal() {
+    document.getElementById('fieldlog-modal').classList.add('hidden');
+  }
+
   // ─── 汎用確認ダイアログ ───
 
   /**
@@ -689,6 +1652,9 @@ const uiController = (() => {
     document.getElementById('confirm-dialog').addEventListener('click', function (e) {
       if (e.target === this) closeConfirm();
     });
+    document.getElementById('settings-modal').addEventListener('click', function (e) {
+      if (e.target === this) closeSettingsModal();
+    });
   }
 
   // ─── トースト通知 ───
@@ -713,6 +1679,27 @@ const uiController = (() => {
     }, duration);
   }
 
+  // ─── 処理の進行状況 ───
+
+  /**
+   * 読み込み・出力の進行状況を表示
+   * @param {string} label
+   * @param {number|null} done   処理済みの件数（null = 件数の分からない処理）
+   * @param {number|null} total
+   */
+  function showProgress(label, done, total) {
+    const indeterminate = done === null || !total;
+    document.getElementById('task-progress-label').textContent = label;
+    document.getElementById('task-progress-count').textContent = indeterminate ? '' : `${done} / ${total}`;
+    document.getElementById('task-progress-track').classList.toggle('indeterminate', indeterminate);
+    document.getElementById('task-progress-bar').style.width = indeterminate ? '' : `${Math.round(done / total * 100)}%`;
+    document.getElementById('task-progress').classList.remove('hidden');
+  }
+
+  function hideProgress() {
+    document.getElementById('task-progress').classList.add('hidden');
+  }
+
   // ─── 出力ボタン有効化 ───
 
   function updateOutputButtons(hasCards) {
@@ -720,6 +1707,11 @@ const uiController = (() => {
     const btnB = document.getElementById('btn-output-b');
     btnA.disabled = !hasCards;
     btnB.disabled = !hasCards;
+    document.getElementById('btn-output-layers').disabled = !hasCards;
+    document.getElementById('btn-output-summary').disabled = !hasCards;
+    document.getElementById('btn-output-hypoxia').disabled = !hasCards;
+    document.getElementById('btn-output-archive').disabled = !hasCards;
+    document.getElementById('btn-schema').disabled = !hasCards;
   }
 
   function showResetButton(show) {
@@ -744,8 +1736,14 @@ const uiController = (() => {
       const badge = document.querySelector(`.swimlane-count[data-station-id="${sid}"]`);
       if (badge) badge.textContent = cnt;
       if (body) _togglePlaceholder(body, cnt);
+      _updateSwimlaneStructure(sl);
     });
 
+    // 競合の一括解決ボタン
+    const conflictCount = unclassArea.querySelectorAll('.file-card-conflict').length;
+    document.getElementById('btn-resolve-conflicts').classList.toggle('hidden', conflictCount === 0);
+    document.getElementById('conflict-count').textContent = conflictCount;
+
     // 総カード数
     const total = document.querySelectorAll('.file-card').length;
     updateOutputButtons(total > 0);
@@ -798,6 +1796,8 @@ const uiController = (() => {
     removeSwimlane,
     clearAllSwimlanes,
     createFileCard,
+    refreshFileCard,
+    toggleConflictPicker,
     moveCardToArea,
     updateCardDistanceWarning,
     removeCard,
@@ -806,14 +1806,48 @@ const uiController = (() => {
     setupDragAndDrop,
     renderStationList,
     showPreviewModal,
+    pickContactRow,
     onRegisterFromPreview,
     closePreviewModal,
     openStationFormModal,
     closeStationFormModal,
+    openSettingsModal,
+    readSettingsForm,
+    closeSettingsModal,
+    openSchemaModal,
+    readSchemaForm,
+    closeSchemaModal,
+    openAliasModal,
+    onAliasInput,
+    addAliasRow,
+    readAliasForm,
+    closeAliasModal,
+    openArchiveModal,
+    readArchiveForm,
+    refreshArchivePreview,
+    closeArchiveModal,
+    openRulesModal,
+    addRuleRow,
+    moveRuleRow,
+    renumberRules: _renumberRules,
+    readRulesForm,
+    closeRulesModal,
+    openConflictModal,
+    readConflictForm,
+    closeConflictModal,
+    setKeywordSuggestionCount,
+    openKeywordModal,
+    readKeywordForm,
+    closeKeywordModal,
+    openFieldLogModal,
+    readFieldLogTolerance,
+    closeFieldLogModal,
     showConfirm,
     closeConfirm,
     setupModalOutsideClick,
     showToast,
+    showProgress,
+    hideProgress,
     updateOutputButtons,
     showResetButton,
     updateCounts: _updateCounts,
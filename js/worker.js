@@ -0,0 +1,33 @@
+/**
+ * worker.js
+ * Web Worker のエントリ: メインスレッドから受け取った処理を workerTasks で実行して結果を返す
+ * 受信: { id, type, payload } / 送信: { id, result } または { id, error }
+ */
+'use strict';
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/encoding-japanese@2/encoding.min.js',
+  'https://cdn.jsdelivr.net/npm/jszip@3/dist/jszip.min.js',
+  'columnAliases.js',
+  'fileHandler.js',
+  'qcEngine.js',
+  'columnSchema.js',
+  'seawater.js',
+  'castAnalysis.js',
+  'hypoxia.js',
+  'stationMatcher.js',
+  'assignRules.js',
+  'dataProcessor.js',
+  'rawArchive.js',
+  'workerTasks.js'
+);
+
+self.onmessage = async (e) => {
+  const { id, type, payload } = e.data;
+  try {
+    const result = await workerTasks.run(type, payload);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,190 @@
+/**
+ * workerPool.js
+ * Web Worker のプール: 読み込み・出力の重い処理をメインスレッドの外で並列に実行し、途中で中止できるようにする
+ * Worker を使えない環境（file:// で開いた場合など）では同じ処理をメインスレッドで1件ずつ実行する
+ */
+'use strict';
+
+const workerPool = (() => {
+
+  /** Worker のスクリプト（index.html からの相対パス） */
+  const WORKER_URL = 'js/worker.js';
+
+  /** Worker 数の上限 */
+  const MAX_WORKERS = 4;
+
+  /**
+   * 既定の Worker 数（CPU コア数 - 1、1〜MAX_WORKERS）
+   * @returns {number}
+   */
+  function defaultSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+  }
+
+  /**
+   * 中止による失敗か
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  function isCancelled(err) {
+    return !!(err && err.cancelled);
+  }
+
+  function _cancelledError() {
+    const err = new Error('中止しました');
+    err.cancelled = true;
+    return err;
+  }
+
+  /**
+   * プールを作成
+   * @param {number} [size]  Worker 数
+   * @returns {{ run: function, cancel: function, terminate: function, isCancelled: function }}
+   */
+  function createPool(size = defaultSize()) {
+    const queue = [];          // 未着手の処理 { id, type, payload, resolve, reject }
+    const idle = [];           // 待機中の Worker
+    const busy = new Map();    // Worker → 実行中の処理
+    const workers = [];
+    let useWorkers = typeof Worker !== 'undefined';
+    let localRunning = false;
+    let cancelled = false;
+    let seq = 0;
+
+    function _spawn() {
+      try {
+        const w = new Worker(WORKER_URL);
+        w.onmessage = (e) => _onMessage(w, e.data);
+        w.onerror = (e) => {
+          e.preventDefault();
+          _fallBack();
+        };
+        workers.push(w);
+        return w;
+      } catch (err) {
+        return null;
+      }
+    }
+
+    function _onMessage(w, data) {
+      const job = busy.get(w);
+      busy.delete(w);
+      idle.push(w);
+      if (job && data.id === job.id) {
+        if (data.error !== undefined) job.reject(new Error(data.error));
+        else job.resolve(data.result);
+      }
+      _dispatch();
+    }
+
+    /**
+     * Worker を起動できない・スクリプトを読み込めない場合はメインスレッドでの実行に切り替える
+     * 実行中だった処理は未着手に戻してやり直す
+     */
+    function _fallBack() {
+      if (!useWorkers) return;
+      useWorkers = false;
+      for (const job of busy.values()) queue.unshift(job);
+      busy.clear();
+      idle.length = 0;
+      for (const w of workers) w.terminate();
+      workers.length = 0;
+      _dispatch();
+    }
+
+    function _dispatch() {
+      if (cancelled) return;
+      if (!useWorkers) {
+        _drainLocal();
+        return;
+      }
+      while (queue.length > 0) {
+        let w = idle.pop();
+        if (!w) {
+          if (workers.length >= size) return;
+          w = _spawn();
+          if (!w) {
+            _fallBack();
+            return;
+          }
+        }
+        const job = queue.shift();
+        busy.set(w, job);
+        w.postMessage({ id: job.id, type: job.type, payload: job.payload });
+      }
+    }
+
+    /**
+     * メインスレッドで1件ずつ実行（処理の間に画面の更新・中止の操作を受け付ける）
+     */
+    async function _drainLocal() {
+      if (localRunning) return;
+      localRunning = true;
+      while (queue.length > 0 && !cancelled) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (cancelled) break;
+        const job = queue.shift();
+        try {
+          const result = await workerTasks.run(job.type, job.payload);
+          if (cancelled) job.reject(_cancelledError());
+          else job.resolve(result);
+        } catch (err) {
+          job.reject(err);
+        }
+      }
+      localRunning = false;
+    }
+
+    /**
+     * 処理を追加
+     * @param {'parse'|'output'|'archive'} type  workerTasks の処理
+     * @param {object} payload
+     * @returns {Promise<*>}
+     */
+    function run(type, payload) {
+      if (cancelled) return Promise.reject(_cancelledError());
+      return new Promise((resolve, reject) => {
+        queue.push({ id: ++seq, type, payload, resolve, reject });
+        _dispatch();
+      });
+    }
+
+    /**
+     * 未完了の処理をすべて中止（Worker を停止し、未完了の処理は isCancelled な Error で失敗させる）
+     */
+    function cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      const err = _cancelledError();
+      for (const job of [...busy.values(), ...queue]) job.reject(err);
+      busy.clear();
+      queue.length = 0;
+      terminate();
+    }
+
+    /**
+     * Worker を停止（すべての処理が終わった後に呼ぶ）
+     */
+    function terminate() {
+      for (const w of workers) w.terminate();
+      workers.length = 0;
+      idle.length = 0;
+    }
+
+    return {
+      run,
+      cancel,
+      terminate,
+      isCancelled: () => cancelled,
+    };
+  }
+
+  // ─── 公開 API ───
+  return {
+    MAX_WORKERS,
+    defaultSize,
+    isCancelled,
+    createPool,
+  };
+})();
@@ -0,0 +1,76 @@
+/**
+ * workerTasks.js
+ * Web Worker で実行する処理（ファイルの読み込み・パース、CSV 出力・仕分け済み ZIP の作成）
+ * Worker（js/worker.js）とメインスレッド（Worker を使えない環境の代替）の両方から呼び出す
+ */
+'use strict';
+
+const workerTasks = (() => {
+
+  /** 出力形式 → dataProcessor の関数名 */
+  const OUTPUT_FUNCTIONS = {
+    A: 'mergeAllData',
+    B: 'calculateDepthBinAverages',
+    L: 'extractStandardLayers',
+    S: 'summarizeCasts',
+    H: 'summarizeHypoxia',
+  };
+
+  /**
+   * 観測データ CSV を読み込んでパース
+   * @param {{ file: File, encoding: string|null, aliases: object[] }} payload
+   * @returns {Promise<object>}  fileHandler.parseObservationCSV の結果
+   */
+  async function parseFile({ file, encoding, aliases }) {
+    const text = await fileHandler.readFile(file, encoding);
+    return fileHandler.parseObservationCSV(text, file.name, aliases);
+  }
+
+  /**
+   * 出力 CSV を作成
+   * 形式A は行を作りながら CSV の部品にする（全行の配列を持たない）。ほかの形式は集計後の行をまとめて書く
+   * @param {{ format: string, assignments: object[], options: object }} payload
+   * @returns {{ blob: Blob, rowCount: number }}
+   */
+  function buildOutput({ format, assignments, options }) {
+    const fn = OUTPUT_FUNCTIONS[format];
+    if (!fn) throw new Error(`未対応の出力形式: ${format}`);
+    const writer = dataProcessor.createCSVWriter();
+    const result = dataProcessor[fn](assignments, new Map(), options, writer.push);
+    for (const row of result.rows) writer.push(row);
+    return { blob: writer.toBlob(result.headers), rowCount: writer.rowCount() };
+  }
+
+  /**
+   * 仕分け済みファイルの ZIP を作成
+   * @param {{ entries: { path: string, file: File }[], manifest: object }} payload  rawArchive.planArchive の結果
+   * @returns {Promise<{ blob: Blob, fileCount: number }>}
+   */
+  function buildArchive(payload) {
+    return rawArchive.buildArchive(payload);
+  }
+
+  const TASKS = {
+    parse: parseFile,
+    output: buildOutput,
+    archive: buildArchive,
+  };
+
+  /**
+   * 処理を実行
+   * @param {'parse'|'output'|'archive'} type
+   * @param {object} payload
+   * @returns {Promise<*>}
+   */
+  function run(type, payload) {
+    const task = TASKS[type];
+    if (!task) return Promise.reject(new Error(`未対応の処理: ${type}`));
+    return Promise.resolve().then(() => task(payload));
+  }
+
+  // ─── 公開 API ───
+  return {
+    OUTPUT_FUNCTIONS,
+    run,
+  };
+})();